@@ -1,11 +1,36 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
-const fetch = require('node-fetch');
 const storage = require('./services/storage');
+const priceScheduler = require('./services/priceScheduler');
+const priceQueue = require('./services/queues/priceQueue');
+const alertService = require('./services/alerts');
+const chartService = require('./services/chart');
+const TimeSeriesStore = require('./services/timeSeries');
+const metrics = require('./services/metrics');
+const marketData = require('./services/marketData');
+const tokenRegistry = require('./services/tokenRegistry');
+const tokenCatalog = require('./services/tokenCatalog');
+const tokenSearch = require('./services/tokenSearch');
+const antiSpam = require('./services/antiSpam');
+const chatSettings = require('./services/chatSettings');
+const i18n = require('./services/i18n');
+const digestService = require('./services/digests');
+const listingService = require('./services/listings');
+const SORT_CRITERIA = require('./services/sortCriteria');
 
 // Bot Token from environment variable
 const token = process.env.TELEGRAM_BOT_TOKEN;
-const bot = new TelegramBot(token, {polling: true});
+
+// Webhook mode when a public URL is configured, long polling otherwise
+const WEBHOOK_URL = process.env.WEBHOOK_URL?.replace(/\/+$/, '');
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/telegram/webhook';
+// Default secret is derived from the bot token so every replica shares it
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET ||
+    crypto.createHash('sha256').update(token || '').digest('hex');
+let webhookActive = false;
+
+const bot = new TelegramBot(token, {polling: !WEBHOOK_URL});
 
 // Admin invitation system
 let ADMIN_INVITE_ENABLED = true;
@@ -46,530 +71,1122 @@ async function isAdmin(msgOrUser) {
     }
 }
 
-// Sorting criteria
-const SORT_CRITERIA = {
-    mc: { field: 'marketCap', name: 'Market Cap' },
-    liq: { field: 'liquidity', name: 'Liquidity' },
-    vol: { field: 'volume24h', name: '24h Volume' }
+// Pending market data requests by pool address
+const pendingDexRequests = new Map();
+
+// Metrics
+metrics.counter('bot_commands_total', 'Bot command invocations');
+metrics.counter('bot_banned_updates_total', 'Updates dropped from banned users');
+metrics.counter('bot_inline_queries_total', 'Inline queries answered by result');
+metrics.gauge('bot_price_queue_length', 'Items waiting in the price queue');
+metrics.gauge('bot_price_queue_processing', 'Whether the price queue is processing (1) or idle (0)');
+metrics.gauge('bot_price_queue_failed_items', 'Failed items kept in the price queue registry');
+metrics.counter('bot_price_queue_items_total', 'Price queue items by result');
+metrics.counter('bot_price_scheduler_runs_total', 'Scheduled price refresh runs');
+
+metrics.collect(() => {
+    const queue = priceQueue.getStatus();
+    metrics.set('bot_price_queue_length', {}, queue.queueLength);
+    metrics.set('bot_price_queue_processing', {}, queue.processing ? 1 : 0);
+    metrics.set('bot_price_queue_failed_items', {}, queue.failedItems);
+    for (const [result, value] of Object.entries(queue.stats)) {
+        metrics.set('bot_price_queue_items_total', { result }, value);
+    }
+    metrics.set('bot_price_scheduler_runs_total', {}, priceScheduler.getStatus().runs);
+});
+
+// Get the translator for a chat: the language set for the chat with /settings,
+// else the language of the user (chosen with /language or from their Telegram app)
+async function getTranslator(chatId, user) {
+    const own = chatId ? await chatSettings.getOwn(chatId).catch(() => ({})) : {};
+    return i18n.translator(own.language || await i18n.resolve(user));
+}
+
+// Check an update against bans and rate limits
+// Returns false if it must be dropped, after telling limited users to slow down
+async function allowUpdate(update) {
+    const source = update.message || update.callback_query || update.inline_query;
+    const user = source?.from;
+    if (!user) return true;
+
+    if (antiSpam.isBanned(user.id)) {
+        metrics.inc('bot_banned_updates_total');
+        return false;
+    }
+
+    // Only text messages, button presses and inline queries count against the quotas
+    // (in groups only commands, so regular chatter is never limited)
+    const text = update.message?.text;
+    if (update.message && (!text || (update.message.chat.type !== 'private' && !text.startsWith('/')))) {
+        return true;
+    }
+
+    const chatId = update.message?.chat.id || update.callback_query?.message?.chat.id;
+    const limit = antiSpam.hit(user.id, chatId);
+    if (!limit.limited || await isAdmin(user)) return true;
+
+    const t = await getTranslator(chatId, user);
+    const cooldown = t('common.tooManyRequests', { seconds: limit.retryAfter });
+    if (update.callback_query) {
+        await bot.answerCallbackQuery(update.callback_query.id, { text: cooldown });
+    } else if (update.message && limit.notify) {
+        await bot.sendMessage(chatId, cooldown, { reply_to_message_id: update.message.message_id });
+    }
+    return false;
+}
+
+// Bot username, used to recognize "/command@BotName" (set on startup)
+let botUsername = null;
+
+// Strip "@BotName" from a command so the command regexes match it
+// Returns false if the command is addressed to another bot
+function normalizeCommand(message) {
+    const match = message.text?.match(/^(\/\w+)@(\w+)/);
+    if (!match) return true;
+    if (botUsername && match[2].toLowerCase() !== botUsername.toLowerCase()) return false;
+
+    const removed = match[2].length + 1;
+    message.text = match[1] + message.text.slice(match[0].length);
+    message.entities = message.entities?.map(entity => {
+        if (entity.offset === 0 && entity.type === 'bot_command') {
+            return { ...entity, length: entity.length - removed };
+        }
+        return entity.offset >= match[0].length ? { ...entity, offset: entity.offset - removed } : entity;
+    });
+    return true;
+}
+
+// Polling and the webhook route both deliver updates through processUpdate
+const processUpdate = bot.processUpdate.bind(bot);
+bot.processUpdate = (update) => {
+    if (update.message && !normalizeCommand(update.message)) return;
+
+    allowUpdate(update)
+        .then(allowed => allowed && processUpdate(update))
+        .catch(error => console.error('Error processing update:', error));
 };
 
-// Get DexScreener data with cache
-async function getDexInfo(poolAddress) {
+// Fetch pool data from the market data providers and save it (PriceQueue handler)
+// Throws when every provider fails so the queue retries them
+async function fetchDexInfo(poolAddress) {
+    const pool = await marketData.getPool(poolAddress);
+    if (!pool) {
+        return null;
+    }
+
+    const dexInfo = {
+        price: pool.price,
+        marketCap: pool.marketCap,
+        liquidity: pool.liquidity,
+        volume24h: pool.volume24h,
+        dexId: pool.dexId
+    };
+
+    // Save to storage
+    const token = {
+        address: pool.token.address,
+        poolAddress,
+        ticker: pool.token.symbol,
+        name: pool.token.name
+    };
+    await storage.saveTokenPrice(token, dexInfo);
+
+    // Evaluate price alerts without delaying the queue
+    notifyAlerts(token, dexInfo.price).catch(error => console.error('Error checking alerts:', error));
+
+    return dexInfo;
+}
+
+// A lookup may use every provider's retry budget before failing over; leave time to save the price too
+priceQueue.process(({ data }) => fetchDexInfo(data.poolAddress), {
+    timeout: marketData.getTimeBudget() + 5000
+});
+
+// Get market data of a pool with cache
+async function getDexInfo(poolAddress, { force = false } = {}) {
     try {
         // Validate address format
         if (!poolAddress || !/^0x[a-fA-F0-9]{40}$/.test(poolAddress)) {
-            console.error('DexScreener Error: Invalid pool address');
+            console.error('Market Data Error: Invalid pool address');
             return null;
         }
 
-        // Try to get from storage
-        const cached = await storage.getTokenPrice(poolAddress);
+        // Try to get from storage (skipped on forced refresh)
+        const cached = force ? null : await storage.getTokenPrice(poolAddress);
         if (cached) {
             return cached;
         }
 
-        const response = await fetch(`https://api.dexscreener.com/latest/dex/pairs/base/${poolAddress}`);
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        // Share the request already queued for this pool
+        if (!pendingDexRequests.has(poolAddress)) {
+            const request = priceQueue.add({ poolAddress })
+                .then(([dexInfo]) => dexInfo)
+                .finally(() => pendingDexRequests.delete(poolAddress));
+            pendingDexRequests.set(poolAddress, request);
         }
 
-        const data = await response.json();
-        
-        if (!data.pairs?.length) {
-            console.error('DexScreener Error: Pair not found');
-            return null;
-        }
-        
-        const pair = data.pairs[0];
-        
-        // Validate required data
-        if (!pair.baseToken?.address || !pair.baseToken?.symbol || !pair.baseToken?.name) {
-            console.error('DexScreener Error: Incomplete token data');
-            return null;
-        }
+        return await pendingDexRequests.get(poolAddress);
+    } catch (error) {
+        console.error('Market Data Error:', error.message);
+        return null;
+    }
+}
 
-        // Validate and convert numeric data
-        const price = parseFloat(pair.priceUsd) || 0;
-        const marketCap = parseFloat(pair.marketCap || pair.fdv) || 0;
-        const liquidity = parseFloat(pair.liquidity?.usd) || 0;
-        const volume24h = parseFloat(pair.volume?.h24) || 0;
+// Build tokens data from the registry and market data (token catalog loader)
+async function loadTokens() {
+    const registryTokens = await tokenRegistry.getTokens();
 
-        const dexInfo = {
-            price,
-            marketCap,
-            liquidity,
-            volume24h,
-            dexId: pair.dexId || 'unknown'
-        };
+    // Process tokens in parallel for better performance
+    const tokenPromises = registryTokens.map(async entry => {
+        try {
+            const dexInfo = await getDexInfo(entry.poolAddress);
+            if (!dexInfo) {
+                console.warn(`Could not get DEX info for ${entry.ticker}`);
+                return null;
+            }
 
-        // Validate we have at least price and market cap
-        if (price === 0 || marketCap === 0) {
-            console.error('DexScreener Error: Invalid price or market cap data');
+            return {
+                name: entry.name,
+                ticker: entry.ticker,
+                address: entry.address,
+                poolAddress: entry.poolAddress,
+                creator: entry.creator,
+                telegram: entry.telegram,
+                createdAt: entry.createdAt,
+                dex: dexInfo
+            };
+        } catch (error) {
+            console.error(`Error processing token ${entry.ticker}:`, error);
             return null;
         }
+    });
 
-        // Save to storage
-        await storage.saveTokenPrice({
-            address: pair.baseToken.address,
-            poolAddress,
-            ticker: pair.baseToken.symbol,
-            name: pair.baseToken.name
-        }, dexInfo);
+    // Wait for all tokens to be processed and filter out nulls
+    const results = await Promise.all(tokenPromises);
+    const tokens = results.filter(token => token !== null);
 
-        return dexInfo;
-    } catch (error) {
-        console.error('DexScreener Error:', error.message);
-        return null;
-    }
+    // Add the 24h price change once per load, so reads don't query the price history
+    const changes = await digestService.getPriceChanges(tokens, Date.now() - 24 * 60 * 60 * 1000);
+    const byPool = new Map(changes.map(item => [item.token.poolAddress, item.change]));
+    return tokens.map(token => ({ ...token, change24h: byPool.get(token.poolAddress) ?? null }));
 }
 
-// Get tokens data
-async function getTokens() {
+tokenCatalog.setLoader(loadTokens);
+
+// Get tokens data (cached catalog sorted by the given criteria, or the default one)
+// Filters keep the tokens with at least a value of a criteria ({ liq: 50000 })
+async function getTokens(sortCriteria, filters = {}) {
     try {
-        const response = await fetch('https://api.dreampot.xyz/api/collections/Fund/records?page=1&perPage=500&skipTotal=1&filter=upcoming%20%3D%20false%20%26%26%20visible%20%3D%20true');
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        let tokens = await tokenCatalog.get();
+
+        // Get current sorting criteria
+        if (!sortCriteria) {
+            const config = await storage.getConfig('sort_criteria');
+            sortCriteria = config?.value || 'mc';
         }
+        const sortConfig = SORT_CRITERIA[sortCriteria] || SORT_CRITERIA.mc;
 
-        const data = await response.json();
-        
-        // Verify we have valid data
-        if (!data || !data.items || !Array.isArray(data.items)) {
-            console.error('Error: Invalid API data:', data);
-            return [];
+        for (const [key, minimum] of Object.entries(filters)) {
+            tokens = tokens.filter(token => (SORT_CRITERIA[key].value(token) ?? -Infinity) >= minimum);
         }
 
-        const tokens = [];
-        const visibleTokens = data.items.filter(f => f.visible === true);
+        // Sort tokens by criteria, tokens without a value last
+        return [...tokens].sort((a, b) => {
+            const valueA = sortConfig.value(a) ?? -Infinity;
+            const valueB = sortConfig.value(b) ?? -Infinity;
+            return valueA === valueB ? 0 : valueB > valueA ? 1 : -1; // Descending order
+        });
+    } catch (error) {
+        console.error('Error getting tokens:', error);
+        return [];
+    }
+}
 
-        // Process tokens in parallel for better performance
-        const tokenPromises = visibleTokens.map(async fund => {
-            try {
-                // Verify we have required data
-                if (!fund.uniswapv3pool || !fund.name || !fund.ticker || !fund.address) {
-                    console.warn('Token with incomplete data:', fund);
-                    return null;
-                }
+// Get bot statistics for a list of tokens
+async function getStatsSummary(tokens) {
+    const stats = await storage.getStats();
 
-                const dexInfo = await getDexInfo(fund.uniswapv3pool);
-                if (!dexInfo) {
-                    console.warn(`Could not get DEX info for ${fund.ticker}`);
-                    return null;
-                }
+    if (!stats) {
+        throw new Error('Could not get statistics');
+    }
 
-                return {
-                    name: fund.name,
-                    ticker: fund.ticker,
-                    address: fund.address,
-                    poolAddress: fund.uniswapv3pool,
-                    creator: fund.creatorTwitter || 'N/A',
-                    telegram: fund.telegram || '',
-                    dex: dexInfo
-                };
-            } catch (error) {
-                console.error(`Error processing token ${fund.ticker}:`, error);
-                return null;
-            }
-        });
+    const uniqueTokens = new Set(stats.updates?.map(u => u.pool_address) || []);
+    return {
+        tokens: tokens.length,
+        activeTokens24h: uniqueTokens.size,
+        updates24h: stats.updates?.length || 0,
+        totalRecords: stats.totalRecords || 0,
+        avgUpdatesPerToken: uniqueTokens.size ? Math.round(stats.updates.length / uniqueTokens.size) : 0
+    };
+}
 
-        // Wait for all tokens to be processed and filter out nulls
-        const results = await Promise.all(tokenPromises);
-        const validTokens = results.filter(token => token !== null);
-        
-        // Get current sorting criteria
-        const config = await storage.getConfig('sort_criteria');
-        const currentCriteria = config?.value || 'mc';
-        const sortConfig = SORT_CRITERIA[currentCriteria] || SORT_CRITERIA.mc;
+// Refresh prices of every tracked token (used by the scheduler)
+async function refreshPrices() {
+    const tokens = await tokenRegistry.getTokens();
+    const results = await Promise.all(
+        tokens.map(token => getDexInfo(token.poolAddress, { force: true }))
+    );
+    const updated = results.filter(dexInfo => dexInfo !== null).length;
+    console.log(`🔄 Prices refreshed: ${updated}/${tokens.length} tokens`);
 
-        // Sort tokens by criteria
-        return validTokens.sort((a, b) => {
-            const valueA = a.dex?.[sortConfig.field] || 0;
-            const valueB = b.dex?.[sortConfig.field] || 0;
-            return valueB - valueA; // Descending order
-        });
-    } catch (error) {
-        console.error('Error getting tokens:', error);
-        return [];
+    // Rebuild the token catalog with the fresh prices
+    await tokenCatalog.refresh().catch(() => {});
+
+    // Announce tokens listed since the previous refresh
+    await announceListings(await getTokens()).catch(error => console.error('Error announcing listings:', error));
+}
+
+// Notify chats whose price alerts were triggered by a price update
+async function notifyAlerts(token, price) {
+    const triggered = await alertService.checkAlerts(token.poolAddress, price);
+    if (!triggered.length) return;
+
+    for (const alert of triggered) {
+        const { uiMode: currentUI } = await chatSettings.get(alert.chatId);
+        const t = await getTranslator(alert.chatId, { id: alert.userId });
+        let message = `${t('alerts.notification')}\n\n`;
+        message += `*${token.name.replace(/[*_`]/g, '')}* (${alert.ticker})\n`;
+        message += `${t('alerts.condition', { condition: alertService.describe(alert, t.language) })}\n`;
+        message += `${t('alerts.price', { price })}\n`;
+        if (alert.change !== null) {
+            message += `${t('alerts.change', { icon: alert.change >= 0 ? '🟢' : '🔴', change: alert.change.toFixed(2) })}\n`;
+        }
+
+        const options = { parse_mode: 'Markdown' };
+        if (currentUI === 'buttons') {
+            options.reply_markup = {
+                inline_keyboard: [[
+                    { text: t('common.viewPrice'), callback_data: `price_${alert.ticker}` },
+                    { text: t('alerts.myAlerts'), callback_data: 'alerts_list' }
+                ]]
+            };
+        }
+
+        try {
+            await bot.sendMessage(alert.chatId, message, options);
+        } catch (error) {
+            console.error(`Error sending alert ${alert.id}:`, error.message);
+        }
     }
 }
 
-// Number formatting
-function formatNumber(num) {
-    if (!num) return 'N/A';
-    if (num >= 1e9) return (num / 1e9).toFixed(2) + 'B';
-    if (num >= 1e6) return (num / 1e6).toFixed(2) + 'M';
-    if (num >= 1e3) return (num / 1e3).toFixed(2) + 'K';
-    return num.toFixed(2);
+// Compact number formatters by language
+const numberFormats = new Map();
+
+// Number formatting in the reader's language (e.g. 1.23M, 1,23 M, 123.46万)
+function formatNumber(num, language = i18n.defaultLanguage) {
+    if (!num) return i18n.t(language, 'common.notAvailable');
+    if (!numberFormats.has(language)) {
+        numberFormats.set(language, new Intl.NumberFormat(i18n.locale(language), {
+            notation: 'compact',
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }));
+    }
+    return numberFormats.get(language).format(num);
 }
 
-// Calculate percentage change
+// Calculate percentage change (formatted with 2 decimals)
 function calculatePercentChange(oldValue, newValue) {
-    if (!oldValue || !newValue) return null;
-    return ((newValue - oldValue) / oldValue * 100).toFixed(2);
+    const change = TimeSeriesStore.percentChange(oldValue, newValue);
+    return change === null ? null : change.toFixed(2);
+}
+
+// Build the welcome message with the command list
+function buildStartMessage(t, currentUI) {
+    const message = `${t('start.title')}\n\n${t('start.commands')}`;
+    if (currentUI !== 'buttons') {
+        return { message, keyboard: null };
+    }
+
+    const keyboard = {
+        inline_keyboard: [
+            [{ text: t('common.viewTokens'), callback_data: 'tokens_1' }],
+            [{ text: t('common.viewPrice'), callback_data: 'price_select' }],
+            [{ text: t('common.viewHistory'), callback_data: 'history_select' }],
+            [{ text: t('common.myWatchlist'), callback_data: 'watchlist' }]
+        ]
+    };
+    return { message, keyboard };
 }
 
 // Bot commands
 bot.onText(/\/start/, async (msg) => {
-    const config = await storage.getConfig('ui_mode');
-    const currentUI = config?.value || 'text';
-    
-    const message = '👑 *DAOs World Bot*\n\n' +
-        '*Commands:*\n' +
-        '/tokens - List active tokens\n' +
-        '/price alch - Detailed token information\n'
+    const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+    const t = await getTranslator(msg.chat.id, msg.from);
+    const { message, keyboard } = buildStartMessage(t, currentUI);
 
-    if (currentUI === 'buttons') {
-        const keyboard = {
-            inline_keyboard: [
-                [{ text: '📊 View Tokens', callback_data: 'tokens_1' }],
-                [{ text: '💰 View Price', callback_data: 'price_select' }],
-                [{ text: '📈 View History', callback_data: 'history_select' }]
-            ]
-        };
-        
-        bot.sendMessage(msg.chat.id, message, {
-            parse_mode: 'Markdown',
-            reply_markup: keyboard
-        });
-    } else {
-        bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
-    }
+    const options = { parse_mode: 'Markdown' };
+    if (keyboard) options.reply_markup = keyboard;
+    bot.sendMessage(msg.chat.id, message, options);
 });
 
-// Tokens per page
+// Tokens per page (default, chats can change it with /settings)
 const TOKENS_PER_PAGE = 10;
 
-// /tokens command with pagination
-bot.onText(/\/tokens(?:\s+(\d+))?/, async (msg, match) => {
-    try {
-        const statusMsg = await bot.sendMessage(msg.chat.id, '⏳ Loading tokens...');
-        const tokens = await getTokens();
-        const config = await storage.getConfig('ui_mode');
-        const currentUI = config?.value || 'text';
-        
-        // Calculate pages
-        const totalPages = Math.ceil(tokens.length / TOKENS_PER_PAGE);
-        const page = Math.min(Math.max(parseInt(match[1] || 1), 1), totalPages);
-        const start = (page - 1) * TOKENS_PER_PAGE;
-        const end = start + TOKENS_PER_PAGE;
-        
-        let message = `📊 *Active Tokens* (${tokens.length} total)\n`;
-        message += `📄 Page ${page}/${totalPages}\n\n`;
-        
-        // Display tokens from the current page
-        const pageTokens = tokens.slice(start, end);
-        pageTokens.forEach(token => {
-            message += `*${token.name}* (${token.ticker})\n`;
-            if (token.dex) {
-                // message += `💰 $${token.dex.price || 'N/A'}\n`;
-                message += `💎 MC: $${formatNumber(token.dex.marketCap)}\n`;
-                message += `📊 24h Volume: $${formatNumber(token.dex.volume24h)}\n`;
-                // message += `💧 Liq: $${formatNumber(token.dex.liquidity)}\n`;
-            }
-            message += '\n';
-        });
+// Token summary used by token lists (MC and volume)
+function formatTokenSummary(token, t) {
+    let message = `*${token.name}* (${token.ticker})\n`;
+    if (token.dex) {
+        message += `${t('tokens.marketCap', { value: formatNumber(token.dex.marketCap, t.language) })}\n`;
+        message += `${t('tokens.volume', { value: formatNumber(token.dex.volume24h, t.language) })}\n`;
+    }
+    return message + '\n';
+}
 
-        if (currentUI === 'buttons') {
-            // Create navigation buttons and actions
-            const keyboard = {
-                inline_keyboard: [
-                    // Buttons for each token in the page
-                    ...pageTokens.map(token => ([
-                        { text: `💰 ${token.ticker}`, callback_data: `price_${token.ticker}` },
-                        { text: `📈 ${token.ticker}`, callback_data: `history_${token.ticker}` }
-                    ])),
-                    // Navigation buttons
-                    [
-                        page > 1 ? { text: '« Previous', callback_data: `tokens_${page - 1}` } : { text: ' ', callback_data: 'noop' },
-                        { text: `${page}/${totalPages}`, callback_data: 'noop' },
-                        page < totalPages ? { text: 'Next »', callback_data: `tokens_${page + 1}` } : { text: ' ', callback_data: 'noop' }
-                    ]
-                ]
-            };
+// Criteria /tokens can filter by (min_liq=50k)
+const TOKEN_FILTERS = ['mc', 'liq', 'vol', 'change'];
 
-            await bot.editMessageText(message, {
-                chat_id: msg.chat.id,
-                message_id: statusMsg.message_id,
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
+// Minimum liquidity and volume buttons of the token list
+const TOKEN_FILTER_PRESETS = {
+    liq: { icon: '💧', values: [10000, 50000, 100000] },
+    vol: { icon: '📊', values: [1000, 10000, 100000] }
+};
+
+// Parse an amount with an optional k, m or b suffix (50k = 50000), null if it is not one
+function parseAmount(value) {
+    const match = String(value).match(/^(-?\d+(?:\.\d+)?)([kmb])?$/i);
+    if (!match) return null;
+    return parseFloat(match[1]) * ({ k: 1e3, m: 1e6, b: 1e9 }[match[2]?.toLowerCase()] || 1);
+}
+
+// Shortest form of an amount for commands and callback data (50000 = 50k)
+function shortAmount(value) {
+    for (const [suffix, multiplier] of [['b', 1e9], ['m', 1e6], ['k', 1e3]]) {
+        if (Math.abs(value) >= multiplier && value % multiplier === 0) return `${value / multiplier}${suffix}`;
+    }
+    return String(value);
+}
+
+// Parse the /tokens arguments: a page, sort=<criteria> and min_<criteria>=<amount>
+// Returns null if an argument is not valid
+function parseTokensArgs(args) {
+    const view = { page: 1, sort: null, filters: {} };
+    for (const arg of args) {
+        const [key, value] = arg.toLowerCase().split('=');
+        const filter = key.startsWith('min_') ? key.substring('min_'.length) : null;
+
+        if (/^\d+$/.test(arg)) {
+            view.page = parseInt(arg);
+        } else if (key === 'sort' && SORT_CRITERIA[value]) {
+            view.sort = value;
+        } else if (TOKEN_FILTERS.includes(filter) && parseAmount(value) !== null) {
+            view.filters[filter] = parseAmount(value);
         } else {
-            // Add navigation instructions in text mode
-            if (totalPages > 1) {
-                message += `\n📱 *Navigation*:\n`;
-                message += `Use /tokens ${page > 1 ? page - 1 : totalPages} for previous page\n`;
-                message += `Use /tokens ${page < totalPages ? page + 1 : 1} for next page`;
-            }
+            return null;
+        }
+    }
+    return view;
+}
 
-            await bot.editMessageText(message, {
-                chat_id: msg.chat.id,
-                message_id: statusMsg.message_id,
-                parse_mode: 'Markdown'
-            });
+// Encode the sort and filters of a token list in callback data ("vol,liq50k")
+// Commas separate the parts because tickers in watch_ callbacks follow an underscore
+function encodeTokensView({ sort, filters }) {
+    return [sort, ...Object.entries(filters).map(([key, value]) => `${key}${shortAmount(value)}`)].join(',');
+}
+
+// Decode the sort and filters of a token list from callback data
+function decodeTokensView(state = '') {
+    const [sort, ...parts] = state.split(',');
+    const filters = {};
+    for (const part of parts) {
+        const [, key, value] = part.match(/^([a-z]+)(.+)$/) || [];
+        if (TOKEN_FILTERS.includes(key) && parseAmount(value) !== null) filters[key] = parseAmount(value);
+    }
+    return { sort: SORT_CRITERIA[sort] ? sort : null, filters };
+}
+
+// Describe a token list filter (Liquidity ≥ $50.00K)
+function formatTokensFilter(key, value, t) {
+    const amount = key === 'change' ? `${value}%` : `$${formatNumber(value, t.language)}`;
+    return `${t(`sortCriteria.${key}`)} ≥ ${amount}`;
+}
+
+// Build a page of the token list
+// The view ({ sort, filters }) is kept in the navigation commands and buttons
+function buildTokensPage(tokens, page, currentUI, t, watchlist = [], pageSize = TOKENS_PER_PAGE, view = { sort: 'mc', filters: {} }) {
+    const totalPages = Math.max(Math.ceil(tokens.length / pageSize), 1);
+    page = Math.min(Math.max(page || 1, 1), totalPages);
+    const start = (page - 1) * pageSize;
+    const end = start + pageSize;
+    
+    const filters = Object.entries(view.filters);
+    let message = `${t('tokens.title', { count: tokens.length })}\n`;
+    message += `${t('tokens.page', { page, totalPages })}\n`;
+    message += `${t('tokens.sortedBy', { criteria: t(`sortCriteria.${view.sort}`) })}\n`;
+    if (filters.length) {
+        message += `${t('tokens.filters', { filters: filters.map(([key, value]) => formatTokensFilter(key, value, t)).join(', ') })}\n`;
+    }
+    message += '\n';
+    
+    // Display tokens from the current page
+    const pageTokens = tokens.slice(start, end);
+    pageTokens.forEach(token => {
+        message += formatTokenSummary(token, t);
+    });
+    if (!tokens.length && filters.length) {
+        message += `${t('tokens.noMatches')}\n`;
+    }
+
+    if (currentUI !== 'buttons') {
+        // Add navigation instructions in text mode
+        if (totalPages > 1) {
+            const args = [`sort=${view.sort}`, ...filters.map(([key, value]) => `min\\_${key}=${shortAmount(value)}`)].join(' ');
+            message += `\n${t('tokens.navigation')}\n`;
+            message += `${t('tokens.previousPage', { page: `${page > 1 ? page - 1 : totalPages} ${args}` })}\n`;
+            message += t('tokens.nextPage', { page: `${page < totalPages ? page + 1 : 1} ${args}` });
+        }
+        return { message, keyboard: null };
+    }
+
+    // Callback data of a page of the list with a view (the current one by default)
+    const pageData = (number, other = view) => `tokens_${number}_${encodeTokensView(other)}`;
+    // Keeps the sort and drops the last filters if the view is too long for the 64 bytes of callback data
+    const watchData = token => {
+        const filters = Object.entries(view.filters);
+        const build = () => `watch_${page}_${encodeTokensView({ sort: view.sort, filters: Object.fromEntries(filters) })}_${poolKey(token)}`;
+        while (Buffer.byteLength(build()) > 64 && filters.length) filters.pop();
+        return build();
+    };
+
+    // Pressing the active filter removes it
+    const toggleFilter = (key, value) => {
+        const { [key]: current, ...others } = view.filters;
+        return { ...view, filters: current === value ? others : { ...others, [key]: value } };
+    };
+
+    // Create navigation buttons and actions
+    const keyboard = {
+        inline_keyboard: [
+            // Buttons for each token in the page
+            ...pageTokens.map(token => ([
+                { text: `💰 ${token.ticker}`, callback_data: `price_${token.address}` },
+                { text: `📈 ${token.ticker}`, callback_data: `history_${token.address}` },
+                {
+                    text: watchlist.includes(token.poolAddress) ? '⭐' : '☆',
+                    callback_data: watchData(token)
+                }
+            ])),
+            // Navigation buttons
+            [
+                page > 1 ? { text: t('tokens.previous'), callback_data: pageData(page - 1) } : { text: ' ', callback_data: 'noop' },
+                { text: `${page}/${totalPages}`, callback_data: 'noop' },
+                page < totalPages ? { text: t('tokens.next'), callback_data: pageData(page + 1) } : { text: ' ', callback_data: 'noop' }
+            ],
+            // Sort and filter toggles (back to the first page)
+            Object.keys(SORT_CRITERIA).map(key => ({
+                text: `${key === view.sort ? '✓ ' : ''}${t(`tokens.sortLabels.${key}`)}`,
+                callback_data: pageData(1, { ...view, sort: key })
+            })),
+            ...Object.entries(TOKEN_FILTER_PRESETS).map(([key, preset]) => preset.values.map(value => ({
+                text: `${view.filters[key] === value ? '✓ ' : ''}${preset.icon} ≥${shortAmount(value)}`,
+                callback_data: pageData(1, toggleFilter(key, value))
+            })))
+        ]
+    };
+
+    return { message, keyboard };
+}
+
+// /tokens command with pagination, sorting and filters (/tokens 2 sort=vol min_liq=50k)
+bot.onText(/^\/tokens(?:\s+(.+))?$/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        const args = parseTokensArgs((match[1] || '').trim().split(/\s+/).filter(Boolean));
+        if (!args) {
+            bot.sendMessage(msg.chat.id, t('tokens.usage', {
+                criteria: Object.keys(SORT_CRITERIA).join('|'),
+                filters: TOKEN_FILTERS.map(key => `min_${key}`).join('|')
+            }), { parse_mode: 'Markdown' });
+            return;
         }
+
+        const statusMsg = await bot.sendMessage(msg.chat.id, t('tokens.loading'));
+        const settings = await chatSettings.get(msg.chat.id);
+        const currentUI = settings.uiMode;
+        const view = { sort: args.sort || settings.sortCriteria, filters: args.filters };
+        const tokens = await getTokens(view.sort, view.filters);
+        const watchlist = currentUI === 'buttons' ? await storage.getWatchlist(msg.from.id) : [];
+        
+        const { message, keyboard } = buildTokensPage(tokens, args.page, currentUI, t, watchlist, settings.pageSize, view);
+
+        const options = {
+            chat_id: msg.chat.id,
+            message_id: statusMsg.message_id,
+            parse_mode: 'Markdown'
+        };
+        if (keyboard) options.reply_markup = keyboard;
+
+        await bot.editMessageText(message, options);
     } catch (error) {
         console.error('Error listing tokens:', error);
-        bot.sendMessage(msg.chat.id, '❌ Error loading tokens');
+        bot.sendMessage(msg.chat.id, t('tokens.error'));
     }
 });
 
+// Token details used by /price, the price buttons and ticker messages
+function formatTokenDetails(token, t) {
+    let message = `📊 *${token.name.replace(/[*_`]/g, '')}* (${token.ticker})\n\n`;
+
+    if (token.dex) {
+        message += `${t('price.marketData')}\n`;
+        message += `${t('price.price', { price: token.dex.price || t('common.notAvailable') })}\n`;
+        message += `${t('price.marketCap', { value: formatNumber(token.dex.marketCap, t.language) })}\n`;
+        message += `${t('price.liquidity', { value: formatNumber(token.dex.liquidity, t.language) })}\n`;
+        message += `${t('price.volume', { value: formatNumber(token.dex.volume24h, t.language) })}\n`;
+        message += `${t('price.dex', { dex: token.dex.dexId })}\n\n`;
+    }
+
+    message += `${t('price.information')}\n`;
+    message += `${t('price.contract', { address: token.address.replace(/[`]/g, '') })}\n`;
+    message += `${t('price.pool', { address: token.poolAddress.replace(/[`]/g, '') })}\n`;
+    message += `${t('price.creator', { creator: token.creator.replace(/[*_`]/g, '') })}\n`;
+    if (token.telegram) message += t('price.telegram', { telegram: token.telegram.replace(/[*_`]/g, '') });
+    return message;
+}
+
+// Buttons shown below the token details
+// Callbacks carry the contract address, which tells apart tokens sharing a ticker
+function buildTokenKeyboard(token, t) {
+    return {
+        inline_keyboard: [
+            [
+                { text: t('common.viewHistory'), callback_data: `history_${token.address}` },
+                { text: t('common.refresh'), callback_data: `price_${token.address}` }
+            ],
+            [{ text: t('common.back'), callback_data: 'tokens_1' }]
+        ]
+    };
+}
+
+// Short key of a token in callback data with little room: the last hex digits of its pool address
+// (vanity addresses share their first digits)
+function poolKey(token) {
+    return token.poolAddress.slice(-12).toLowerCase();
+}
+
+// Find a token by its pool key, null if no token or several tokens have it
+function findByPoolKey(tokens, key) {
+    const matches = tokens.filter(token => poolKey(token) === key);
+    return matches.length === 1 ? matches[0] : null;
+}
+
+// Whether another token of the list has the same ticker
+function isSharedTicker(token, tokens) {
+    return tokens.some(other => other !== token && other.ticker === token.ticker);
+}
+
+// Identify a token in commands: its ticker, or its contract address if the ticker is shared
+function tokenCommandId(token, tokens) {
+    return isSharedTicker(token, tokens) ? token.address : token.ticker;
+}
+
+// Keyboard to pick a token for an action (price_, history_ or clear_ callbacks)
+// Tokens sharing a ticker are labeled with their name too
+function buildTokenSelectKeyboard(tokens, action, t, back = 'start') {
+    return {
+        inline_keyboard: tokens.map(token => ([{
+            text: isSharedTicker(token, tokens) ? `${token.ticker} · ${token.name}` : token.ticker,
+            callback_data: `${action}_${token.address}`
+        }])).concat([[
+            { text: t('common.back'), callback_data: back }
+        ]])
+    };
+}
+
+// Actions with price_ and history_ buttons to pick a token; other commands list their command lines
+const TOKEN_SELECT_ACTIONS = ['price', 'history'];
+
+// Reply to a token query without a single match (action: the command, e.g. price or watch)
+// Lists the tokens sharing the ticker or the closest ones ("did you mean"), as buttons or commands;
+// with no close token, buttons mode offers the whole list
+// args: the rest of the command, repeated in the suggested commands (/alert 0x… above 0.5)
+async function sendTokenChoices(chatId, query, { ambiguous, matches }, action, currentUI, t, allTokens, args = '') {
+    const buttons = currentUI === 'buttons' && TOKEN_SELECT_ACTIONS.includes(action);
+    if (matches.length === 0) {
+        if (buttons) {
+            await bot.sendMessage(chatId,
+                `${t('select.title')}\n\n${t(`select.${action}`)}`,
+                {
+                    parse_mode: 'Markdown',
+                    reply_markup: buildTokenSelectKeyboard(allTokens, action, t)
+                }
+            );
+        } else {
+            await bot.sendMessage(chatId, t('common.tokenNotFound', { ticker: query }));
+        }
+        return;
+    }
+
+    let message = t(ambiguous ? 'search.ambiguous' : 'search.didYouMean', { query: stripMarkdown(query) });
+    const options = { parse_mode: 'Markdown' };
+    if (buttons) {
+        options.reply_markup = buildTokenSelectKeyboard(matches, action, t);
+    } else {
+        const suffix = args ? ` ${stripMarkdown(args)}` : '';
+        message += '\n\n' + matches
+            .map(token => `• ${stripMarkdown(token.name)} (${stripMarkdown(token.ticker)}): /${action} ${stripMarkdown(tokenCommandId(token, allTokens))}${suffix}`)
+            .join('\n');
+    }
+    await bot.sendMessage(chatId, message, options);
+}
+
 // /price command with button support
 bot.onText(/\/price (.+)/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
     try {
+        const query = match[1].trim();
         const allTokens = await getTokens();
-        const token = allTokens.find(t => t.ticker.toUpperCase() === match[1].toUpperCase());
-        const config = await storage.getConfig('ui_mode');
-        const currentUI = config?.value || 'text';
+        const result = tokenSearch.resolve(allTokens, query);
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
         
-        if (!token) {
-            if (currentUI === 'buttons') {
-                // Show available tokens
-                const keyboard = {
-                    inline_keyboard: allTokens.map(t => ([
-                        { text: t.ticker, callback_data: `price_${t.ticker}` }
-                    ])).concat([[
-                        { text: '« Back', callback_data: 'start' }
-                    ]])
-                };
-                
-                bot.sendMessage(msg.chat.id,
-                    '🔍 *Select a Token*\n\n' +
-                    'Select the token to view its price:',
-                    {
-                        parse_mode: 'Markdown',
-                        reply_markup: keyboard
-                    }
-                );
-            } else {
-                bot.sendMessage(msg.chat.id, `❌ Token not found: ${match[1]}`);
-            }
+        if (!result.token) {
+            await sendTokenChoices(msg.chat.id, query, result, 'price', currentUI, t, allTokens);
             return;
         }
         
-        let message = `📊 *${token.name.replace(/[*_`]/g, '')}* (${token.ticker})\n\n`;
-        
-        if (token.dex) {
-            message += `💰 *Market Data*\n`;
-            message += `Price: $${token.dex.price || 'N/A'}\n`;
-            message += `MC: $${formatNumber(token.dex.marketCap)}\n`;
-            message += `Liquidity: $${formatNumber(token.dex.liquidity)}\n`;
-            message += `24h Volume: $${formatNumber(token.dex.volume24h)}\n`;
-            message += `DEX: ${token.dex.dexId}\n\n`;
-        }
+        const token = result.token;
+        const options = {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        };
+        if (currentUI === 'buttons') options.reply_markup = buildTokenKeyboard(token, t);
+
+        bot.sendMessage(msg.chat.id, formatTokenDetails(token, t), options);
+    } catch (error) {
+        bot.sendMessage(msg.chat.id, t('price.error'));
+    }
+});
+
+// Maximum results of /search
+const SEARCH_RESULTS_LIMIT = 10;
+
+// /search command: tokens matching a ticker, name or address, typos included
+bot.onText(/^\/search(?:\s+(.+))?$/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!match[1]) {
+        bot.sendMessage(msg.chat.id, t('search.usage'), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    try {
+        const query = match[1].trim();
+        const allTokens = await getTokens();
+        const tokens = tokenSearch.search(allTokens, query, SEARCH_RESULTS_LIMIT);
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
 
-        message += `📝 *Information*\n`;
-        message += `Contract: \`${token.address.replace(/[`]/g, '')}\`\n`;
-        message += `Pool: \`${token.poolAddress.replace(/[`]/g, '')}\`\n`;
-        message += `Creator: @${token.creator.replace(/[*_`]/g, '')}\n`;
-        if (token.telegram) message += `Telegram: @${token.telegram.replace(/[*_`]/g, '')}`;
+        if (tokens.length === 0) {
+            bot.sendMessage(msg.chat.id, t('search.noResults', { query: stripMarkdown(query) }), { parse_mode: 'Markdown' });
+            return;
+        }
 
+        let message = `${t('search.title', { query: stripMarkdown(query), count: tokens.length })}\n\n`;
+        const options = { parse_mode: 'Markdown' };
         if (currentUI === 'buttons') {
-            const keyboard = {
-                inline_keyboard: [
-                    [
-                        { text: '📈 View History', callback_data: `history_${token.ticker}` },
-                        { text: '🔄 Refresh', callback_data: `price_${token.ticker}` }
-                    ],
-                    [{ text: '« Back', callback_data: 'tokens_1' }]
-                ]
-            };
-            
-            bot.sendMessage(msg.chat.id, message, {
-                parse_mode: 'Markdown',
-                disable_web_page_preview: true,
-                reply_markup: keyboard
-            });
+            tokens.forEach(token => { message += formatTokenSummary(token, t); });
+            options.reply_markup = buildTokenSelectKeyboard(tokens, 'price', t);
         } else {
-            bot.sendMessage(msg.chat.id, message, {
-                parse_mode: 'Markdown',
-                disable_web_page_preview: true
+            tokens.forEach(token => {
+                message += formatTokenSummary(token, t).trimEnd();
+                message += `\n/price ${stripMarkdown(tokenCommandId(token, allTokens))}\n\n`;
             });
         }
+
+        bot.sendMessage(msg.chat.id, message, options);
     } catch (error) {
-        bot.sendMessage(msg.chat.id, '❌ Error getting information');
+        console.error('Error searching tokens:', error);
+        bot.sendMessage(msg.chat.id, t('search.error'));
     }
 });
 
-// /history command with button support
-bot.onText(/\/history (.+)/, async (msg, match) => {
+// Maximum results of an inline query
+const INLINE_RESULTS_LIMIT = 20;
+
+// Inline queries: "@BotName alch" shows the /price card of the matching tokens
+bot.on('inline_query', async (query) => {
+    const t = await getTranslator(null, query.from);
     try {
-        const allTokens = await getTokens();
-        const token = allTokens.find(t => t.ticker.toUpperCase() === match[1].toUpperCase());
-        const config = await storage.getConfig('ui_mode');
-        const currentUI = config?.value || 'text';
-        
-        if (!token) {
-            if (currentUI === 'buttons') {
-                // Show available tokens
-                const keyboard = {
-                    inline_keyboard: allTokens.map(t => ([
-                        { text: t.ticker, callback_data: `history_${t.ticker}` }
-                    ])).concat([[
-                        { text: '« Back', callback_data: 'start' }
-                    ]])
-                };
-                
-                bot.sendMessage(msg.chat.id,
-                    '🔍 *Select a Token*\n\n' +
-                    'Select the token to view its history:',
-                    {
-                        parse_mode: 'Markdown',
-                        reply_markup: keyboard
-                    }
-                );
-            } else {
-                bot.sendMessage(msg.chat.id, `❌ Token not found: ${match[1]}`);
+        // Without a search, the tokens are listed in the default sort order
+        const tokens = tokenSearch.search(await getTokens(), query.query, INLINE_RESULTS_LIMIT);
+
+        const results = tokens.map(token => ({
+            type: 'article',
+            id: token.poolAddress,
+            title: `${token.name} (${token.ticker})`,
+            description: t('inline.description', {
+                price: token.dex?.price || t('common.notAvailable'),
+                marketCap: formatNumber(token.dex?.marketCap, t.language)
+            }),
+            input_message_content: {
+                message_text: formatTokenDetails(token, t),
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
             }
-            return;
-        }
+        }));
 
-        const history = await storage.getPriceHistory(token.poolAddress);
-        
-        if (history.length === 0) {
-            const message = '📊 No historical data available';
-            if (currentUI === 'buttons') {
-                const keyboard = {
-                    inline_keyboard: [[
-                        { text: '« Back', callback_data: 'tokens_1' }
-                    ]]
-                };
-                bot.sendMessage(msg.chat.id, message, {
-                    parse_mode: 'Markdown',
-                    reply_markup: keyboard
-                });
-            } else {
-                bot.sendMessage(msg.chat.id, message);
-            }
-            return;
-        }
+        metrics.inc('bot_inline_queries_total', { result: results.length ? 'found' : 'empty' });
+        // Results are personal because the card is translated to the user's language
+        await bot.answerInlineQuery(query.id, results, { cache_time: 10, is_personal: true });
+    } catch (error) {
+        console.error('Error answering inline query:', error);
+    }
+});
 
-        // Price analysis
-        const currentPrice = history[0].price;
-        const prices = {
-            hour1: history.find(h => new Date(h.updated_at) <= new Date(Date.now() - 60 * 60 * 1000))?.price,
-            hour4: history.find(h => new Date(h.updated_at) <= new Date(Date.now() - 4 * 60 * 60 * 1000))?.price,
-            hour12: history.find(h => new Date(h.updated_at) <= new Date(Date.now() - 12 * 60 * 60 * 1000))?.price,
-            hour24: history.find(h => new Date(h.updated_at) <= new Date(Date.now() - 24 * 60 * 60 * 1000))?.price
-        };
+// History chart windows: length in hours and candle resolution
+const HISTORY_WINDOWS = {
+    '1h': { hours: 1, resolution: '1m' },
+    '4h': { hours: 4, resolution: '5m' },
+    '12h': { hours: 12, resolution: '15m' },
+    '24h': { hours: 24, resolution: '15m' }
+};
 
-        let message = `📊 *${token.name}*\n\n`;
-        message += `💰 *Price:* $${currentPrice}\n\n`;
-        message += `📈 *Changes*:\n`;
-        
-        if (prices.hour1) {
-            const change1h = calculatePercentChange(prices.hour1, currentPrice);
-            message += `1h: ${change1h >= 0 ? '🟢' : '🔴'} ${change1h}%\n`;
+// Build the price change analysis of a token from candles (oldest first)
+function buildHistoryMessage(token, candles, t) {
+    // Open of the last candle started at or before a given time
+    const priceAt = hours => {
+        const target = Date.now() - hours * 60 * 60 * 1000;
+        return [...candles].reverse().find(c => new Date(c.time).getTime() <= target)?.open;
+    };
+
+    // Price analysis
+    const currentPrice = candles[candles.length - 1].close;
+    const prices = {
+        hour1: priceAt(1),
+        hour4: priceAt(4),
+        hour12: priceAt(12),
+        hour24: priceAt(24)
+    };
+
+    let message = `📊 *${token.name}*\n\n`;
+    message += `${t('history.price', { price: currentPrice })}\n\n`;
+    message += `${t('history.changes')}\n`;
+    
+    if (prices.hour1) {
+        const change1h = calculatePercentChange(prices.hour1, currentPrice);
+        message += `1h: ${change1h >= 0 ? '🟢' : '🔴'} ${change1h}%\n`;
+    }
+    
+    if (prices.hour4) {
+        const change4h = calculatePercentChange(prices.hour4, currentPrice);
+        message += `4h: ${change4h >= 0 ? '🟢' : '🔴'} ${change4h}%\n`;
+    }
+
+    if (prices.hour12) {
+        const change12h = calculatePercentChange(prices.hour12, currentPrice);
+        message += `12h: ${change12h >= 0 ? '🟢' : '🔴'} ${change12h}%\n`;
+    }
+    
+    if (prices.hour24) {
+        const change24h = calculatePercentChange(prices.hour24, currentPrice);
+        message += `24h: ${change24h >= 0 ? '🟢' : '🔴'} ${change24h}%\n`;
+    }
+
+    return message;
+}
+
+// Build the history chart keyboard (window and volume toggles)
+function buildHistoryKeyboard(token, window, showVolume, t) {
+    const volumeFlag = showVolume ? 1 : 0;
+    return {
+        inline_keyboard: [
+            Object.keys(HISTORY_WINDOWS).map(w => ({
+                text: w === window ? `✓ ${w}` : w,
+                callback_data: `chart_${w}_${volumeFlag}_${token.address}`
+            })),
+            [{ text: `${t('history.volume')} ${showVolume ? '✓' : ''}`, callback_data: `chart_${window}_${1 - volumeFlag}_${token.address}` }],
+            [
+                { text: t('common.viewPrice'), callback_data: `price_${token.address}` },
+                { text: t('common.refresh'), callback_data: `chart_${window}_${volumeFlag}_${token.address}` }
+            ],
+            [{ text: t('common.back'), callback_data: 'tokens_1' }]
+        ]
+    };
+}
+
+// Send the price history of a token as a chart with its analysis
+async function sendHistoryChart(chatId, token, t, { window = '24h', showVolume = false, currentUI = 'text' } = {}) {
+    const candles = await storage.getCandles(token.poolAddress, '5m', Date.now() - 25 * 60 * 60 * 1000);
+
+    if (candles.length === 0) {
+        const options = {parse_mode: 'Markdown'};
+        if (currentUI === 'buttons') {
+            options.reply_markup = {
+                inline_keyboard: [[
+                    { text: t('common.back'), callback_data: 'tokens_1' }
+                ]]
+            };
         }
+        await bot.sendMessage(chatId, t('history.noData'), options);
+        return;
+    }
+
+    let caption = buildHistoryMessage(token, candles, t);
+
+    // Candle closes inside the window, oldest first
+    const { hours, resolution } = HISTORY_WINDOWS[window];
+    const windowCandles = await storage.getCandles(token.poolAddress, resolution, Date.now() - hours * 60 * 60 * 1000);
+    const points = windowCandles
+        .map(c => ({
+            time: new Date(c.time).getTime(),
+            price: c.close,
+            volume: c.volume
+        }))
+        .filter(p => p.price > 0);
+
+    const options = {parse_mode: 'Markdown'};
+    if (currentUI === 'buttons') {
+        options.reply_markup = buildHistoryKeyboard(token, window, showVolume, t);
+    } else {
+        caption += `\n${t('history.chartUsage', { ticker: token.ticker })}`;
+    }
+
+    if (points.length < 2) {
+        caption += `\n${t('history.notEnoughData', { window })}`;
+        await bot.sendMessage(chatId, caption, options);
+        return;
+    }
+
+    const chart = chartService.renderPriceChart(points, {
+        title: token.ticker,
+        subtitle: window,
+        showVolume
+    });
+
+    options.caption = caption;
+    await bot.sendPhoto(chatId, chart, options, {
+        filename: `${token.ticker}_${window}.png`,
+        contentType: 'image/png'
+    });
+}
+
+// /history command with chart and button support
+bot.onText(/\/history (.+)/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        const [ticker, ...args] = match[1].trim().split(/\s+/);
+        const window = args.map(arg => arg.toLowerCase()).find(arg => HISTORY_WINDOWS[arg]) || '24h';
+        const showVolume = args.some(arg => ['vol', 'volume'].includes(arg.toLowerCase()));
+
+        const allTokens = await getTokens();
+        const result = tokenSearch.resolve(allTokens, ticker);
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
         
-        if (prices.hour4) {
-            const change4h = calculatePercentChange(prices.hour4, currentPrice);
-            message += `4h: ${change4h >= 0 ? '🟢' : '🔴'} ${change4h}%\n`;
+        if (!result.token) {
+            await sendTokenChoices(msg.chat.id, ticker, result, 'history', currentUI, t, allTokens);
+            return;
         }
 
-        if (prices.hour12) {
-            const change12h = calculatePercentChange(prices.hour12, currentPrice);
-            message += `12h: ${change12h >= 0 ? '🟢' : '🔴'} ${change12h}%\n`;
-        }
-        
-        if (prices.hour24) {
-            const change24h = calculatePercentChange(prices.hour24, currentPrice);
-            message += `24h: ${change24h >= 0 ? '🟢' : '🔴'} ${change24h}%\n`;
+        const token = result.token;
+
+        await bot.sendChatAction(msg.chat.id, 'upload_photo');
+        await sendHistoryChart(msg.chat.id, token, t, { window, showVolume, currentUI });
+    } catch (error) {
+        console.error('Error in price history analysis:', error);
+        bot.sendMessage(msg.chat.id, t('history.error'));
+    }
+});
+
+// Market movers windows in hours, and tokens listed on each side
+const MOVERS_WINDOWS = { '1h': 1, '4h': 4, '24h': 24 };
+const MOVERS_LIMIT = 5;
+
+// Percent change with its color (e.g. 🟢 +12.50%)
+function formatChange(value) {
+    return `${value >= 0 ? '🟢 +' : '🔴 '}${value.toFixed(2)}%`;
+}
+
+// Build the biggest gainers and losers of a window from the stored price history
+async function buildMoversMessage(window, currentUI, t) {
+    const tokens = await getTokens();
+    const changes = await digestService.getPriceChanges(tokens, Date.now() - MOVERS_WINDOWS[window] * 60 * 60 * 1000);
+    const gainers = changes
+        .filter(item => item.change > 0)
+        .sort((a, b) => b.change - a.change)
+        .slice(0, MOVERS_LIMIT);
+    const losers = changes
+        .filter(item => item.change < 0)
+        .sort((a, b) => a.change - b.change)
+        .slice(0, MOVERS_LIMIT);
+
+    const line = (item, index) => `${index + 1}. *${item.token.name.replace(/[*_`]/g, '')}* (${item.token.ticker}) ${formatChange(item.change)}\n`;
+    let message = `${t('movers.title', { window })}\n\n`;
+    if (gainers.length) {
+        message += `${t('digest.gainers')}\n${gainers.map(line).join('')}\n`;
+    }
+    if (losers.length) {
+        message += `${t('digest.losers')}\n${losers.map(line).join('')}\n`;
+    }
+    if (!gainers.length && !losers.length) {
+        message += `${t('movers.noChanges', { window })}\n\n`;
+    }
+
+    if (currentUI !== 'buttons') {
+        message += t('movers.usage');
+        return { message: message.trim(), keyboard: null };
+    }
+
+    const movers = [...gainers, ...losers].map(item => item.token);
+    const keyboard = {
+        inline_keyboard: [
+            Object.keys(MOVERS_WINDOWS).map(w => ({
+                text: w === window ? `✓ ${w}` : w,
+                callback_data: `movers_${w}`
+            })),
+            ...buildTokenSelectKeyboard(movers, 'price', t).inline_keyboard
+        ]
+    };
+    return { message: message.trim(), keyboard };
+}
+
+// /movers command: biggest percent gainers and losers of all tokens in a window
+bot.onText(/^\/movers(?:\s+(\S+))?$/i, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        const window = (match[1] || '24h').toLowerCase();
+        if (!MOVERS_WINDOWS[window]) {
+            bot.sendMessage(msg.chat.id, t('movers.invalid'), { parse_mode: 'Markdown' });
+            return;
         }
 
-        if (currentUI === 'buttons') {
-            const keyboard = {
-                inline_keyboard: [
-                    [
-                        { text: '💰 View Price', callback_data: `price_${token.ticker}` },
-                        { text: '🔄 Refresh', callback_data: `history_${token.ticker}` }
-                    ],
-                    [{ text: '« Back', callback_data: 'tokens_1' }]
-                ]
-            };
-            
-            bot.sendMessage(msg.chat.id, message, {
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
-        } else {
-            bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+        const { message, keyboard } = await buildMoversMessage(window, currentUI, t);
+        const options = { parse_mode: 'Markdown' };
+        if (keyboard) options.reply_markup = keyboard;
+        await bot.sendMessage(msg.chat.id, message, options);
+    } catch (error) {
+        console.error('Error getting market movers:', error);
+        bot.sendMessage(msg.chat.id, t('movers.error'));
+    }
+});
+
+// /top criteria (from SORT_CRITERIA) and number of tokens listed
+const TOP_CRITERIA = ['vol', 'liq', 'mc'];
+const TOP_DEFAULT_LIMIT = 10;
+const TOP_MAX_LIMIT = 25;
+
+// Build the ranking of the tokens with the biggest volume, liquidity or market cap
+async function buildTopMessage(criteria, limit, currentUI, t) {
+    const { value } = SORT_CRITERIA[criteria];
+    const tokens = (await getTokens(criteria))
+        .filter(token => value(token))
+        .slice(0, limit);
+
+    let message = `${t('top.title', { count: tokens.length, criteria: t(`sortCriteria.${criteria}`) })}\n\n`;
+    tokens.forEach((token, index) => {
+        message += `${index + 1}. *${token.name.replace(/[*_`]/g, '')}* (${token.ticker}) $${formatNumber(value(token), t.language)}\n`;
+    });
+    if (!tokens.length) {
+        message += `${t('top.noData')}\n`;
+    }
+
+    if (currentUI !== 'buttons') {
+        message += `\n${t('top.usage', { max: TOP_MAX_LIMIT })}`;
+        return { message: message.trim(), keyboard: null };
+    }
+
+    const keyboard = {
+        inline_keyboard: [
+            TOP_CRITERIA.map(key => ({
+                text: `${key === criteria ? '✓ ' : ''}${t(`sortCriteria.${key}`)}`,
+                callback_data: `top_${key}_${limit}`
+            })),
+            ...buildTokenSelectKeyboard(tokens, 'price', t).inline_keyboard
+        ]
+    };
+    return { message: message.trim(), keyboard };
+}
+
+// /top command: tokens ranked by volume, liquidity or market cap (/top liq 5)
+bot.onText(/^\/top(?:\s+(.+))?$/i, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        const args = (match[1] || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+        const criteria = args.find(arg => TOP_CRITERIA.includes(arg)) || 'vol';
+        const limitArg = args.find(arg => /^\d+$/.test(arg));
+        if (args.some(arg => arg !== criteria && arg !== limitArg)) {
+            bot.sendMessage(msg.chat.id, t('top.usage', { max: TOP_MAX_LIMIT }), { parse_mode: 'Markdown' });
+            return;
         }
+
+        const limit = Math.min(Math.max(parseInt(limitArg) || TOP_DEFAULT_LIMIT, 1), TOP_MAX_LIMIT);
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+        const { message, keyboard } = await buildTopMessage(criteria, limit, currentUI, t);
+        const options = { parse_mode: 'Markdown' };
+        if (keyboard) options.reply_markup = keyboard;
+        await bot.sendMessage(msg.chat.id, message, options);
     } catch (error) {
-        console.error('Error in price history analysis:', error);
-        bot.sendMessage(msg.chat.id, '❌ Error getting history');
+        console.error('Error getting top tokens:', error);
+        bot.sendMessage(msg.chat.id, t('top.error'));
     }
 });
 
-// Configuration interface
-const UI_MODES = {
-    'text': { name: 'Text 📝', description: 'Traditional commands' },
-    'buttons': { name: 'Buttons 🔘', description: 'Interactive interface' }
-};
+// Interface modes (names and descriptions in the `ui` messages)
+const UI_MODES = ['text', 'buttons'];
+
+// Build the admin panel (admin management only for the main admin)
+async function buildAdminPanel(user, currentUI, t) {
+    const defaults = await chatSettings.getDefaults();
+    const mainAdmin = isMainAdmin(user);
+
+    let message = `${t('admin.title')}\n\n`;
+
+    // Show additional information for main admin
+    if (mainAdmin) {
+        const admins = await storage.getSecondaryAdmins();
+        message += `${t('admin.management')}\n`;
+        message += `${t('admin.invitationStatus', { status: t(ADMIN_INVITE_ENABLED ? 'admin.active' : 'admin.inactive') })}\n`;
+        message += `${t('admin.secondaryAdmins', { count: admins.size })}\n\n`;
+    }
+
+    message += `${t('admin.storageMode', { mode: t(`storageModes.${storage.getStorageMode()}`) })}\n`;
+    message += `${t('admin.defaultUi', { mode: t(`ui.${defaults.uiMode}.name`) })}\n\n`;
+    message += t('admin.commands');
+
+    if (currentUI !== 'buttons') {
+        return { message, keyboard: null };
+    }
+
+    const keyboard = {
+        inline_keyboard: [
+            [{ text: t('admin.buttons.interval'), callback_data: 'admin_interval' }],
+            [{ text: t('admin.buttons.stats'), callback_data: 'admin_stats' }],
+            [{ text: t('admin.buttons.clear'), callback_data: 'admin_clear' }],
+            [{ text: t('admin.buttons.criteria'), callback_data: 'admin_criteria' }],
+            [{ text: t('admin.buttons.storage'), callback_data: 'admin_storage' }],
+            [{ text: t('admin.buttons.ui'), callback_data: 'admin_ui' }]
+        ]
+    };
+
+    // Add admin management buttons for main admin
+    if (mainAdmin) {
+        keyboard.inline_keyboard.unshift(
+            [{ text: t('admin.buttons.manageAdmins'), callback_data: 'admin_manage' }]
+        );
+    }
+    return { message, keyboard };
+}
 
 // Modify admin message to include UI mode
 bot.onText(/\/admin/, async (msg) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
     if (!await isAdmin(msg)) {
-        bot.sendMessage(msg.chat.id, '❌ You do not have admin permissions');
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
         return;
     }
 
-    const currentMode = storage.getStorageMode();
-    const config = await storage.getConfig('ui_mode');
-    const currentUI = config?.value || 'text';
-    const admins = await storage.getSecondaryAdmins();
-    
-    let message = '👑 *Admin Panel*\n\n';
-    
-    // Show additional information for main admin
-    if (isMainAdmin(msg)) {
-        message += '*Admin Management:*\n';
-        message += `• Invitation Status: ${ADMIN_INVITE_ENABLED ? '✅ Active' : '❌ Inactive'}\n`;
-        message += `• Secondary Admins: ${admins.size}\n\n`;
-    }
-    
-    message += `*Storage Mode:* ${currentMode === 'supabase' ? 'Supabase 📦' : 'Memory 💾'}\n`;
-    message += `*UI Mode:* ${UI_MODES[currentUI].name}\n\n`;
-    message += '*Commands:*\n';
-    message += '/setinterval 30 - Change update interval\n';
-    message += '/stats - View bot statistics\n';
-    message += '/clearhistory ticker - Clear history of a token\n';
-    message += '/setcriteria - Change exposure criteria\n';
-    message += '/setmode - Change storage mode\n';
-    message += '/setui - Change UI mode';
-
-    // If we're in button mode, show buttons
-    if (currentUI === 'buttons') {
-        const keyboard = {
-            inline_keyboard: [
-                [{ text: '⏱️ Change Update Interval', callback_data: 'admin_interval' }],
-                [{ text: '📊 View Bot Statistics', callback_data: 'admin_stats' }],
-                [{ text: '🧹 Clear Token History', callback_data: 'admin_clear' }],
-                [{ text: '📈 Change Exposure Criteria', callback_data: 'admin_criteria' }],
-                [{ text: '💾 Change Storage Mode', callback_data: 'admin_storage' }],
-                [{ text: '🔄 Change UI Mode', callback_data: 'admin_ui' }]
-            ]
-        };
+    const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+    const { message, keyboard } = await buildAdminPanel(msg.from, currentUI, t);
 
-        // Add admin management buttons for main admin
-        if (isMainAdmin(msg)) {
-            keyboard.inline_keyboard.unshift(
-                [{ text: '👥 Manage Admins', callback_data: 'admin_manage' }]
-            );
-        }
-        
-        await bot.sendMessage(msg.chat.id, message, {
-            parse_mode: 'Markdown',
-            reply_markup: keyboard
-        });
-    } else {
-        await bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
-    }
+    const options = { parse_mode: 'Markdown' };
+    if (keyboard) options.reply_markup = keyboard;
+    await bot.sendMessage(msg.chat.id, message, options);
 });
 
-// Command to change UI mode
+// Command to change the default UI mode of chats without their own /settings (bot admins only)
 bot.onText(/\/setui(?:\s+(.+))?/, async (msg, match) => {
-    if (!isAdmin(msg)) {
-        bot.sendMessage(msg.chat.id, '❌ You do not have admin permissions');
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
         return;
     }
 
@@ -578,19 +1195,18 @@ bot.onText(/\/setui(?:\s+(.+))?/, async (msg, match) => {
 
     // If no parameter, show current mode
     if (!match[1]) {
-        let message = '🔄 *Current UI Mode*\n\n';
-        message += `${UI_MODES[currentUI].name}\n`;
-        message += `${UI_MODES[currentUI].description}\n\n`;
-        message += '*To change, use:*\n';
-        message += '`/setui text` - Text mode\n';
-        message += '`/setui buttons` - Button mode';
+        let message = `${t('admin.ui.title')}\n\n`;
+        message += `${t(`ui.${currentUI}.name`)}\n`;
+        message += `${t(`ui.${currentUI}.description`)}\n\n`;
+        message += `${t('common.toChange')}\n`;
+        message += t('admin.ui.usage');
 
         if (currentUI === 'buttons') {
             const keyboard = {
                 inline_keyboard: [
                     [
-                        { text: 'Text Mode 📝', callback_data: 'setui_text' },
-                        { text: 'Button Mode 🔘', callback_data: 'setui_buttons' }
+                        { text: t('admin.ui.textButton'), callback_data: 'setui_text' },
+                        { text: t('admin.ui.buttonsButton'), callback_data: 'setui_buttons' }
                     ]
                 ]
             };
@@ -606,13 +1222,13 @@ bot.onText(/\/setui(?:\s+(.+))?/, async (msg, match) => {
     }
 
     const mode = match[1].toLowerCase();
-    if (!UI_MODES[mode]) {
-        bot.sendMessage(msg.chat.id, '❌ Invalid mode. Use `text` or `buttons`', {parse_mode: 'Markdown'});
+    if (!UI_MODES.includes(mode)) {
+        bot.sendMessage(msg.chat.id, t('admin.ui.invalid'), {parse_mode: 'Markdown'});
         return;
     }
 
     try {
-        const statusMsg = await bot.sendMessage(msg.chat.id, '⏳ Changing UI mode...');
+        const statusMsg = await bot.sendMessage(msg.chat.id, t('admin.ui.changing'));
         
         const success = await storage.updateConfig('ui_mode', mode);
         if (!success) {
@@ -620,8 +1236,7 @@ bot.onText(/\/setui(?:\s+(.+))?/, async (msg, match) => {
         }
 
         await bot.editMessageText(
-            `✅ Mode changed to *${UI_MODES[mode].name}*\n` +
-            `${UI_MODES[mode].description}`,
+            t('admin.ui.changed', { name: t(`ui.${mode}.name`), description: t(`ui.${mode}.description`) }),
             {
                 chat_id: msg.chat.id,
                 message_id: statusMsg.message_id,
@@ -630,14 +1245,24 @@ bot.onText(/\/setui(?:\s+(.+))?/, async (msg, match) => {
         );
     } catch (error) {
         console.error('Error changing mode:', error);
-        bot.sendMessage(msg.chat.id, '❌ Error changing mode');
+        bot.sendMessage(msg.chat.id, t('admin.ui.error'));
     }
 });
 
-// Modify /setcriteria command to show menu
+// List the sort criteria that /setcriteria accepts
+function formatCriteriaList(t) {
+    let message = `${t('admin.criteria.available')}\n`;
+    for (const key of Object.keys(SORT_CRITERIA)) {
+        message += `\`/setcriteria ${key}\` - ${t(`sortCriteria.${key}`)}\n`;
+    }
+    return message;
+}
+
+// /setcriteria command: default sort criteria of chats without their own /settings (bot admins only)
 bot.onText(/\/setcriteria(?:\s+(.+))?/, async (msg, match) => {
-    if (!isAdmin(msg)) {
-        bot.sendMessage(msg.chat.id, '❌ You do not have admin permissions');
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
         return;
     }
 
@@ -646,12 +1271,9 @@ bot.onText(/\/setcriteria(?:\s+(.+))?/, async (msg, match) => {
         const config = await storage.getConfig('sort_criteria');
         const currentCriteria = config?.value || 'mc';
         
-        let message = '📊 *Exposure Criteria*\n\n';
-        message += `Current: *${SORT_CRITERIA[currentCriteria].name}*\n\n`;
-        message += '*Available Criteria:*\n';
-        for (const [key, value] of Object.entries(SORT_CRITERIA)) {
-            message += `\`/setcriteria ${key}\` - ${value.name}\n`;
-        }
+        let message = `${t('admin.criteria.title')}\n\n`;
+        message += `${t('admin.criteria.default', { name: t(`sortCriteria.${currentCriteria}`) })}\n\n`;
+        message += formatCriteriaList(t);
         
         bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
         return;
@@ -659,196 +1281,901 @@ bot.onText(/\/setcriteria(?:\s+(.+))?/, async (msg, match) => {
 
     const criteria = match[1].toLowerCase();
     if (!SORT_CRITERIA[criteria]) {
-        let message = '❌ Invalid criterion\n\n';
-        message += '*Available Criteria:*\n';
-        for (const [key, value] of Object.entries(SORT_CRITERIA)) {
-            message += `\`/setcriteria ${key}\` - ${value.name}\n`;
+        const message = `${t('admin.criteria.invalid')}\n\n${formatCriteriaList(t)}`;
+        bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
+        return;
+    }
+
+    try {
+        const statusMsg = await bot.sendMessage(msg.chat.id, t('admin.criteria.updating'));
+        
+        const success = await storage.updateConfig('sort_criteria', criteria);
+        if (!success) {
+            throw new Error('Could not update criterion');
+        }
+
+        await bot.editMessageText(
+            t('admin.criteria.updatedDefault', { name: t(`sortCriteria.${criteria}`) }),
+            {
+                chat_id: msg.chat.id,
+                message_id: statusMsg.message_id,
+                parse_mode: 'Markdown'
+            }
+        );
+    } catch (error) {
+        console.error('Error updating criterion:', error);
+        bot.sendMessage(msg.chat.id, t('admin.criteria.error'));
+    }
+});
+
+// Per-chat settings: command argument -> setting name
+const CHAT_SETTINGS = {
+    ui: 'uiMode',
+    sort: 'sortCriteria',
+    pagesize: 'pageSize',
+    language: 'language'
+};
+
+const LANGUAGES = {
+    en: 'English',
+    es: 'Español',
+    zh: '中文'
+};
+
+// Check if a user can change the settings of a chat:
+// anyone in a private chat, group admins (checked with Telegram) and bot admins
+async function canManageChat(chat, user, senderChat) {
+    if (chat.type === 'private') return true;
+    if (senderChat?.id === chat.id) return true; // Anonymous group admin
+    if (await isAdmin(user)) return true;
+
+    try {
+        const member = await bot.getChatMember(chat.id, user.id);
+        return ['creator', 'administrator'].includes(member.status);
+    } catch (error) {
+        console.error('Error checking chat member:', error.message);
+        return false;
+    }
+}
+
+// Build the settings view of a chat
+async function buildSettingsMessage(chat, t) {
+    const settings = await chatSettings.get(chat.id);
+    const own = await chatSettings.getOwn(chat.id);
+    const label = (name, value) => `${value}${own[name] === undefined ? ` ${t('settings.default')}` : ''}`;
+    const language = settings.language ? LANGUAGES[settings.language] : t('settings.languageAuto');
+
+    let message = `${t('settings.title')}\n\n`;
+    message += `${t('settings.uiMode', { value: label('uiMode', t(`ui.${settings.uiMode}.name`)) })}\n`;
+    message += `${t('settings.sort', { value: label('sortCriteria', t(`sortCriteria.${settings.sortCriteria}`)) })}\n`;
+    message += `${t('settings.pageSize', { value: label('pageSize', settings.pageSize) })}\n`;
+    message += `${t('settings.language', { value: label('language', language) })}\n\n`;
+
+    if (settings.uiMode !== 'buttons') {
+        message += `${t('common.toChange')}\n`;
+        message += `\`/settings ui ${UI_MODES.join('|')}\`\n`;
+        message += `\`/settings sort ${Object.keys(SORT_CRITERIA).join('|')}\`\n`;
+        message += `\`/settings pagesize ${chatSettings.settings.pageSize.join('|')}\`\n`;
+        message += `\`/settings language ${Object.keys(LANGUAGES).join('|')}\`\n`;
+        message += t('settings.defaultHint');
+        if (chat.type !== 'private') {
+            message += `\n\n${t('settings.groupAdminsOnly')}`;
+        }
+        return { message, keyboard: null };
+    }
+
+    const option = (name, value, text) => ({
+        text: `${text}${settings[CHAT_SETTINGS[name]] === value ? ' ✓' : ''}`,
+        callback_data: `chatset_${name}_${value}`
+    });
+    const keyboard = {
+        inline_keyboard: [
+            UI_MODES.map(mode => option('ui', mode, t(`ui.${mode}.name`))),
+            Object.keys(SORT_CRITERIA).map(key => option('sort', key, t(`sortCriteria.${key}`))),
+            chatSettings.settings.pageSize.map(size => option('pagesize', size, t('settings.perPage', { size }))),
+            Object.entries(LANGUAGES).map(([key, name]) => option('language', key, name)),
+            [{ text: t('settings.reset'), callback_data: 'chatset_reset' }]
+        ]
+    };
+    return { message: message.trim(), keyboard };
+}
+
+// Change a chat setting from a command or button value ("default" clears it)
+// Returns false if the setting or value is invalid
+async function updateChatSetting(chatId, option, rawValue, userId) {
+    const name = CHAT_SETTINGS[option];
+    if (!name) return false;
+
+    let value = rawValue.toLowerCase();
+    if (value === 'default') {
+        value = null;
+    } else if (name === 'pageSize') {
+        value = parseInt(value);
+    }
+    if (value !== null && !chatSettings.settings[name].includes(value)) return false;
+
+    const success = await chatSettings.set(chatId, name, value, userId);
+    if (!success) {
+        throw new Error('Could not save chat settings');
+    }
+    return true;
+}
+
+// /settings command to view and change the settings of the current chat
+bot.onText(/^\/settings(?:\s+(\S+)(?:\s+(\S+))?)?$/i, async (msg, match) => {
+    let t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        if (match[1]) {
+            if (!await canManageChat(msg.chat, msg.from, msg.sender_chat)) {
+                bot.sendMessage(msg.chat.id, t('settings.onlyGroupAdmins'));
+                return;
+            }
+
+            const option = match[1].toLowerCase();
+            if (option === 'reset') {
+                await chatSettings.reset(msg.chat.id);
+            } else if (!match[2] || !await updateChatSetting(msg.chat.id, option, match[2], msg.from.id)) {
+                bot.sendMessage(msg.chat.id, t('settings.invalid'));
+                return;
+            }
+
+            // The chat language may have changed
+            t = await getTranslator(msg.chat.id, msg.from);
         }
+
+        const { message, keyboard } = await buildSettingsMessage(msg.chat, t);
+        const options = { parse_mode: 'Markdown' };
+        if (keyboard) options.reply_markup = keyboard;
+        await bot.sendMessage(msg.chat.id, message, options);
+    } catch (error) {
+        console.error('Error updating chat settings:', error);
+        bot.sendMessage(msg.chat.id, t('settings.error'));
+    }
+});
+
+// Build the language view of a user
+async function buildLanguageMessage(chat, user, currentUI, t) {
+    const chosen = await i18n.getUserLanguage(user.id);
+    const own = await chatSettings.getOwn(chat.id);
+
+    let message = `${t('language.title')}\n\n`;
+    message += `${t('language.current', { language: chosen ? LANGUAGES[chosen] : t('language.auto') })}\n`;
+    if (chat.type !== 'private' && own.language) {
+        message += `${t('language.chatOverride', { language: LANGUAGES[own.language] })}\n`;
+    }
+
+    if (currentUI !== 'buttons') {
+        return { message: `${message}\n${t('language.usage')}`, keyboard: null };
+    }
+
+    const keyboard = {
+        inline_keyboard: [
+            Object.entries(LANGUAGES).map(([key, name]) => ({
+                text: `${name}${chosen === key ? ' ✓' : ''}`,
+                callback_data: `lang_${key}`
+            })),
+            [{ text: `${t('language.auto')}${chosen ? '' : ' ✓'}`, callback_data: 'lang_auto' }]
+        ]
+    };
+    return { message: message.trim(), keyboard };
+}
+
+// Save the language of a user (null to detect it again)
+// In their private chat it also drops the language set with /settings, which would hide the change
+async function setUserLanguage(chat, user, language) {
+    const success = await i18n.setUserLanguage(user.id, language);
+    if (!success) {
+        throw new Error('Could not save language');
+    }
+
+    if (chat.type === 'private' && (await chatSettings.getOwn(chat.id)).language) {
+        await chatSettings.set(chat.id, 'language', null, user.id);
+    }
+}
+
+// /language command to view and change the language of the user
+bot.onText(/^\/language(?:\s+(\S+))?$/i, async (msg, match) => {
+    let t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        if (match[1]) {
+            const language = match[1].toLowerCase();
+            if (language !== 'auto' && !LANGUAGES[language]) {
+                bot.sendMessage(msg.chat.id, t('language.invalid'), {parse_mode: 'Markdown'});
+                return;
+            }
+
+            await setUserLanguage(msg.chat, msg.from, language === 'auto' ? null : language);
+            t = await getTranslator(msg.chat.id, msg.from);
+            bot.sendMessage(msg.chat.id, language === 'auto'
+                ? t('language.changedAuto')
+                : t('language.changed', { language: LANGUAGES[language] })
+            );
+            return;
+        }
+
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+        const { message, keyboard } = await buildLanguageMessage(msg.chat, msg.from, currentUI, t);
+        const options = { parse_mode: 'Markdown' };
+        if (keyboard) options.reply_markup = keyboard;
+        await bot.sendMessage(msg.chat.id, message, options);
+    } catch (error) {
+        console.error('Error changing language:', error);
+        bot.sendMessage(msg.chat.id, t('language.error'));
+    }
+});
+
+// Build the digest subscription view of a chat
+function buildSubscriptionMessage(chatId, currentUI, t) {
+    const subscription = digestService.getSubscription(chatId);
+
+    let message = `${t('digest.title')}\n\n`;
+    message += `${t('digest.status', { frequency: subscription ? t(`digest.frequencies.${subscription.frequency}`) : t('digest.off') })}\n`;
+    if (subscription) {
+        const nextRun = new Date(digestService.nextRun(subscription)).toISOString();
+        message += `${t('digest.nextRun', { time: `${nextRun.slice(0, 10)} ${nextRun.slice(11, 16)}` })}\n`;
+    }
+
+    if (currentUI !== 'buttons') {
+        return { message: `${message}\n${t('digest.usage', { hour: digestService.dailyHour })}`, keyboard: null };
+    }
+
+    const current = subscription?.frequency || 'off';
+    const keyboard = {
+        inline_keyboard: [
+            [...digestService.frequencies, 'off'].map(frequency => ({
+                text: `${frequency === 'off' ? t('digest.off') : t(`digest.frequencies.${frequency}`)}${current === frequency ? ' ✓' : ''}`,
+                callback_data: `digest_${frequency}`
+            }))
+        ]
+    };
+    return { message: message.trim(), keyboard };
+}
+
+// Change the digest subscription of a chat (frequency or 'off')
+// Returns false if the chat was not subscribed when turning it off
+async function updateSubscription(chatId, frequency, userId) {
+    if (frequency === 'off') {
+        return digestService.unsubscribe(chatId);
+    }
+
+    const subscription = await digestService.subscribe(chatId, frequency, { userId, tokens: await getTokens() });
+    if (!subscription) {
+        throw new Error('Could not save digest subscription');
+    }
+    return true;
+}
+
+// Format a digest report
+function formatDigest(digest, t) {
+    const name = token => `*${token.name.replace(/[*_`]/g, '')}* (${token.ticker})`;
+
+    let message = `${t(`digest.reports.${digest.frequency}`)}\n\n`;
+
+    if (digest.gainers.length || digest.losers.length) {
+        if (digest.gainers.length) {
+            message += `${t('digest.gainers')}\n`;
+            digest.gainers.forEach((item, index) => { message += `${index + 1}. ${name(item.token)} ${formatChange(item.change)}\n`; });
+            message += '\n';
+        }
+        if (digest.losers.length) {
+            message += `${t('digest.losers')}\n`;
+            digest.losers.forEach((item, index) => { message += `${index + 1}. ${name(item.token)} ${formatChange(item.change)}\n`; });
+            message += '\n';
+        }
+    } else {
+        message += `${t('digest.noChanges')}\n\n`;
+    }
+
+    if (digest.topVolume.length) {
+        message += `${t('digest.volume')}\n`;
+        digest.topVolume.forEach((token, index) => {
+            message += `${index + 1}. ${name(token)} $${formatNumber(token.dex.volume24h, t.language)}\n`;
+        });
+        message += '\n';
+    }
+
+    if (digest.newTokens.length) {
+        message += `${t('digest.newTokens')}\n`;
+        digest.newTokens.forEach(token => { message += `• ${name(token)}\n`; });
+    }
+
+    return message.trim();
+}
+
+// Deliver a digest (DigestService sender)
+// Chats that blocked or removed the bot are unsubscribed
+async function sendDigest(subscription, digest) {
+    const t = await getTranslator(subscription.chatId, { id: subscription.subscribedBy });
+    const { uiMode: currentUI } = await chatSettings.get(subscription.chatId);
+
+    const options = { parse_mode: 'Markdown' };
+    if (currentUI === 'buttons') {
+        options.reply_markup = {
+            inline_keyboard: [[{ text: t('common.viewTokens'), callback_data: 'tokens_1' }]]
+        };
+    }
+
+    try {
+        await bot.sendMessage(subscription.chatId, formatDigest(digest, t), options);
+    } catch (error) {
+        if (error.response?.statusCode === 403) {
+            await digestService.unsubscribe(subscription.chatId);
+            console.log(`📰 Digest subscription of ${subscription.chatId} removed, the bot cannot write there`);
+        }
+        throw error;
+    }
+}
+
+// /subscribe command to receive periodic digests in the chat
+bot.onText(/^\/subscribe(?:\s+(\S+))?$/i, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        if (match[1]) {
+            const frequency = match[1].toLowerCase();
+            if (frequency !== 'off' && !digestService.frequencies.includes(frequency)) {
+                bot.sendMessage(msg.chat.id, t('digest.invalid'), {parse_mode: 'Markdown'});
+                return;
+            }
+
+            if (!await canManageChat(msg.chat, msg.from, msg.sender_chat)) {
+                bot.sendMessage(msg.chat.id, t('digest.onlyGroupAdmins'));
+                return;
+            }
+
+            const changed = await updateSubscription(msg.chat.id, frequency, msg.from.id);
+            bot.sendMessage(msg.chat.id, frequency === 'off'
+                ? t(changed ? 'digest.unsubscribed' : 'digest.notSubscribed')
+                : t('digest.subscribed', { frequency: t(`digest.frequencies.${frequency}`) })
+            );
+            return;
+        }
+
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+        const { message, keyboard } = buildSubscriptionMessage(msg.chat.id, currentUI, t);
+        const options = { parse_mode: 'Markdown' };
+        if (keyboard) options.reply_markup = keyboard;
+        await bot.sendMessage(msg.chat.id, message, options);
+    } catch (error) {
+        console.error('Error updating digest subscription:', error);
+        bot.sendMessage(msg.chat.id, t('digest.error'));
+    }
+});
+
+// /unsubscribe command to stop the digests of the chat
+bot.onText(/^\/unsubscribe$/i, async (msg) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        if (!await canManageChat(msg.chat, msg.from, msg.sender_chat)) {
+            bot.sendMessage(msg.chat.id, t('digest.onlyGroupAdmins'));
+            return;
+        }
+
+        const removed = await updateSubscription(msg.chat.id, 'off', msg.from.id);
+        bot.sendMessage(msg.chat.id, t(removed ? 'digest.unsubscribed' : 'digest.notSubscribed'));
+    } catch (error) {
+        console.error('Error removing digest subscription:', error);
+        bot.sendMessage(msg.chat.id, t('digest.error'));
+    }
+});
+
+// Account name from a handle or a profile link (x.com, twitter.com, t.me), null if there is none
+function accountHandle(value) {
+    if (!value || value === 'N/A') return null;
+    const handle = String(value).trim()
+        .replace(/^(https?:\/\/)?(www\.)?(x\.com|twitter\.com|t\.me)\//i, '')
+        .replace(/^@/, '')
+        .split(/[/?#]/)[0];
+    return /^\w+$/.test(handle) ? handle : null;
+}
+
+// Markdown link to an account, or the value as plain text if it is not a handle
+function formatAccount(value, baseUrl) {
+    const handle = accountHandle(value);
+    return handle ? `[@${handle}](${baseUrl}${handle})` : stripMarkdown(value);
+}
+
+// Announcement of a new token listing
+function formatListing(token, t) {
+    let message = `${t('listings.announcement')}\n\n`;
+    message += `📊 *${token.name.replace(/[*_`]/g, '')}* (${token.ticker})\n`;
+
+    if (token.dex) {
+        message += `${t('price.price', { price: token.dex.price || t('common.notAvailable') })}\n`;
+        message += `${t('price.marketCap', { value: formatNumber(token.dex.marketCap, t.language) })}\n`;
+        message += `${t('price.liquidity', { value: formatNumber(token.dex.liquidity, t.language) })}\n`;
+    }
+
+    message += `\n${t('price.contract', { address: token.address.replace(/[`]/g, '') })}\n`;
+    message += `${t('price.pool', { address: token.poolAddress.replace(/[`]/g, '') })}\n`;
+    if (accountHandle(token.creator)) {
+        message += `${t('listings.creator', { creator: formatAccount(token.creator, 'https://x.com/') })}\n`;
+    }
+    if (token.telegram) {
+        message += `${t('listings.telegram', { telegram: formatAccount(token.telegram, 'https://t.me/') })}\n`;
+    }
+    return message.trim();
+}
+
+// Announce the tokens listed since the last check to the chats that opted in
+// Chats that blocked or removed the bot are unsubscribed
+async function announceListings(tokens) {
+    const listed = await listingService.detect(tokens);
+    if (!listed.length) return;
+
+    console.log(`🆕 New tokens listed: ${listed.map(token => token.ticker).join(', ')}`);
+    for (const subscriber of Array.from(listingService.subscribers.values())) {
+        const t = await getTranslator(subscriber.chatId, { id: subscriber.subscribedBy });
+        const { uiMode: currentUI } = await chatSettings.get(subscriber.chatId);
+
+        for (const token of listed) {
+            const options = { parse_mode: 'Markdown', disable_web_page_preview: true };
+            if (currentUI === 'buttons') options.reply_markup = buildTokenKeyboard(token, t);
+
+            try {
+                await bot.sendMessage(subscriber.chatId, formatListing(token, t), options);
+            } catch (error) {
+                console.error(`Error announcing ${token.ticker} to ${subscriber.chatId}:`, error.message);
+                if (error.response?.statusCode === 403) {
+                    await listingService.unsubscribe(subscriber.chatId);
+                    break;
+                }
+            }
+        }
+    }
+}
+
+// Build the listing announcements view of a chat
+function buildListingsMessage(chatId, currentUI, t) {
+    const enabled = listingService.isSubscribed(chatId);
+
+    let message = `${t('listings.title')}\n\n`;
+    message += `${t('listings.status', { status: t(enabled ? 'listings.on' : 'listings.off') })}\n`;
+
+    if (currentUI !== 'buttons') {
+        return { message: `${message}\n${t('listings.usage')}`, keyboard: null };
+    }
+
+    const keyboard = {
+        inline_keyboard: [
+            ['on', 'off'].map(option => ({
+                text: `${t(`listings.${option}`)}${enabled === (option === 'on') ? ' ✓' : ''}`,
+                callback_data: `listings_${option}`
+            }))
+        ]
+    };
+    return { message: message.trim(), keyboard };
+}
+
+// Turn the listing announcements of a chat on or off
+// Returns false if nothing changed
+async function updateListings(chatId, option, userId) {
+    if (option === 'off') {
+        return listingService.unsubscribe(chatId);
+    }
+    if (listingService.isSubscribed(chatId)) {
+        return false;
+    }
+    if (!await listingService.subscribe(chatId, userId)) {
+        throw new Error('Could not save listing subscription');
+    }
+    return true;
+}
+
+// /listings command to announce new tokens in the chat
+bot.onText(/^\/listings(?:\s+(\S+))?$/i, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        if (match[1]) {
+            const option = match[1].toLowerCase();
+            if (!['on', 'off'].includes(option)) {
+                bot.sendMessage(msg.chat.id, t('listings.invalid'), {parse_mode: 'Markdown'});
+                return;
+            }
+
+            if (!await canManageChat(msg.chat, msg.from, msg.sender_chat)) {
+                bot.sendMessage(msg.chat.id, t('listings.onlyGroupAdmins'));
+                return;
+            }
+
+            await updateListings(msg.chat.id, option, msg.from.id);
+            bot.sendMessage(msg.chat.id, t(option === 'on' ? 'listings.enabled' : 'listings.disabled'));
+            return;
+        }
+
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+        const { message, keyboard } = buildListingsMessage(msg.chat.id, currentUI, t);
+        const options = { parse_mode: 'Markdown' };
+        if (keyboard) options.reply_markup = keyboard;
+        await bot.sendMessage(msg.chat.id, message, options);
+    } catch (error) {
+        console.error('Error updating listing announcements:', error);
+        bot.sendMessage(msg.chat.id, t('listings.error'));
+    }
+});
+
+// Change update interval
+bot.onText(/\/setinterval (\d+)/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
+        return;
+    }
+
+    const interval = parseInt(match[1]);
+    if (interval < 10) {
+        bot.sendMessage(msg.chat.id, t('admin.interval.minimum'));
+        return;
+    }
+
+    try {
+        const success = await storage.updateConfig('update_interval', interval);
+        
+        if (!success) {
+            throw new Error('Could not update interval');
+        }
+
+        await priceScheduler.reschedule();
+
+        bot.sendMessage(msg.chat.id, t('admin.interval.updated', { interval }));
+    } catch (error) {
+        console.error('Error updating interval:', error);
+        bot.sendMessage(msg.chat.id, t('admin.interval.error'));
+    }
+});
+
+// Format the bot statistics message
+function formatStats(statsData, t) {
+    return t('admin.stats.message', {
+        tokens: statsData.tokens,
+        activeTokens: statsData.activeTokens24h,
+        updates: statsData.updates24h,
+        average: statsData.avgUpdatesPerToken,
+        records: statsData.totalRecords
+    });
+}
+
+// View statistics
+bot.onText(/\/stats/, async (msg) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
+        return;
+    }
+
+    try {
+        // Get active tokens and statistics
+        const tokens = await getTokens();
+        const statsData = await getStatsSummary(tokens);
+
+        bot.sendMessage(msg.chat.id, formatStats(statsData, t), {parse_mode: 'Markdown'});
+    } catch (error) {
+        console.error('Error getting statistics:', error);
+        bot.sendMessage(msg.chat.id, t('admin.stats.error'));
+    }
+});
+
+// Clear history
+bot.onText(/\/clearhistory (.+)/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
+        return;
+    }
+
+    const query = match[1].trim();
+    try {
+        // Get the token
+        const tokens = await getTokens();
+        const result = tokenSearch.resolve(tokens, query);
+        if (!result.token) {
+            await sendTokenChoices(msg.chat.id, query, result, 'clearhistory', 'text', t, tokens);
+            return;
+        }
+
+        const token = result.token;
+        const ticker = token.ticker;
+        const statusMsg = await bot.sendMessage(msg.chat.id, t('admin.clear.clearing'));
+
+        // Clear history using storage service
+        const success = await storage.clearHistory(token.poolAddress);
+        
+        if (!success) {
+            throw new Error('Could not clear history');
+        }
+        
+        await bot.editMessageText(
+            t('admin.clear.cleared', { ticker }),
+            {
+                chat_id: msg.chat.id,
+                message_id: statusMsg.message_id
+            }
+        );
+    } catch (error) {
+        console.error('Error clearing history:', error);
+        bot.sendMessage(msg.chat.id, t('admin.clear.error'));
+    }
+});
+
+// Command to change storage mode
+bot.onText(/\/setmode(?:\s+(.+))?/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
+        return;
+    }
+
+    // If no parameter, show current mode
+    if (!match[1]) {
+        const currentMode = storage.getStorageMode();
+        let message = `${t('admin.storage.title')}\n\n`;
+        message += `${t(`storageModes.${currentMode}`)}\n\n`;
+        message += `${t('common.toChange')}\n`;
+        message += t('admin.storage.usage');
+        
         bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
         return;
     }
 
-    try {
-        const statusMsg = await bot.sendMessage(msg.chat.id, '⏳ Updating criterion...');
-        
-        const success = await storage.updateConfig('sort_criteria', criteria);
+    const mode = match[1].toLowerCase();
+    if (mode !== 'supabase' && mode !== 'memory') {
+        bot.sendMessage(msg.chat.id, t('admin.storage.invalid'), {parse_mode: 'Markdown'});
+        return;
+    }
+
+    try {
+        const statusMsg = await bot.sendMessage(msg.chat.id, t('admin.storage.changing'));
+        
+        storage.setStorageMode(mode === 'supabase');
+        
+        await bot.editMessageText(
+            t('admin.storage.changed', { mode: t(`storageModes.${mode}`) }),
+            {
+                chat_id: msg.chat.id,
+                message_id: statusMsg.message_id,
+                parse_mode: 'Markdown'
+            }
+        );
+    } catch (error) {
+        console.error('Error changing mode:', error);
+        bot.sendMessage(msg.chat.id, t('admin.storage.error'));
+    }
+});
+
+// Find a registry token by ticker or pool address, hidden ones included
+async function findRegistryToken(query) {
+    const tokens = await tokenRegistry.getTokens({ includeHidden: true });
+    const value = query.toLowerCase();
+    return tokens.find(t => t.ticker.toLowerCase() === value || t.poolAddress.toLowerCase() === value);
+}
+
+// Remove Markdown characters from user-provided text
+function stripMarkdown(text) {
+    return String(text).replace(/[*_`[\]]/g, '');
+}
+
+// Track a token that is not in the registry sources
+bot.onText(/^\/addtoken(?:\s+(.+))?$/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
+        return;
+    }
+
+    const poolAddress = match[1]?.trim();
+    if (!poolAddress || !/^0x[a-fA-F0-9]{40}$/.test(poolAddress)) {
+        bot.sendMessage(msg.chat.id, t('tokenAdmin.addUsage'), {parse_mode: 'Markdown'});
+        return;
+    }
+
+    try {
+        const statusMsg = await bot.sendMessage(msg.chat.id, t('tokenAdmin.lookingUp'));
+
+        const existing = await findRegistryToken(poolAddress);
+        if (existing) {
+            await bot.editMessageText(
+                t(existing.hidden ? 'tokenAdmin.alreadyTrackedHidden' : 'tokenAdmin.alreadyTracked', {
+                    ticker: stripMarkdown(existing.ticker)
+                }),
+                { chat_id: msg.chat.id, message_id: statusMsg.message_id }
+            );
+            return;
+        }
+
+        const pool = await marketData.getPool(poolAddress);
+        if (!pool) {
+            await bot.editMessageText(
+                t('tokenAdmin.poolNotFound'),
+                { chat_id: msg.chat.id, message_id: statusMsg.message_id }
+            );
+            return;
+        }
+
+        const success = await tokenRegistry.addCustomToken({
+            name: pool.token.name,
+            ticker: pool.token.symbol,
+            address: pool.token.address,
+            poolAddress
+        }, msg.from.id);
+
         if (!success) {
-            throw new Error('Could not update criterion');
+            throw new Error('Could not save token');
         }
+        tokenCatalog.invalidate();
 
         await bot.editMessageText(
-            `✅ Criterion updated to *${SORT_CRITERIA[criteria].name}*\n` +
-            'Tokens will be sorted according to this criterion on the first page',
-            {
-                chat_id: msg.chat.id,
-                message_id: statusMsg.message_id,
-                parse_mode: 'Markdown'
-            }
+            t('tokenAdmin.added', {
+                name: stripMarkdown(pool.token.name),
+                ticker: stripMarkdown(pool.token.symbol),
+                price: pool.price
+            }),
+            { chat_id: msg.chat.id, message_id: statusMsg.message_id, parse_mode: 'Markdown' }
         );
     } catch (error) {
-        console.error('Error updating criterion:', error);
-        bot.sendMessage(msg.chat.id, '❌ Error updating criterion. Please try again.');
+        console.error('Error adding token:', error);
+        bot.sendMessage(msg.chat.id, t('tokenAdmin.addError'));
     }
 });
 
-// Change update interval
-bot.onText(/\/setinterval (\d+)/, async (msg, match) => {
-    if (!isAdmin(msg)) {
-        bot.sendMessage(msg.chat.id, '❌ You do not have admin permissions');
+// Hide a token from every listing (or show it again with "off")
+bot.onText(/^\/hidetoken(?:\s+(\S+)(?:\s+(off))?)?$/i, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
         return;
     }
 
-    const interval = parseInt(match[1]);
-    if (interval < 10) {
-        bot.sendMessage(msg.chat.id, 'Minimum interval is 10 seconds');
+    if (!match[1]) {
+        bot.sendMessage(msg.chat.id, t('tokenAdmin.hideUsage'), {parse_mode: 'Markdown'});
         return;
     }
 
+    const hidden = !match[2];
     try {
-        const success = await storage.updateConfig('update_interval', interval);
-        
+        const token = await findRegistryToken(match[1]);
+        if (!token) {
+            bot.sendMessage(msg.chat.id, t('common.tokenNotFound', { ticker: stripMarkdown(match[1].toUpperCase()) }));
+            return;
+        }
+
+        const success = await tokenRegistry.setHidden(token.poolAddress, hidden, msg.from.id);
         if (!success) {
-            throw new Error('Could not update interval');
+            throw new Error('Could not save token override');
         }
+        tokenCatalog.invalidate();
 
-        bot.sendMessage(msg.chat.id, `✅ Interval updated to ${interval} seconds`);
+        bot.sendMessage(msg.chat.id, t(hidden ? 'tokenAdmin.hidden' : 'tokenAdmin.visible', {
+            ticker: stripMarkdown(token.ticker)
+        }));
     } catch (error) {
-        console.error('Error updating interval:', error);
-        bot.sendMessage(msg.chat.id, '❌ Error updating interval');
+        console.error('Error hiding token:', error);
+        bot.sendMessage(msg.chat.id, t('tokenAdmin.updateError'));
     }
 });
 
-// View statistics
-bot.onText(/\/stats/, async (msg) => {
-    if (!isAdmin(msg)) {
-        bot.sendMessage(msg.chat.id, '❌ You do not have admin permissions');
+// Override token metadata ("-" restores the source value)
+bot.onText(/^\/settokenmeta(?:\s+(\S+)\s+(\S+)\s+(.+))?$/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
+        return;
+    }
+
+    const fields = tokenRegistry.metaFields.join(', ');
+    if (!match[1]) {
+        bot.sendMessage(msg.chat.id, t('tokenAdmin.metaUsage', { fields }), {parse_mode: 'Markdown'});
+        return;
+    }
+
+    const field = match[2].toLowerCase();
+    if (!tokenRegistry.metaFields.includes(field)) {
+        bot.sendMessage(msg.chat.id, t('tokenAdmin.invalidField', { fields }));
         return;
     }
 
+    let value = match[3].trim() === '-' ? null : match[3].trim();
+    if (value && (field === 'creator' || field === 'telegram')) {
+        value = value.replace(/^@/, '');
+    }
     try {
-        // Get active tokens
-        const tokens = await getTokens();
-        
-        // Get statistics
-        const stats = await storage.getStats();
-        
-        if (!stats) {
-            throw new Error('Could not get statistics');
-        }
-
-        // Calculate statistics
-        const uniqueTokens = new Set(stats.updates?.map(u => u.pool_address) || []);
-        const statsData = {
-            tokens: tokens.length,
-            activeTokens24h: uniqueTokens.size,
-            updates24h: stats.updates?.length || 0,
-            totalRecords: stats.totalRecords || 0,
-            avgUpdatesPerToken: stats.updates ? Math.round(stats.updates.length / uniqueTokens.size) : 0
-        };
+        const token = await findRegistryToken(match[1]);
+        if (!token) {
+            bot.sendMessage(msg.chat.id, t('common.tokenNotFound', { ticker: stripMarkdown(match[1].toUpperCase()) }));
+            return;
+        }
 
-        let message = '📊 *Bot Statistics*\n\n';
-        message += `Total Tokens: ${statsData.tokens}\n`;
-        message += `Active Tokens (24h): ${statsData.activeTokens24h}\n`;
-        message += `Updates (24h): ${statsData.updates24h}\n`;
-        message += `Average/Token: ${statsData.avgUpdatesPerToken}\n`;
-        message += `\n💾 *Database*:\n`;
-        message += `Total Records: ${statsData.totalRecords}`;
+        const success = await tokenRegistry.setMeta(token.poolAddress, field, value, msg.from.id);
+        if (!success) {
+            throw new Error('Could not save token override');
+        }
+        tokenCatalog.invalidate();
 
-        bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
+        bot.sendMessage(msg.chat.id, value === null
+            ? t('tokenAdmin.metaRestored', { ticker: stripMarkdown(token.ticker), field })
+            : t('tokenAdmin.metaSet', { ticker: stripMarkdown(token.ticker), field, value: stripMarkdown(value) })
+        );
     } catch (error) {
-        console.error('Error getting statistics:', error);
-        bot.sendMessage(msg.chat.id, '❌ Error getting statistics');
+        console.error('Error setting token metadata:', error);
+        bot.sendMessage(msg.chat.id, t('tokenAdmin.updateError'));
     }
 });
 
-// Clear history
-bot.onText(/\/clearhistory (.+)/, async (msg, match) => {
-    if (!isAdmin(msg)) {
-        bot.sendMessage(msg.chat.id, '❌ You do not have admin permissions');
+// Ban a user by ID or by replying to one of their messages
+bot.onText(/^\/ban(?:\s+(\d+)(?=\s|$))?(?:\s+(.+))?$/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
+        return;
+    }
+
+    // A first argument starting with a digit is a malformed ID (e.g. 123abc), not a reason
+    if (!match[1] && /^\d/.test(match[2] || '')) {
+        bot.sendMessage(msg.chat.id, t('ban.usage'), {parse_mode: 'Markdown'});
         return;
     }
 
-    const ticker = match[1].toUpperCase();
+    const reply = msg.reply_to_message?.from;
+    const userId = match[1] || reply?.id?.toString();
     try {
-        const statusMsg = await bot.sendMessage(msg.chat.id, '⏳ Clearing history...');
-        
-        // Get the token
-        const tokens = await getTokens();
-        const token = tokens.find(t => t.ticker.toUpperCase() === ticker);
-        
-        if (!token) {
-            await bot.editMessageText(
-                `❌ Token not found: ${ticker}`,
-                {
-                    chat_id: msg.chat.id,
-                    message_id: statusMsg.message_id
-                }
-            );
+        if (!userId) {
+            const bans = await storage.getBannedUsers();
+            let message = `${t('ban.usage')}\n\n`;
+            message += bans.length ? `${t('ban.list')}\n` : t('ban.none');
+            bans.slice(0, 20).forEach(ban => {
+                message += `• \`${ban.userId}\`${ban.reason ? ` - ${stripMarkdown(ban.reason)}` : ''}\n`;
+            });
+            if (bans.length > 20) {
+                message += t('ban.more', { count: bans.length - 20 });
+            }
+            bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
             return;
         }
 
-        // Clear history using storage service
-        const success = await storage.clearHistory(token.poolAddress);
-        
+        if (await isAdmin(userId)) {
+            bot.sendMessage(msg.chat.id, t('ban.cannotBanAdmin'));
+            return;
+        }
+
+        const reason = match[2]?.trim() || '';
+        const success = await antiSpam.ban(userId, { bannedBy: msg.from.id, reason });
         if (!success) {
-            throw new Error('Could not clear history');
+            throw new Error('Could not save ban');
         }
-        
-        await bot.editMessageText(
-            `✅ History cleared for ${ticker}`,
-            {
-                chat_id: msg.chat.id,
-                message_id: statusMsg.message_id
-            }
-        );
+
+        const name = reply?.id?.toString() === userId && reply.username ? `@${reply.username}` : userId;
+        bot.sendMessage(msg.chat.id, reason ? t('ban.bannedReason', { name, reason }) : t('ban.banned', { name }));
     } catch (error) {
-        console.error('Error clearing history:', error);
-        bot.sendMessage(msg.chat.id, '❌ Error clearing history');
+        console.error('Error banning user:', error);
+        bot.sendMessage(msg.chat.id, t('ban.error'));
     }
 });
 
-// Command to change storage mode
-bot.onText(/\/setmode(?:\s+(.+))?/, async (msg, match) => {
-    if (!isAdmin(msg)) {
-        bot.sendMessage(msg.chat.id, '❌ You do not have admin permissions');
+// Unban a user
+bot.onText(/^\/unban(?:\s+(\d+))?$/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    if (!await isAdmin(msg)) {
+        bot.sendMessage(msg.chat.id, t('common.noPermission'));
         return;
     }
 
-    // If no parameter, show current mode
     if (!match[1]) {
-        const currentMode = storage.getStorageMode();
-        let message = '🔄 *Current Storage Mode*\n\n';
-        message += `${currentMode === 'supabase' ? 'Supabase 📦' : 'Memory 💾'}\n\n`;
-        message += '*To change, use:*\n';
-        message += '`/setmode supabase` - Change to Supabase\n';
-        message += '`/setmode memory` - Change to Memory';
-        
-        bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
-        return;
-    }
-
-    const mode = match[1].toLowerCase();
-    if (mode !== 'supabase' && mode !== 'memory') {
-        bot.sendMessage(msg.chat.id, '❌ Invalid mode. Use `supabase` or `memory`', {parse_mode: 'Markdown'});
+        bot.sendMessage(msg.chat.id, t('ban.unbanUsage'), {parse_mode: 'Markdown'});
         return;
     }
 
     try {
-        const statusMsg = await bot.sendMessage(msg.chat.id, '⏳ Changing storage mode...');
-        
-        storage.setStorageMode(mode === 'supabase');
-        
-        await bot.editMessageText(
-            `✅ Mode changed to *${mode === 'supabase' ? 'Supabase 📦' : 'Memory 💾'}*`,
-            {
-                chat_id: msg.chat.id,
-                message_id: statusMsg.message_id,
-                parse_mode: 'Markdown'
-            }
-        );
+        if (!antiSpam.isBanned(match[1])) {
+            bot.sendMessage(msg.chat.id, t('ban.notBanned', { id: match[1] }));
+            return;
+        }
+
+        const success = await antiSpam.unban(match[1]);
+        if (!success) {
+            throw new Error('Could not remove ban');
+        }
+        bot.sendMessage(msg.chat.id, t('ban.unbanned', { id: match[1] }));
     } catch (error) {
-        console.error('Error changing mode:', error);
-        bot.sendMessage(msg.chat.id, '❌ Error changing mode');
+        console.error('Error unbanning user:', error);
+        bot.sendMessage(msg.chat.id, t('ban.unbanError'));
     }
 });
 
@@ -874,23 +2201,52 @@ async function initializeStorage() {
     }
 }
 
+// Register the webhook, falling back to polling if Telegram rejects it
+async function initializeUpdates() {
+    if (!WEBHOOK_URL) {
+        console.log('📡 Receiving updates with long polling');
+        return;
+    }
+
+    try {
+        await bot.setWebHook(`${WEBHOOK_URL}${WEBHOOK_PATH}`, { secret_token: WEBHOOK_SECRET });
+        webhookActive = true;
+        console.log(`📡 Receiving updates with webhook at ${WEBHOOK_URL}${WEBHOOK_PATH}`);
+    } catch (error) {
+        console.error('Error setting webhook, falling back to polling:', error.message);
+        await bot.startPolling();
+    }
+}
+
 // Initialize bot
 async function initializeBot() {
+    await initializeUpdates();
+
+    try {
+        botUsername = (await bot.getMe()).username;
+    } catch (error) {
+        console.error('Error getting bot info:', error.message);
+    }
+
     const supabaseAvailable = storage.isSupabaseAvailable();
     const connected = await initializeStorage();
+    await antiSpam.loadBans();
+    await listingService.load();
     const mode = storage.getStorageMode() === 'supabase' ? 'Supabase 📦' : 'Memory 💾';
     console.log(`🚀 Bot started in ${mode} mode`);
 
+    // Start periodic price updates
+    await priceScheduler.start(refreshPrices);
+    console.log(`⏱️ Price updates scheduled every ${priceScheduler.getStatus().interval} seconds`);
+
+    // Start sending digests to subscribed chats
+    await digestService.start(getTokens, sendDigest);
+    console.log(`📰 Digests scheduled for ${digestService.subscriptions.size} chats`);
+
     // Notify admin if Supabase is not available (only the first time)
     if (!supabaseAvailable && process.env.ADMIN_CHAT_ID) {
-        const adminMessage = '⚠️ *Configuration Notice*\n\n' +
-            'Supabase credentials are invalid or not configured correctly.\n\n' +
-            'The bot will run in memory mode until:\n' +
-            '1. Configure SUPABASE_URL and SUPABASE_KEY in the .env file\n' +
-            '2. Restart the bot\n\n' +
-            'Supabase-related functions will be disabled.';
-
-        bot.sendMessage(process.env.ADMIN_CHAT_ID, adminMessage, {parse_mode: 'Markdown'});
+        const t = await getTranslator(process.env.ADMIN_CHAT_ID, { id: process.env.ADMIN_CHAT_ID });
+        bot.sendMessage(process.env.ADMIN_CHAT_ID, t('admin.supabaseNotice'), {parse_mode: 'Markdown'});
     }
 }
 
@@ -909,6 +2265,7 @@ bot.on('callback_query', async (callbackQuery) => {
     const msg = callbackQuery.message;
     const data = callbackQuery.data;
     const chatId = msg.chat.id;
+    const t = await getTranslator(chatId, callbackQuery.from);
 
     // Verify if admin for all admin commands
     if ((data.startsWith('admin_') || 
@@ -916,9 +2273,9 @@ bot.on('callback_query', async (callbackQuery) => {
          data.startsWith('setcriteria_') || 
          data.startsWith('setmode_') || 
          data.startsWith('setui_') || 
-         data.startsWith('clear_')) && !isAdmin(callbackQuery.from)) {
+         data.startsWith('clear_')) && !await isAdmin(callbackQuery.from)) {
         await bot.answerCallbackQuery(callbackQuery.id, {
-            text: '❌ You do not have admin permissions',
+            text: t('common.noPermission'),
             show_alert: true
         });
         return;
@@ -935,23 +2292,22 @@ bot.on('callback_query', async (callbackQuery) => {
             // Callbacks from admin panel
             case 'admin_interval':
                 await bot.deleteMessage(chatId, msg.message_id);
-                await bot.sendMessage(chatId, '⏳ Loading options...', { parse_mode: 'Markdown' }).then(async (loadingMsg) => {
+                await bot.sendMessage(chatId, t('common.loadingOptions'), { parse_mode: 'Markdown' }).then(async (loadingMsg) => {
                     const intervalKeyboard = {
                         inline_keyboard: [
                             [
-                                { text: '10 seconds ⚡', callback_data: 'setinterval_10' },
-                                { text: '30 seconds ⏱️', callback_data: 'setinterval_30' },
-                                { text: '60 seconds ⌛', callback_data: 'setinterval_60' }
+                                { text: `${t('admin.interval.seconds', { seconds: 10 })} ⚡`, callback_data: 'setinterval_10' },
+                                { text: `${t('admin.interval.seconds', { seconds: 30 })} ⏱️`, callback_data: 'setinterval_30' },
+                                { text: `${t('admin.interval.seconds', { seconds: 60 })} ⌛`, callback_data: 'setinterval_60' }
                             ],
-                            [{ text: '« Back to Panel', callback_data: 'admin_back' }]
+                            [{ text: t('common.backToPanel'), callback_data: 'admin_back' }]
                         ]
                     };
                     
                     setTimeout(async () => {
                         await bot.deleteMessage(chatId, loadingMsg.message_id);
                         await bot.sendMessage(chatId, 
-                            '⏱️ *Update Interval*\n\n' +
-                            'Select how often prices should be updated:',
+                            t('admin.interval.menu'),
                             {
                                 parse_mode: 'Markdown',
                                 reply_markup: intervalKeyboard
@@ -964,30 +2320,16 @@ bot.on('callback_query', async (callbackQuery) => {
             case 'admin_stats':
                 await bot.deleteMessage(chatId, msg.message_id);
                 // Reuse the logic from /stats command but with back button
-                const stats = await storage.getStats();
-                const uniqueTokens = new Set(stats.updates?.map(u => u.pool_address) || []);
-                const statsData = {
-                    tokens: allTokens.length,
-                    activeTokens24h: uniqueTokens.size,
-                    updates24h: stats.updates?.length || 0,
-                    totalRecords: stats.totalRecords || 0,
-                    avgUpdatesPerToken: stats.updates ? Math.round(stats.updates.length / uniqueTokens.size) : 0
-                };
+                const statsData = await getStatsSummary(allTokens);
 
                 const statsKeyboard = {
                     inline_keyboard: [
-                        [{ text: '« Back', callback_data: 'admin_back' }]
+                        [{ text: t('common.back'), callback_data: 'admin_back' }]
                     ]
                 };
 
                 await bot.sendMessage(chatId,
-                    '📊 *Bot Statistics*\n\n' +
-                    `Total Tokens: ${statsData.tokens}\n` +
-                    `Active Tokens (24h): ${statsData.activeTokens24h}\n` +
-                    `Updates (24h): ${statsData.updates24h}\n` +
-                    `Average/Token: ${statsData.avgUpdatesPerToken}\n` +
-                    `\n💾 *Database*:\n` +
-                    `Total Records: ${statsData.totalRecords}`,
+                    formatStats(statsData, t),
                     {
                         parse_mode: 'Markdown',
                         reply_markup: statsKeyboard
@@ -997,19 +2339,11 @@ bot.on('callback_query', async (callbackQuery) => {
 
             case 'admin_clear':
                 await bot.deleteMessage(chatId, msg.message_id);
-                const clearKeyboard = {
-                    inline_keyboard: allTokens.map(t => ([
-                        { text: t.ticker, callback_data: `clear_${t.ticker}` }
-                    ])).concat([[
-                        { text: '« Back', callback_data: 'admin_back' }
-                    ]])
-                };
                 await bot.sendMessage(chatId,
-                    '🧹 *Clear History*\n\n' +
-                    'Select the token to clear its history:',
+                    t('admin.clear.menu'),
                     {
                         parse_mode: 'Markdown',
-                        reply_markup: clearKeyboard
+                        reply_markup: buildTokenSelectKeyboard(allTokens, 'clear', t, 'admin_back')
                     }
                 );
                 break;
@@ -1019,19 +2353,17 @@ bot.on('callback_query', async (callbackQuery) => {
                 const config = await storage.getConfig('sort_criteria');
                 const currentCriteria = config?.value || 'mc';
                 const criteriaKeyboard = {
-                    inline_keyboard: Object.entries(SORT_CRITERIA).map(([key, value]) => ([
+                    inline_keyboard: Object.keys(SORT_CRITERIA).map(key => ([
                         { 
-                            text: `${value.name} ${key === currentCriteria ? '✓' : ''}`, 
+                            text: `${t(`sortCriteria.${key}`)} ${key === currentCriteria ? '✓' : ''}`, 
                             callback_data: `setcriteria_${key}` 
                         }
                     ])).concat([[
-                        { text: '« Back', callback_data: 'admin_back' }
+                        { text: t('common.back'), callback_data: 'admin_back' }
                     ]])
                 };
                 await bot.sendMessage(chatId,
-                    '📈 *Exposure Criteria*\n\n' +
-                    `Current: *${SORT_CRITERIA[currentCriteria].name}*\n\n` +
-                    'Select new criterion:',
+                    t('admin.criteria.menu', { name: t(`sortCriteria.${currentCriteria}`) }),
                     {
                         parse_mode: 'Markdown',
                         reply_markup: criteriaKeyboard
@@ -1041,36 +2373,35 @@ bot.on('callback_query', async (callbackQuery) => {
 
             case 'admin_storage':
                 await bot.deleteMessage(chatId, msg.message_id);
-                await bot.sendMessage(chatId, '⏳ Loading options...', { parse_mode: 'Markdown' }).then(async (loadingMsg) => {
+                await bot.sendMessage(chatId, t('common.loadingOptions'), { parse_mode: 'Markdown' }).then(async (loadingMsg) => {
                     const currentMode = storage.getStorageMode();
                     const supabaseAvailable = storage.isSupabaseAvailable();
                     const storageKeyboard = {
                         inline_keyboard: [
                             [
                                 { 
-                                    text: `Supabase - Database ${currentMode === 'supabase' ? '✓' : ''} ${!supabaseAvailable ? '⚠️' : ''}`, 
+                                    text: `${t('admin.storage.supabaseOption')} ${currentMode === 'supabase' ? '✓' : ''} ${!supabaseAvailable ? '⚠️' : ''}`, 
                                     callback_data: supabaseAvailable ? 'setmode_supabase' : 'noop',
                                     disabled: !supabaseAvailable
                                 }
                             ],
                             [
                                 { 
-                                    text: `Memory - RAM ${currentMode === 'memory' ? '✓' : ''}`, 
+                                    text: `${t('admin.storage.memoryOption')} ${currentMode === 'memory' ? '✓' : ''}`, 
                                     callback_data: 'setmode_memory' 
                                 }
                             ],
-                            [{ text: '« Back to Panel', callback_data: 'admin_back' }]
+                            [{ text: t('common.backToPanel'), callback_data: 'admin_back' }]
                         ]
                     };
                     
                     setTimeout(async () => {
                         await bot.deleteMessage(chatId, loadingMsg.message_id);
                         await bot.sendMessage(chatId,
-                            '💾 *Storage Mode*\n\n' +
-                            `Current: *${currentMode === 'supabase' ? 'Supabase 📦' : 'Memory 💾'}*\n\n` +
-                            '*Options:*\n' +
-                            `• Supabase: Persistent cloud storage ${!supabaseAvailable ? '(⚠️ Not available)' : ''}\n` +
-                            '• Memory: Temporary RAM storage',
+                            t('admin.storage.menu', {
+                                mode: t(`storageModes.${currentMode}`),
+                                availability: supabaseAvailable ? '' : t('admin.storage.notAvailable')
+                            }),
                             {
                                 parse_mode: 'Markdown',
                                 reply_markup: storageKeyboard
@@ -1082,35 +2413,31 @@ bot.on('callback_query', async (callbackQuery) => {
 
             case 'admin_ui':
                 await bot.deleteMessage(chatId, msg.message_id);
-                await bot.sendMessage(chatId, '⏳ Loading options...', { parse_mode: 'Markdown' }).then(async (loadingMsg) => {
+                await bot.sendMessage(chatId, t('common.loadingOptions'), { parse_mode: 'Markdown' }).then(async (loadingMsg) => {
                     const uiConfig = await storage.getConfig('ui_mode');
                     const currentUI = uiConfig?.value || 'text';
                     const uiKeyboard = {
                         inline_keyboard: [
                             [
                                 { 
-                                    text: `Text Mode - Traditional Commands ${currentUI === 'text' ? '✓' : ''}`, 
+                                    text: `${t('admin.ui.textOption')} ${currentUI === 'text' ? '✓' : ''}`, 
                                     callback_data: 'setui_text' 
                                 }
                             ],
                             [
                                 { 
-                                    text: `Button Mode - Interactive ${currentUI === 'buttons' ? '✓' : ''}`, 
+                                    text: `${t('admin.ui.buttonsOption')} ${currentUI === 'buttons' ? '✓' : ''}`, 
                                     callback_data: 'setui_buttons' 
                                 }
                             ],
-                            [{ text: '« Back to Panel', callback_data: 'admin_back' }]
+                            [{ text: t('common.backToPanel'), callback_data: 'admin_back' }]
                         ]
                     };
                     
                     setTimeout(async () => {
                         await bot.deleteMessage(chatId, loadingMsg.message_id);
                         await bot.sendMessage(chatId,
-                            '🔄 *UI Mode*\n\n' +
-                            `Current: *${UI_MODES[currentUI].name}*\n\n` +
-                            '*Options:*\n' +
-                            '• Text: Traditional command-based interface\n' +
-                            '• Buttons: Interactive interface with buttons and menus',
+                            t('admin.ui.menu', { name: t(`ui.${currentUI}.name`) }),
                             {
                                 parse_mode: 'Markdown',
                                 reply_markup: uiKeyboard
@@ -1123,73 +2450,49 @@ bot.on('callback_query', async (callbackQuery) => {
             case 'admin_back':
                 await bot.deleteMessage(chatId, msg.message_id);
                 // Show admin panel again
-                const adminStorageMode = storage.getStorageMode();
-                const adminConfig = await storage.getConfig('ui_mode');
-                const adminUI = adminConfig?.value || 'text';
-                
-                const adminMessage = '👑 *Admin Panel*\n\n' +
-                    `*Storage Mode:* ${adminStorageMode === 'supabase' ? 'Supabase 📦' : 'Memory 💾'}\n` +
-                    `*UI Mode:* ${UI_MODES[adminUI].name}\n\n` +
-                    '*Commands:*\n' +
-                    '/setinterval 30 - Change update interval\n' +
-                    '/stats - View bot statistics\n' +
-                    '/clearhistory ticker - Clear history of a token\n' +
-                    '/setcriteria - Change exposure criteria\n' +
-                    '/setmode - Change storage mode\n' +
-                    '/setui - Change UI mode';
-
-                if (adminUI === 'buttons') {
-                    const keyboard = {
-                        inline_keyboard: [
-                            [{ text: '⏱️ Change Update Interval', callback_data: 'admin_interval' }],
-                            [{ text: '📊 View Bot Statistics', callback_data: 'admin_stats' }],
-                            [{ text: '🧹 Clear Token History', callback_data: 'admin_clear' }],
-                            [{ text: '📈 Change Exposure Criteria', callback_data: 'admin_criteria' }],
-                            [{ text: '💾 Change Storage Mode', callback_data: 'admin_storage' }],
-                            [{ text: '🔄 Change UI Mode', callback_data: 'admin_ui' }]
-                        ]
-                    };
-                    
-                    await bot.sendMessage(chatId, adminMessage, {
-                        parse_mode: 'Markdown',
-                        reply_markup: keyboard
-                    });
-                } else {
-                    await bot.sendMessage(chatId, adminMessage, {parse_mode: 'Markdown'});
-                }
+                const { uiMode: adminUI } = await chatSettings.get(chatId);
+                const adminPanel = await buildAdminPanel(callbackQuery.from, adminUI, t);
+
+                const adminOptions = { parse_mode: 'Markdown' };
+                if (adminPanel.keyboard) adminOptions.reply_markup = adminPanel.keyboard;
+                await bot.sendMessage(chatId, adminPanel.message, adminOptions);
                 break;
 
             // Configuration callbacks
             case data.match(/^setinterval_(\d+)/)?.input:
                 const interval = data.split('_')[1];
                 await storage.updateConfig('update_interval', interval);
+                await priceScheduler.reschedule();
                 await bot.editMessageText(
-                    `✅ Interval updated to *${interval} seconds*`,
+                    t('admin.interval.updatedButton', { interval }),
                     {
                         chat_id: chatId,
                         message_id: msg.message_id,
                         parse_mode: 'Markdown',
                         reply_markup: {
                             inline_keyboard: [[
-                                { text: '« Back', callback_data: 'admin_back' }
+                                { text: t('common.back'), callback_data: 'admin_back' }
                             ]]
                         }
                     }
                 );
                 break;
 
+            // Bot-wide defaults (bot admins only, checked above); chats with their own /settings keep them
             case data.match(/^setcriteria_(.+)/)?.input:
                 const criteria = data.split('_')[1];
+                if (!SORT_CRITERIA[criteria]) break;
+
                 await storage.updateConfig('sort_criteria', criteria);
                 await bot.editMessageText(
-                    `✅ Criterion updated to *${SORT_CRITERIA[criteria].name}*`,
+                    t('admin.criteria.updatedDefault', { name: t(`sortCriteria.${criteria}`) }),
                     {
                         chat_id: chatId,
                         message_id: msg.message_id,
                         parse_mode: 'Markdown',
                         reply_markup: {
                             inline_keyboard: [[
-                                { text: '« Back', callback_data: 'admin_back' }
+                                { text: t('common.back'), callback_data: 'admin_back' }
                             ]]
                         }
                     }
@@ -1200,21 +2503,21 @@ bot.on('callback_query', async (callbackQuery) => {
                 const mode = data.split('_')[1];
                 if (mode === 'supabase' && !storage.isSupabaseAvailable()) {
                     await bot.answerCallbackQuery(callbackQuery.id, {
-                        text: '⚠️ Supabase not available. Verify configuration.',
+                        text: t('admin.storage.supabaseUnavailable'),
                         show_alert: true
                     });
                     return;
                 }
                 storage.setStorageMode(mode === 'supabase');
                 await bot.editMessageText(
-                    `✅ Mode changed to *${mode === 'supabase' ? 'Supabase 📦' : 'Memory 💾'}*`,
+                    t('admin.storage.changed', { mode: t(`storageModes.${mode}`) }),
                     {
                         chat_id: chatId,
                         message_id: msg.message_id,
                         parse_mode: 'Markdown',
                         reply_markup: {
                             inline_keyboard: [[
-                                { text: '« Back', callback_data: 'admin_back' }
+                                { text: t('common.back'), callback_data: 'admin_back' }
                             ]]
                         }
                     }
@@ -1223,17 +2526,18 @@ bot.on('callback_query', async (callbackQuery) => {
 
             case data.match(/^setui_(.+)/)?.input:
                 const ui = data.split('_')[1];
+                if (!UI_MODES.includes(ui)) break;
+
                 await storage.updateConfig('ui_mode', ui);
                 await bot.editMessageText(
-                    `✅ Mode changed to *${UI_MODES[ui].name}*\n` +
-                    `${UI_MODES[ui].description}`,
+                    t('admin.ui.changed', { name: t(`ui.${ui}.name`), description: t(`ui.${ui}.description`) }),
                     {
                         chat_id: chatId,
                         message_id: msg.message_id,
                         parse_mode: 'Markdown',
                         reply_markup: {
                             inline_keyboard: [[
-                                { text: '« Back', callback_data: 'admin_back' }
+                                { text: t('common.back'), callback_data: 'admin_back' }
                             ]]
                         }
                     }
@@ -1241,19 +2545,18 @@ bot.on('callback_query', async (callbackQuery) => {
                 break;
 
             case data.match(/^clear_(.+)/)?.input:
-                const ticker = data.split('_')[1];
-                const tokenToDelete = allTokens.find(t => t.ticker === ticker);
+                const tokenToDelete = tokenSearch.resolve(allTokens, data.match(/^clear_(.+)/)[1]).token;
                 if (tokenToDelete) {
                     await storage.clearHistory(tokenToDelete.poolAddress);
                     await bot.editMessageText(
-                        `✅ History cleared for *${ticker}*`,
+                        t('admin.clear.clearedButton', { ticker: tokenToDelete.ticker }),
                         {
                             chat_id: chatId,
                             message_id: msg.message_id,
                             parse_mode: 'Markdown',
                             reply_markup: {
                                 inline_keyboard: [[
-                                    { text: '« Back', callback_data: 'admin_back' }
+                                    { text: t('common.back'), callback_data: 'admin_back' }
                                 ]]
                             }
                         }
@@ -1264,288 +2567,351 @@ bot.on('callback_query', async (callbackQuery) => {
             // General navigation callbacks
             case 'start':
                 await bot.deleteMessage(chatId, msg.message_id);
-                const startConfig = await storage.getConfig('ui_mode');
-                const startUI = startConfig?.value || 'text';
+                const { uiMode: startUI } = await chatSettings.get(chatId);
+                const startView = buildStartMessage(t, startUI);
+
+                const startOptions = { parse_mode: 'Markdown' };
+                if (startView.keyboard) startOptions.reply_markup = startView.keyboard;
+                await bot.sendMessage(chatId, startView.message, startOptions);
+                break;
+
+            // Token list pages, with the sort and filters of the list after the page
+            case data.match(/^tokens_(\d+)(?:_(.*))?$/)?.input:
+                const [, tokensPageNumber, tokensState] = data.match(/^tokens_(\d+)(?:_(.*))?$/);
+                await bot.deleteMessage(chatId, msg.message_id);
+                const loadingMsg = await bot.sendMessage(chatId, t('tokens.loading'));
+                const tokensSettings = await chatSettings.get(chatId);
+                const tokensUI = tokensSettings.uiMode;
+                const tokensView = decodeTokensView(tokensState);
+                tokensView.sort = tokensView.sort || tokensSettings.sortCriteria;
+                const tokensList = await getTokens(tokensView.sort, tokensView.filters);
+                const tokensWatchlist = tokensUI === 'buttons' ? await storage.getWatchlist(callbackQuery.from.id) : [];
                 
-                const startMessage = '🚀 *DAOs World Bot*\n\n' +
-                    '*Commands:*\n' +
-                    '/tokens - List active tokens\n' +
-                    '/price alch - Detailed token information\n' +
-                    '/history alch - Token price history analysis';
+                const tokensPage = buildTokensPage(tokensList, parseInt(tokensPageNumber), tokensUI, t, tokensWatchlist, tokensSettings.pageSize, tokensView);
 
-                if (startUI === 'buttons') {
-                    const keyboard = {
-                        inline_keyboard: [
-                            [{ text: '📊 View Tokens', callback_data: 'tokens_1' }],
-                            [{ text: '💰 View Price', callback_data: 'price_select' }],
-                            [{ text: '📈 View History', callback_data: 'history_select' }]
-                        ]
-                    };
-                    
-                    await bot.sendMessage(chatId, startMessage, {
-                        parse_mode: 'Markdown',
-                        reply_markup: keyboard
+                const tokensOptions = {
+                    chat_id: chatId,
+                    message_id: loadingMsg.message_id,
+                    parse_mode: 'Markdown'
+                };
+                if (tokensPage.keyboard) tokensOptions.reply_markup = tokensPage.keyboard;
+
+                await bot.editMessageText(tokensPage.message, tokensOptions);
+                break;
+
+            // Toggle a token in the user watchlist from the token list
+            // Data: watch_<page>_<list sort and filters>_<pool key>
+            case data.match(/^watch_(\d+)_([^_]*)_([0-9a-f]+)$/)?.input:
+                const [, watchPage, watchState, watchKey] = data.match(/^watch_(\d+)_([^_]*)_([0-9a-f]+)$/);
+                const watchSettings = await chatSettings.get(chatId);
+                const watchView = decodeTokensView(watchState);
+                watchView.sort = watchView.sort || watchSettings.sortCriteria;
+                const watchTokens = await getTokens(watchView.sort, watchView.filters);
+                const watchToken = findByPoolKey(watchTokens, watchKey);
+
+                if (!watchToken) {
+                    await bot.answerCallbackQuery(callbackQuery.id, {
+                        text: t('common.tokenNotFound', { ticker: watchKey }),
+                        show_alert: true
                     });
+                    return;
+                }
+
+                const userWatchlist = await storage.getWatchlist(callbackQuery.from.id);
+                const watching = userWatchlist.includes(watchToken.poolAddress);
+                if (watching) {
+                    await storage.removeFromWatchlist(callbackQuery.from.id, watchToken.poolAddress);
                 } else {
-                    await bot.sendMessage(chatId, startMessage, {parse_mode: 'Markdown'});
+                    await storage.addToWatchlist(callbackQuery.from.id, watchToken.poolAddress);
                 }
-                break;
 
-            case 'tokens_1':
-                await bot.deleteMessage(chatId, msg.message_id);
-                const loadingMsg = await bot.sendMessage(chatId, '⏳ Loading tokens...');
-                const tokensList = await getTokens();
-                const tokensConfig = await storage.getConfig('ui_mode');
-                const tokensUI = tokensConfig?.value || 'text';
-                
-                // Calculate pages
-                const totalPages = Math.ceil(tokensList.length / TOKENS_PER_PAGE);
-                const page = 1;
-                const start = 0;
-                const end = TOKENS_PER_PAGE;
-                
-                let tokensMessage = `📊 *Active Tokens* (${tokensList.length} total)\n`;
-                tokensMessage += `📄 Page ${page}/${totalPages}\n\n`;
-                
-                // Display tokens from the current page
-                const pageTokens = tokensList.slice(start, end);
-                pageTokens.forEach(token => {
-                    tokensMessage += `*${token.name}* (${token.ticker})\n`;
-                    if (token.dex) {
-                        tokensMessage += `💰 $${token.dex.price || 'N/A'}\n`;
-                        tokensMessage += `💎 MC: $${formatNumber(token.dex.marketCap)}\n`;
-                        tokensMessage += `💧 Liq: $${formatNumber(token.dex.liquidity)}\n`;
-                    }
-                    tokensMessage += '\n';
+                const updatedWatchlist = await storage.getWatchlist(callbackQuery.from.id);
+                const watchTokensPage = buildTokensPage(watchTokens, parseInt(watchPage), 'buttons', t, updatedWatchlist, watchSettings.pageSize, watchView);
+                await bot.editMessageText(watchTokensPage.message, {
+                    chat_id: chatId,
+                    message_id: msg.message_id,
+                    parse_mode: 'Markdown',
+                    reply_markup: watchTokensPage.keyboard
                 });
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: t(watching ? 'watchlist.buttonRemoved' : 'watchlist.buttonAdded', { ticker: watchToken.ticker })
+                });
+                return;
 
-                if (tokensUI === 'buttons') {
-                    const keyboard = {
-                        inline_keyboard: [
-                            ...pageTokens.map(token => ([
-                                { text: `💰 ${token.ticker}`, callback_data: `price_${token.ticker}` },
-                                { text: `📈 ${token.ticker}`, callback_data: `history_${token.ticker}` }
-                            ])),
-                            [
-                                page > 1 ? { text: '« Previous', callback_data: `tokens_${page - 1}` } : { text: ' ', callback_data: 'noop' },
-                                { text: `${page}/${totalPages}`, callback_data: 'noop' },
-                                page < totalPages ? { text: 'Next »', callback_data: `tokens_${page + 1}` } : { text: ' ', callback_data: 'noop' }
-                            ]
-                        ]
-                    };
-
-                    await bot.editMessageText(tokensMessage, {
-                        chat_id: chatId,
-                        message_id: loadingMsg.message_id,
-                        parse_mode: 'Markdown',
-                        reply_markup: keyboard
+            // Chat settings buttons
+            case data.match(/^chatset_(.+)/)?.input:
+                if (!await canManageChat(msg.chat, callbackQuery.from)) {
+                    await bot.answerCallbackQuery(callbackQuery.id, {
+                        text: t('settings.onlyGroupAdmins'),
+                        show_alert: true
                     });
+                    return;
+                }
+
+                if (data === 'chatset_reset') {
+                    await chatSettings.reset(chatId);
                 } else {
-                    if (totalPages > 1) {
-                        tokensMessage += `\n📱 *Navigation*:\n`;
-                        tokensMessage += `Use /tokens ${page > 1 ? page - 1 : totalPages} for previous page\n`;
-                        tokensMessage += `Use /tokens ${page < totalPages ? page + 1 : 1} for next page`;
-                    }
+                    const [, settingOption, settingValue] = data.match(/^chatset_([a-z]+)_(.+)$/);
+                    await updateChatSetting(chatId, settingOption, settingValue, callbackQuery.from.id);
+                }
 
-                    await bot.editMessageText(tokensMessage, {
-                        chat_id: chatId,
-                        message_id: loadingMsg.message_id,
-                        parse_mode: 'Markdown'
+                // Shown in the new language if it was just changed
+                const settingsT = await getTranslator(chatId, callbackQuery.from);
+                const settingsView = await buildSettingsMessage(msg.chat, settingsT);
+                const settingsOptions = {
+                    chat_id: chatId,
+                    message_id: msg.message_id,
+                    parse_mode: 'Markdown'
+                };
+                if (settingsView.keyboard) settingsOptions.reply_markup = settingsView.keyboard;
+
+                await bot.editMessageText(settingsView.message, settingsOptions);
+                break;
+
+            // Language buttons
+            case data.match(/^lang_(.+)/)?.input:
+                const chosenLanguage = data.substring('lang_'.length);
+                await setUserLanguage(msg.chat, callbackQuery.from, chosenLanguage === 'auto' ? null : chosenLanguage);
+
+                const languageT = await getTranslator(chatId, callbackQuery.from);
+                const languageView = await buildLanguageMessage(msg.chat, callbackQuery.from, 'buttons', languageT);
+                await bot.editMessageText(languageView.message, {
+                    chat_id: chatId,
+                    message_id: msg.message_id,
+                    parse_mode: 'Markdown',
+                    reply_markup: languageView.keyboard
+                });
+                break;
+
+            // Digest subscription buttons
+            case data.match(/^digest_(.+)/)?.input:
+                if (!await canManageChat(msg.chat, callbackQuery.from)) {
+                    await bot.answerCallbackQuery(callbackQuery.id, {
+                        text: t('digest.onlyGroupAdmins'),
+                        show_alert: true
+                    });
+                    return;
+                }
+
+                const digestFrequency = data.substring('digest_'.length);
+                if (digestFrequency === 'off' || digestService.frequencies.includes(digestFrequency)) {
+                    await updateSubscription(chatId, digestFrequency, callbackQuery.from.id);
+                }
+
+                const digestView = buildSubscriptionMessage(chatId, 'buttons', t);
+                await bot.editMessageText(digestView.message, {
+                    chat_id: chatId,
+                    message_id: msg.message_id,
+                    parse_mode: 'Markdown',
+                    reply_markup: digestView.keyboard
+                });
+                break;
+
+            // Listing announcement buttons
+            case data.match(/^listings_(on|off)$/)?.input:
+                if (!await canManageChat(msg.chat, callbackQuery.from)) {
+                    await bot.answerCallbackQuery(callbackQuery.id, {
+                        text: t('listings.onlyGroupAdmins'),
+                        show_alert: true
                     });
+                    return;
                 }
+
+                await updateListings(chatId, data.substring('listings_'.length), callbackQuery.from.id);
+                const listingsView = buildListingsMessage(chatId, 'buttons', t);
+                await bot.editMessageText(listingsView.message, {
+                    chat_id: chatId,
+                    message_id: msg.message_id,
+                    parse_mode: 'Markdown',
+                    reply_markup: listingsView.keyboard
+                });
+                break;
+
+            // Market movers window buttons
+            case data.match(/^movers_(\d+h)$/)?.input:
+                const moversWindow = data.substring('movers_'.length);
+                if (!MOVERS_WINDOWS[moversWindow]) break;
+
+                const moversView = await buildMoversMessage(moversWindow, 'buttons', t);
+                await bot.editMessageText(moversView.message, {
+                    chat_id: chatId,
+                    message_id: msg.message_id,
+                    parse_mode: 'Markdown',
+                    reply_markup: moversView.keyboard
+                });
+                break;
+
+            // Top tokens criteria buttons
+            case data.match(/^top_([a-z]+)_(\d+)$/)?.input:
+                const [, topCriteria, topLimit] = data.match(/^top_([a-z]+)_(\d+)$/);
+                if (!TOP_CRITERIA.includes(topCriteria)) break;
+
+                const topView = await buildTopMessage(topCriteria, Math.min(parseInt(topLimit), TOP_MAX_LIMIT), 'buttons', t);
+                await bot.editMessageText(topView.message, {
+                    chat_id: chatId,
+                    message_id: msg.message_id,
+                    parse_mode: 'Markdown',
+                    reply_markup: topView.keyboard
+                });
+                break;
+
+            case 'watchlist':
+                await bot.deleteMessage(chatId, msg.message_id);
+                const watchlistTokens = await getTokens();
+                const watchlistPools = await storage.getWatchlist(callbackQuery.from.id);
+                const watchlistView = buildWatchlistMessage(watchlistTokens, watchlistPools, 'buttons', t);
+                await bot.sendMessage(chatId, watchlistView.message, {
+                    parse_mode: 'Markdown',
+                    reply_markup: watchlistView.keyboard
+                });
+                break;
+
+            // Data: unwatch_<pool address>
+            case data.match(/^unwatch_(.+)/)?.input:
+                const unwatchPool = data.substring('unwatch_'.length);
+                const unwatchTokens = await getTokens();
+                await storage.removeFromWatchlist(callbackQuery.from.id, unwatchPool);
+
+                const remainingPools = await storage.getWatchlist(callbackQuery.from.id);
+                const remainingView = buildWatchlistMessage(unwatchTokens, remainingPools, 'buttons', t);
+                await bot.editMessageText(remainingView.message, {
+                    chat_id: chatId,
+                    message_id: msg.message_id,
+                    parse_mode: 'Markdown',
+                    reply_markup: remainingView.keyboard
+                });
                 break;
 
             case 'price_select':
             case 'history_select':
                 await bot.deleteMessage(chatId, msg.message_id);
                 const selectTokens = await getTokens();
-                const selectKeyboard = {
-                    inline_keyboard: selectTokens.map(t => ([
-                        { text: t.ticker, callback_data: `${data.split('_')[0]}_${t.ticker}` }
-                    ])).concat([[
-                        { text: '« Back', callback_data: 'start' }
-                    ]])
-                };
                 
                 await bot.sendMessage(chatId,
-                    '🔍 *Select a Token*\n\n' +
-                    'Select the token to view its information:',
+                    `${t('select.title')}\n\n${t('select.information')}`,
                     {
                         parse_mode: 'Markdown',
-                        reply_markup: selectKeyboard
+                        reply_markup: buildTokenSelectKeyboard(selectTokens, data.split('_')[0], t)
                     }
                 );
                 break;
 
             // Callbacks to view price of a specific token
-            case data.match(/^price_([A-Z]+)/)?.input:
-                const priceTokenTicker = data.split('_')[1];
+            // (contract address, or ticker in buttons sent by older versions)
+            case data.match(/^price_(.+)/)?.input:
+                const priceTokenId = data.match(/^price_(.+)/)[1];
                 await bot.deleteMessage(chatId, msg.message_id);
-                const priceStatusMsg = await bot.sendMessage(chatId, '⏳ Loading information...');
+                const priceStatusMsg = await bot.sendMessage(chatId, t('price.loading'));
                 
                 try {
                     const allTokensPrice = await getTokens();
-                    const token = allTokensPrice.find(t => t.ticker === priceTokenTicker);
+                    const priceResult = tokenSearch.resolve(allTokensPrice, priceTokenId);
+                    const token = priceResult.token;
                     
                     if (!token) {
+                        const priceChoices = priceResult.ambiguous
+                            ? { reply_markup: buildTokenSelectKeyboard(priceResult.matches, 'price', t) }
+                            : {};
                         await bot.editMessageText(
-                            `❌ Token not found: ${priceTokenTicker}`,
+                            priceResult.ambiguous
+                                ? t('search.ambiguous', { query: stripMarkdown(priceTokenId) })
+                                : t('common.tokenNotFound', { ticker: priceTokenId }),
                             {
                                 chat_id: chatId,
                                 message_id: priceStatusMsg.message_id,
-                                parse_mode: 'Markdown'
-                            }
-                        );
-                        return;
-                    }
-
-                    let message = `📊 *${token.name.replace(/[*_`]/g, '')}* (${token.ticker})\n\n`;
-                    
-                    if (token.dex) {
-                        message += `💰 *Market Data*\n`;
-                        message += `Price: $${token.dex.price || 'N/A'}\n`;
-                        message += `MC: $${formatNumber(token.dex.marketCap)}\n`;
-                        message += `Liquidity: $${formatNumber(token.dex.liquidity)}\n`;
-                        message += `24h Volume: $${formatNumber(token.dex.volume24h)}\n`;
-                        message += `DEX: ${token.dex.dexId}\n\n`;
-                    }
-
-                    message += `📝 *Information*\n`;
-                    message += `Contract: \`${token.address.replace(/[`]/g, '')}\`\n`;
-                    message += `Pool: \`${token.poolAddress.replace(/[`]/g, '')}\`\n`;
-                    message += `Creator: @${token.creator.replace(/[*_`]/g, '')}\n`;
-                    if (token.telegram) message += `Telegram: @${token.telegram.replace(/[*_`]/g, '')}`;
-
-                    const priceKeyboard = {
-                        inline_keyboard: [
-                            [
-                                { text: '📈 View History', callback_data: `history_${token.ticker}` },
-                                { text: '🔄 Refresh', callback_data: `price_${token.ticker}` }
-                            ],
-                            [{ text: '« Back', callback_data: 'tokens_1' }]
-                        ]
-                    };
+                                parse_mode: 'Markdown',
+                                ...priceChoices
+                            }
+                        );
+                        return;
+                    }
 
-                    await bot.editMessageText(message, {
+                    await bot.editMessageText(formatTokenDetails(token, t), {
                         chat_id: chatId,
                         message_id: priceStatusMsg.message_id,
                         parse_mode: 'Markdown',
                         disable_web_page_preview: true,
-                        reply_markup: priceKeyboard
+                        reply_markup: buildTokenKeyboard(token, t)
                     });
                 } catch (error) {
                     console.error('Error showing price:', error);
-                    await bot.editMessageText('❌ Error getting information', {
+                    await bot.editMessageText(t('price.error'), {
                         chat_id: chatId,
                         message_id: priceStatusMsg.message_id
                     });
                 }
                 break;
 
-            // Callbacks to view history of a specific token
-            case data.match(/^history_([A-Z]+)/)?.input:
-                const historyTokenTicker = data.split('_')[1];
+            // Callbacks to view history of a specific token (chart window and volume toggles)
+            case data.match(/^history_(.+)/)?.input:
+            case data.match(/^chart_(\d+h)_([01])_(.+)/)?.input:
+                const chartMatch = data.match(/^chart_(\d+h)_([01])_(.+)/);
+                const historyTokenId = chartMatch ? chartMatch[3] : data.match(/^history_(.+)/)[1];
+                const chartWindow = chartMatch && HISTORY_WINDOWS[chartMatch[1]] ? chartMatch[1] : '24h';
+                const chartVolume = chartMatch ? chartMatch[2] === '1' : false;
                 await bot.deleteMessage(chatId, msg.message_id);
-                const historyStatusMsg = await bot.sendMessage(chatId, '⏳ Loading history...');
+                await bot.sendChatAction(chatId, 'upload_photo');
                 
                 try {
                     const allTokensHistory = await getTokens();
-                    const token = allTokensHistory.find(t => t.ticker === historyTokenTicker);
+                    const historyResult = tokenSearch.resolve(allTokensHistory, historyTokenId);
+                    const token = historyResult.token;
                     
                     if (!token) {
-                        await bot.editMessageText(
-                            `❌ Token not found: ${historyTokenTicker}`,
-                            {
-                                chat_id: chatId,
-                                message_id: historyStatusMsg.message_id,
-                                parse_mode: 'Markdown'
-                            }
-                        );
-                        return;
-                    }
-
-                    const history = await storage.getPriceHistory(token.poolAddress);
-                    
-                    if (history.length === 0) {
-                        await bot.editMessageText(
-                            '📊 No historical data available',
-                            {
-                                chat_id: chatId,
-                                message_id: historyStatusMsg.message_id,
-                                parse_mode: 'Markdown',
-                                reply_markup: {
-                                    inline_keyboard: [[
-                                        { text: '« Back', callback_data: 'tokens_1' }
-                                    ]]
-                                }
-                            }
-                        );
+                        if (historyResult.ambiguous) {
+                            await sendTokenChoices(chatId, historyTokenId, historyResult, 'history', 'buttons', t, allTokensHistory);
+                        } else {
+                            await bot.sendMessage(chatId, t('common.tokenNotFound', { ticker: historyTokenId }));
+                        }
                         return;
                     }
 
-                    // Price analysis
-                    const currentPrice = history[0].price;
-                    const prices = {
-                        hour1: history.find(h => new Date(h.updated_at) <= new Date(Date.now() - 60 * 60 * 1000))?.price,
-                        hour4: history.find(h => new Date(h.updated_at) <= new Date(Date.now() - 4 * 60 * 60 * 1000))?.price,
-                        hour12: history.find(h => new Date(h.updated_at) <= new Date(Date.now() - 12 * 60 * 60 * 1000))?.price,
-                        hour24: history.find(h => new Date(h.updated_at) <= new Date(Date.now() - 24 * 60 * 60 * 1000))?.price
-                    };
-
-                    let message = `📊 *${token.name}*\n\n`;
-                    message += `💰 *Price:* $${currentPrice}\n\n`;
-                    message += `📈 *Changes*:\n`;
-                    
-                    if (prices.hour1) {
-                        const change1h = calculatePercentChange(prices.hour1, currentPrice);
-                        message += `1h: ${change1h >= 0 ? '🟢' : '🔴'} ${change1h}%\n`;
-                    }
-                    
-                    if (prices.hour4) {
-                        const change4h = calculatePercentChange(prices.hour4, currentPrice);
-                        message += `4h: ${change4h >= 0 ? '🟢' : '🔴'} ${change4h}%\n`;
-                    }
-
-                    if (prices.hour12) {
-                        const change12h = calculatePercentChange(prices.hour12, currentPrice);
-                        message += `12h: ${change12h >= 0 ? '🟢' : '🔴'} ${change12h}%\n`;
-                    }
-                    
-                    if (prices.hour24) {
-                        const change24h = calculatePercentChange(prices.hour24, currentPrice);
-                        message += `24h: ${change24h >= 0 ? '🟢' : '🔴'} ${change24h}%\n`;
-                    }
-
-                    const historyKeyboard = {
-                        inline_keyboard: [
-                            [
-                                { text: '💰 View Price', callback_data: `price_${token.ticker}` },
-                                { text: '🔄 Refresh', callback_data: `history_${token.ticker}` }
-                            ],
-                            [{ text: '« Back', callback_data: 'tokens_1' }]
-                        ]
-                    };
-
-                    await bot.editMessageText(message, {
-                        chat_id: chatId,
-                        message_id: historyStatusMsg.message_id,
-                        parse_mode: 'Markdown',
-                        reply_markup: historyKeyboard
+                    await sendHistoryChart(chatId, token, t, {
+                        window: chartWindow,
+                        showVolume: chartVolume,
+                        currentUI: 'buttons'
                     });
                 } catch (error) {
                     console.error('Error showing history:', error);
-                    await bot.editMessageText('❌ Error getting history', {
-                        chat_id: chatId,
-                        message_id: historyStatusMsg.message_id
+                    await bot.sendMessage(chatId, t('history.error'));
+                }
+                break;
+
+            // Callbacks for price alerts
+            case 'alerts_list':
+                const alertsList = await buildAlertsMessage(chatId, 'buttons', t);
+                await bot.sendMessage(chatId, alertsList.message, {
+                    parse_mode: 'Markdown',
+                    reply_markup: alertsList.keyboard
+                });
+                break;
+
+            case data.match(/^alertdel_(.+)/)?.input:
+                const alertToDelete = data.split('_')[1];
+                const chatAlerts = await storage.getAlerts(chatId);
+                if (!chatAlerts.some(a => a.id === alertToDelete)) {
+                    await bot.answerCallbackQuery(callbackQuery.id, {
+                        text: t('alerts.notFound'),
+                        show_alert: true
                     });
+                    return;
                 }
+
+                await storage.removeAlert(alertToDelete);
+                const updatedAlerts = await buildAlertsMessage(chatId, 'buttons', t);
+                await bot.editMessageText(updatedAlerts.message, {
+                    chat_id: chatId,
+                    message_id: msg.message_id,
+                    parse_mode: 'Markdown',
+                    reply_markup: updatedAlerts.keyboard
+                });
                 break;
 
             // Callbacks for admin management
             case 'admin_manage':
                 if (!isMainAdmin(callbackQuery.from)) {
                     await bot.answerCallbackQuery(callbackQuery.id, {
-                        text: '❌ Only the main admin can manage admins',
+                        text: t('admin.manage.onlyMainAdmin'),
                         show_alert: true
                     });
                     return;
@@ -1557,25 +2923,26 @@ bot.on('callback_query', async (callbackQuery) => {
                     inline_keyboard: [
                         [
                             { 
-                                text: `${ADMIN_INVITE_ENABLED ? '❌ Disable' : '✅ Enable'} Invitations`, 
+                                text: t(ADMIN_INVITE_ENABLED ? 'admin.manage.disableInvitations' : 'admin.manage.enableInvitations'), 
                                 callback_data: 'admin_toggle_invite' 
                             }
                         ],
                         [
-                            { text: '🔑 Generate New Code', callback_data: 'admin_generate_code' }
+                            { text: t('admin.manage.generateCode'), callback_data: 'admin_generate_code' }
                         ],
                         [
-                            { text: '👥 View Secondary Admins', callback_data: 'admin_list' }
+                            { text: t('admin.manage.viewAdmins'), callback_data: 'admin_list' }
                         ],
-                        [{ text: '« Back to Panel', callback_data: 'admin_back' }]
+                        [{ text: t('common.backToPanel'), callback_data: 'admin_back' }]
                     ]
                 };
 
                 await bot.sendMessage(chatId,
-                    '👑 *Admin Management*\n\n' +
-                    `Invitation Status: ${ADMIN_INVITE_ENABLED ? '✅ Enabled' : '❌ Disabled'}\n` +
-                    `Secondary Admins: ${managementAdmins.size}\n\n` +
-                    'Select an option:',
+                    `${t('admin.manage.title')}\n\n` +
+                    t('admin.manage.status', {
+                        status: t(ADMIN_INVITE_ENABLED ? 'admin.manage.enabled' : 'admin.manage.disabled'),
+                        count: managementAdmins.size
+                    }),
                     {
                         parse_mode: 'Markdown',
                         reply_markup: adminKeyboard
@@ -1588,15 +2955,17 @@ bot.on('callback_query', async (callbackQuery) => {
                 ADMIN_INVITE_ENABLED = !ADMIN_INVITE_ENABLED;
                 if (!ADMIN_INVITE_ENABLED) ADMIN_INVITE_CODE = null;
                 await bot.editMessageText(
-                    '👑 *Admin Management*\n\n' +
-                    `✅ Invitation status changed to: ${ADMIN_INVITE_ENABLED ? 'Enabled' : 'Disabled'}`,
+                    `${t('admin.manage.title')}\n\n` +
+                    t('admin.manage.toggled', {
+                        status: t(ADMIN_INVITE_ENABLED ? 'admin.manage.statusEnabled' : 'admin.manage.statusDisabled')
+                    }),
                     {
                         chat_id: chatId,
                         message_id: msg.message_id,
                         parse_mode: 'Markdown',
                         reply_markup: {
                             inline_keyboard: [[
-                                { text: '« Back', callback_data: 'admin_manage' }
+                                { text: t('common.back'), callback_data: 'admin_manage' }
                             ]]
                         }
                     }
@@ -1607,27 +2976,21 @@ bot.on('callback_query', async (callbackQuery) => {
                 if (!isMainAdmin(callbackQuery.from)) return;
                 if (!ADMIN_INVITE_ENABLED) {
                     await bot.answerCallbackQuery(callbackQuery.id, {
-                        text: '❌ Invitations are disabled',
+                        text: t('admin.manage.invitationsDisabled'),
                         show_alert: true
                     });
                     return;
                 }
                 const newCode = generateInviteCode();
                 await bot.editMessageText(
-                    '🔑 *New Invitation Code*\n\n' +
-                    `Code: \`${newCode}\`\n\n` +
-                    '⚠️ *Important*:\n' +
-                    '• This code is single-use\n' +
-                    '• It will be invalidated when used\n' +
-                    '• You can generate a new code whenever you want\n' +
-                    '• Or completely disable invitations',
+                    t('admin.manage.newCode', { code: newCode }),
                     {
                         chat_id: chatId,
                         message_id: msg.message_id,
                         parse_mode: 'Markdown',
                         reply_markup: {
                             inline_keyboard: [[
-                                { text: '« Back', callback_data: 'admin_manage' }
+                                { text: t('common.back'), callback_data: 'admin_manage' }
                             ]]
                         }
                     }
@@ -1636,15 +2999,15 @@ bot.on('callback_query', async (callbackQuery) => {
 
             case 'admin_list':
                 if (!isMainAdmin(callbackQuery.from)) return;
-                let adminList = '👥 *Secondary Admins*\n\n';
+                let adminList = `${t('admin.manage.listTitle')}\n\n`;
                 
                 const listAdmins = await storage.getSecondaryAdmins();
                 
                 if (listAdmins.size === 0) {
-                    adminList += 'No secondary admins';
+                    adminList += t('admin.manage.noAdmins');
                     const keyboard = {
                         inline_keyboard: [[
-                            { text: '« Back', callback_data: 'admin_manage' }
+                            { text: t('common.back'), callback_data: 'admin_manage' }
                         ]]
                     };
                     
@@ -1669,19 +3032,19 @@ bot.on('callback_query', async (callbackQuery) => {
                             
                             adminList += `• ${adminName} (ID: ${adminId})\n`;
                             keyboard.inline_keyboard.push([
-                                { text: `❌ Remove ${adminName}`, callback_data: `admin_remove_${adminId}` }
+                                { text: t('admin.manage.remove', { name: adminName }), callback_data: `admin_remove_${adminId}` }
                             ]);
                         } catch (error) {
                             console.error('Error getting info of admin:', error);
                             adminList += `• ID: ${adminId}\n`;
                             keyboard.inline_keyboard.push([
-                                { text: `❌ Remove Admin ${adminId}`, callback_data: `admin_remove_${adminId}` }
+                                { text: t('admin.manage.removeId', { id: adminId }), callback_data: `admin_remove_${adminId}` }
                             ]);
                         }
                     }
                     
                     keyboard.inline_keyboard.push([
-                        { text: '« Back', callback_data: 'admin_manage' }
+                        { text: t('common.back'), callback_data: 'admin_manage' }
                     ]);
                     
                     await bot.editMessageText(adminList, {
@@ -1698,7 +3061,7 @@ bot.on('callback_query', async (callbackQuery) => {
                 const adminToRemove = data.split('_')[2];
                 await storage.removeSecondaryAdmin(adminToRemove);
                 await bot.answerCallbackQuery(callbackQuery.id, {
-                    text: '✅ Admin removed',
+                    text: t('admin.manage.removed'),
                     show_alert: true
                 });
                 // Return to the updated list
@@ -1714,29 +3077,296 @@ bot.on('callback_query', async (callbackQuery) => {
     } catch (error) {
         console.error('Error in callback:', error);
         await bot.answerCallbackQuery(callbackQuery.id, {
-            text: '❌ Error processing action',
+            text: t('common.actionError'),
             show_alert: true
         });
     }
 }); 
 
+// Maximum tokens per user watchlist
+const MAX_WATCHLIST_SIZE = 50;
+
+// Build the watchlist of a user
+function buildWatchlistMessage(tokens, watchlist, currentUI, t) {
+    const watchedTokens = tokens.filter(token => watchlist.includes(token.poolAddress));
+    let message = `${t('watchlist.title', { count: watchedTokens.length })}\n\n`;
+
+    if (!watchedTokens.length) {
+        message += t('watchlist.empty');
+        return { message, keyboard: { inline_keyboard: [[{ text: t('common.viewTokens'), callback_data: 'tokens_1' }]] } };
+    }
+
+    watchedTokens.forEach(token => {
+        message += formatTokenSummary(token, t);
+    });
+
+    if (currentUI !== 'buttons') {
+        message += t('watchlist.unwatchHint');
+    }
+
+    const keyboard = {
+        inline_keyboard: [
+            ...watchedTokens.map(token => ([
+                { text: `💰 ${token.ticker}`, callback_data: `price_${token.address}` },
+                { text: `📈 ${token.ticker}`, callback_data: `history_${token.address}` },
+                { text: `❌ ${token.ticker}`, callback_data: `unwatch_${token.poolAddress}` }
+            ])),
+            [{ text: t('common.viewTokens'), callback_data: 'tokens_1' }]
+        ]
+    };
+
+    return { message, keyboard };
+}
+
+// /watch command to add a token to the user watchlist
+bot.onText(/^\/watch (.+)/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    const query = match[1].trim();
+    try {
+        const allTokens = await getTokens();
+        const result = tokenSearch.resolve(allTokens, query);
+        if (!result.token) {
+            const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+            await sendTokenChoices(msg.chat.id, query, result, 'watch', currentUI, t, allTokens);
+            return;
+        }
+
+        const token = result.token;
+
+        const watchlist = await storage.getWatchlist(msg.from.id);
+        if (watchlist.includes(token.poolAddress)) {
+            bot.sendMessage(msg.chat.id, t('watchlist.alreadyWatching', { ticker: token.ticker }));
+            return;
+        }
+        if (watchlist.length >= MAX_WATCHLIST_SIZE) {
+            bot.sendMessage(msg.chat.id, t('watchlist.limit', { limit: MAX_WATCHLIST_SIZE }));
+            return;
+        }
+
+        const success = await storage.addToWatchlist(msg.from.id, token.poolAddress);
+        if (!success) {
+            throw new Error('Could not update watchlist');
+        }
+
+        bot.sendMessage(msg.chat.id, t('watchlist.added', { ticker: token.ticker }));
+    } catch (error) {
+        console.error('Error adding to watchlist:', error);
+        bot.sendMessage(msg.chat.id, t('watchlist.updateError'));
+    }
+});
+
+// /unwatch command to remove a token from the user watchlist
+bot.onText(/^\/unwatch (.+)/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    const query = match[1].trim();
+    try {
+        const allTokens = await getTokens();
+        const watchlist = await storage.getWatchlist(msg.from.id);
+
+        // Only watched tokens can be removed, so a shared ticker is ambiguous only if several are watched
+        const watchedTokens = allTokens.filter(token => watchlist.includes(token.poolAddress));
+        const result = tokenSearch.resolve(watchedTokens, query);
+        if (!result.token) {
+            if (result.matches.length) {
+                const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+                await sendTokenChoices(msg.chat.id, query, result, 'unwatch', currentUI, t, allTokens);
+            } else {
+                bot.sendMessage(msg.chat.id, t('watchlist.notWatching', { ticker: query }));
+            }
+            return;
+        }
+
+        const token = result.token;
+
+        const success = await storage.removeFromWatchlist(msg.from.id, token.poolAddress);
+        if (!success) {
+            throw new Error('Could not update watchlist');
+        }
+
+        bot.sendMessage(msg.chat.id, t('watchlist.removed', { ticker: token.ticker }));
+    } catch (error) {
+        console.error('Error removing from watchlist:', error);
+        bot.sendMessage(msg.chat.id, t('watchlist.updateError'));
+    }
+});
+
+// /watchlist command to show the user watchlist
+bot.onText(/^\/watchlist$/, async (msg) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        const statusMsg = await bot.sendMessage(msg.chat.id, t('watchlist.loading'));
+        const tokens = await getTokens();
+        const watchlist = await storage.getWatchlist(msg.from.id);
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+
+        const { message, keyboard } = buildWatchlistMessage(tokens, watchlist, currentUI, t);
+
+        const options = {
+            chat_id: msg.chat.id,
+            message_id: statusMsg.message_id,
+            parse_mode: 'Markdown'
+        };
+        if (currentUI === 'buttons') options.reply_markup = keyboard;
+
+        await bot.editMessageText(message, options);
+    } catch (error) {
+        console.error('Error showing watchlist:', error);
+        bot.sendMessage(msg.chat.id, t('watchlist.loadError'));
+    }
+});
+
+// Build the alerts list of a chat
+async function buildAlertsMessage(chatId, currentUI, t) {
+    const alerts = await storage.getAlerts(chatId);
+    let message = `${t('alerts.title')}\n\n`;
+
+    if (!alerts.length) {
+        message += t('alerts.none');
+        return { message, keyboard: { inline_keyboard: [] } };
+    }
+
+    alerts.forEach(alert => {
+        message += `• \`${alert.id}\` ${alert.ticker} ${alertService.describe(alert, t.language)}\n`;
+    });
+
+    if (currentUI !== 'buttons') {
+        message += `\n${t('alerts.deleteHint')}`;
+    }
+
+    const keyboard = {
+        inline_keyboard: alerts.map(alert => ([
+            { text: `❌ ${alert.ticker} ${alertService.describe(alert, t.language)}`, callback_data: `alertdel_${alert.id}` }
+        ]))
+    };
+
+    return { message, keyboard };
+}
+
+// /alert command to create price alerts
+bot.onText(/^\/alert(?:\s+(.+))?$/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    const usage = t('alerts.usage');
+
+    if (!match[1]) {
+        bot.sendMessage(msg.chat.id, `${t('alerts.intro')}\n\n${usage}`, {parse_mode: 'Markdown'});
+        return;
+    }
+
+    const [ticker, ...args] = match[1].trim().split(/\s+/);
+    const rule = alertService.parseRule(args);
+    if (!rule) {
+        bot.sendMessage(msg.chat.id, `${t('alerts.invalid')}\n\n${usage}`, {parse_mode: 'Markdown'});
+        return;
+    }
+
+    try {
+        const alerts = await storage.getAlerts(msg.chat.id);
+        if (alerts.length >= alertService.maxAlertsPerChat) {
+            bot.sendMessage(msg.chat.id, t('alerts.limit', { limit: alertService.maxAlertsPerChat }));
+            return;
+        }
+
+        const allTokens = await getTokens();
+        const result = tokenSearch.resolve(allTokens, ticker);
+        if (!result.token) {
+            const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+            await sendTokenChoices(msg.chat.id, ticker, result, 'alert', currentUI, t, allTokens, args.join(' '));
+            return;
+        }
+
+        const token = result.token;
+
+        if (alertService.isMet(rule, token.dex?.price)) {
+            bot.sendMessage(msg.chat.id, t('alerts.alreadyMet', {
+                ticker: token.ticker,
+                condition: alertService.describe(rule, t.language),
+                price: token.dex.price
+            }), {parse_mode: 'Markdown'});
+            return;
+        }
+
+        const alert = await alertService.createAlert({
+            chatId: msg.chat.id,
+            userId: msg.from.id,
+            token,
+            rule
+        });
+        if (!alert) {
+            throw new Error('Could not create alert');
+        }
+
+        bot.sendMessage(msg.chat.id,
+            t('alerts.created', {
+                ticker: token.ticker,
+                condition: alertService.describe(alert, t.language),
+                price: token.dex.price
+            }),
+            {parse_mode: 'Markdown'}
+        );
+    } catch (error) {
+        console.error('Error creating alert:', error);
+        bot.sendMessage(msg.chat.id, t('alerts.createError'));
+    }
+});
+
+// /alerts command to list price alerts
+bot.onText(/^\/alerts$/, async (msg) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    try {
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+        const { message, keyboard } = await buildAlertsMessage(msg.chat.id, currentUI, t);
+
+        if (currentUI === 'buttons') {
+            bot.sendMessage(msg.chat.id, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } else {
+            bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
+        }
+    } catch (error) {
+        console.error('Error listing alerts:', error);
+        bot.sendMessage(msg.chat.id, t('alerts.listError'));
+    }
+});
+
+// /delalert command to delete a price alert
+bot.onText(/^\/delalert (.+)/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
+    const alertId = match[1].trim();
+    try {
+        const alerts = await storage.getAlerts(msg.chat.id);
+        if (!alerts.some(a => a.id === alertId)) {
+            bot.sendMessage(msg.chat.id, t('alerts.notFoundId', { id: alertId }));
+            return;
+        }
+
+        const success = await storage.removeAlert(alertId);
+        if (!success) {
+            throw new Error('Could not delete alert');
+        }
+
+        bot.sendMessage(msg.chat.id, t('alerts.deleted', { id: alertId }));
+    } catch (error) {
+        console.error('Error deleting alert:', error);
+        bot.sendMessage(msg.chat.id, t('alerts.deleteError'));
+    }
+});
+
 // Command to redeem invitation code
 bot.onText(/\/invite (.+)/, async (msg, match) => {
+    const t = await getTranslator(msg.chat.id, msg.from);
     const code = match[1].toUpperCase();
     
     // If already admin, no need for code
     if (await isAdmin(msg)) {
-        await bot.sendMessage(msg.chat.id, '✨ You are already an admin of the bot');
+        await bot.sendMessage(msg.chat.id, t('admin.invite.alreadyAdmin'));
         return;
     }
     
     // Verify if invitations are active
     if (!ADMIN_INVITE_ENABLED) {
-        await bot.sendMessage(msg.chat.id,
-            '❌ *Invitations Disabled*\n\n' +
-            'Invitations are temporarily disabled.',
-            {parse_mode: 'Markdown'}
-        );
+        await bot.sendMessage(msg.chat.id, t('admin.invite.disabled'), {parse_mode: 'Markdown'});
         return;
     }
     
@@ -1745,12 +3375,7 @@ bot.onText(/\/invite (.+)/, async (msg, match) => {
         await storage.addSecondaryAdmin(msg.from.id.toString());
         ADMIN_INVITE_CODE = null; // Invalidate the code after use
         
-        await bot.sendMessage(msg.chat.id,
-            '🎉 *Congratulations!*\n\n' +
-            'You have been promoted to admin of the bot.\n\n' +
-            'Use /admin to access the control panel.',
-            {parse_mode: 'Markdown'}
-        );
+        await bot.sendMessage(msg.chat.id, t('admin.invite.promoted'), {parse_mode: 'Markdown'});
 
         // Notify main admin
         if (process.env.ADMIN_CHAT_ID) {
@@ -1758,84 +3383,215 @@ bot.onText(/\/invite (.+)/, async (msg, match) => {
                 `@${msg.from.username}` : 
                 `${msg.from.first_name} (ID: ${msg.from.id})`;
             
+            const adminT = await getTranslator(process.env.ADMIN_CHAT_ID, { id: process.env.ADMIN_CHAT_ID });
             await bot.sendMessage(process.env.ADMIN_CHAT_ID,
-                '👤 *New Admin*\n\n' +
-                `User: ${newAdmin}\n` +
-                `Code used: \`${code}\``,
+                adminT('admin.invite.newAdmin', { user: newAdmin, code }),
                 {parse_mode: 'Markdown'}
             );
         }
     } else {
-        await bot.sendMessage(msg.chat.id,
-            '❌ *Invalid Code*\n\n' +
-            'The invitation code is invalid or has expired.\n' +
-            'Contact an admin to get a valid code.',
-            {parse_mode: 'Markdown'}
-        );
+        await bot.sendMessage(msg.chat.id, t('admin.invite.invalid'), {parse_mode: 'Markdown'});
     }
 }); 
 
+// Count command invocations
+bot.on('message', (msg) => {
+    const command = msg.text?.match(/^\/([a-z0-9_]{1,32})(?:@\w+)?(?:\s|$)/i)?.[1];
+    if (command) {
+        metrics.inc('bot_commands_total', { command: command.toLowerCase() });
+    }
+});
+
 // Message handler for tokens
 bot.on('message', async (msg) => {
     if (msg.text?.startsWith('/')) return; // Ignore commands
     
-    const ticker = msg.text?.toUpperCase();
-    if (!ticker) return;
+    const text = msg.text?.trim();
+    if (!text) return;
     
     try {
+        // Only tickers and addresses, so regular chatter never matches a token name
         const tokens = await getTokens();
-        const token = tokens.find(t => t.ticker === ticker);
-        
-        if (token) {
-            const config = await storage.getConfig('ui_mode');
-            const currentUI = config?.value || 'text';
-            
-            let message = `📊 *${token.name}*\n\n`;
-            
-            if (token.dex) {
-                message += `💰 *Market Data*\n`;
-                message += `Price: $${token.dex.price || 'N/A'}\n`;
-                message += `MC: $${formatNumber(token.dex.marketCap)}\n`;
-                message += `Liquidity: $${formatNumber(token.dex.liquidity)}\n`;
-                message += `24h Volume: $${formatNumber(token.dex.volume24h)}\n`;
-                message += `DEX: ${token.dex.dexId}\n\n`;
-            }
-            
-            message += `📝 *Information*\n`;
-            message += `Contract: \`${token.address.replace(/[`]/g, '')}\`\n`;
-            message += `Pool: \`${token.poolAddress.replace(/[`]/g, '')}\`\n`;
-            message += `Creator: @${token.creator.replace(/[*_`]/g, '')}\n`;
-            if (token.telegram) message += `Telegram: @${token.telegram.replace(/[*_`]/g, '')}`;
-            
-            if (currentUI === 'buttons') {
-                const keyboard = {
-                    inline_keyboard: [
-                        [
-                            { text: '📈 View History', callback_data: `history_${token.ticker}` },
-                            { text: '🔄 Refresh', callback_data: `price_${token.ticker}` }
-                        ],
-                        [{ text: '« Back', callback_data: 'tokens_1' }]
-                    ]
-                };
-                
-                bot.sendMessage(msg.chat.id, message, {
-                    parse_mode: 'Markdown',
-                    reply_markup: keyboard
-                });
-            } else {
-                bot.sendMessage(msg.chat.id, message, {parse_mode: 'Markdown'});
-            }
+        const result = tokenSearch.resolve(tokens, text, { names: false });
+        if (!result.token && !result.ambiguous) return;
+
+        const { uiMode: currentUI } = await chatSettings.get(msg.chat.id);
+        const t = await getTranslator(msg.chat.id, msg.from);
+
+        if (result.ambiguous) {
+            await sendTokenChoices(msg.chat.id, text, result, 'price', currentUI, t, tokens);
+            return;
         }
+
+        const options = { parse_mode: 'Markdown' };
+        if (currentUI === 'buttons') options.reply_markup = buildTokenKeyboard(result.token, t);
+
+        bot.sendMessage(msg.chat.id, formatTokenDetails(result.token, t), options);
     } catch (error) {
         console.error('Error processing message:', error);
     }
 }); 
 
 const express = require('express');
-const port = 9999;
+const port = process.env.PORT || 9999;
 
 const app = express();
 
+// Parse a time query parameter (ISO date or timestamp in ms)
+function parseTimeParam(value) {
+    const time = /^\d+$/.test(value) ? parseInt(value) : new Date(value).getTime();
+    return isNaN(time) ? null : time;
+}
+
+// Find a listed token by ticker, name, contract or pool address (same resolver as the bot commands)
+// Returns { token, ambiguous, matches }
+async function findToken(query) {
+    return tokenSearch.resolve(await getTokens(), query);
+}
+
+// Reply to an API request for a token that findToken could not resolve to a single one
+function sendTokenNotResolved(res, { ambiguous, matches }) {
+    if (ambiguous) {
+        return res.status(409).json({
+            error: 'Ambiguous token, use its contract or pool address',
+            matches: matches.map(({ name, ticker, address, poolAddress }) => ({ name, ticker, address, poolAddress }))
+        });
+    }
+    return res.status(404).json({ error: 'Token not found' });
+}
+
+// Telegram updates (webhook mode), verified with the secret token header
+app.post(WEBHOOK_PATH, express.json(), (req, res) => {
+    if (!webhookActive) {
+        return res.sendStatus(404);
+    }
+
+    const secret = Buffer.from(req.get('X-Telegram-Bot-Api-Secret-Token') || '');
+    const expected = Buffer.from(WEBHOOK_SECRET);
+    const valid = secret.length === expected.length && crypto.timingSafeEqual(secret, expected);
+    if (!valid) {
+        return res.sendStatus(401);
+    }
+
+    try {
+        bot.processUpdate(req.body);
+    } catch (error) {
+        console.error('Error processing webhook update:', error);
+    }
+    res.sendStatus(200);
+});
+
+// Liveness probe
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness probe: storage reachable and receiving Telegram updates
+app.get('/readyz', async (req, res) => {
+    let connected = false;
+    try {
+        connected = await storage.testConnection();
+    } catch (error) {
+        console.error('Error checking storage connection:', error);
+    }
+
+    const polling = bot.isPolling();
+    const ready = connected && (polling || webhookActive);
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        storage: {
+            mode: storage.getStorageMode(),
+            connected
+        },
+        telegram: {
+            mode: webhookActive ? 'webhook' : 'polling',
+            polling,
+            webhook: webhookActive
+        },
+        scheduler: priceScheduler.getStatus(),
+        marketData: marketData.getStatus(),
+        tokenCatalog: tokenCatalog.getStatus()
+    });
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4');
+    res.send(metrics.render());
+});
+
+// List tokens (same order as /tokens)
+app.get('/api/tokens', async (req, res) => {
+    try {
+        res.json(await getTokens());
+    } catch (error) {
+        console.error('API error getting tokens:', error);
+        res.status(500).json({ error: 'Error getting tokens' });
+    }
+});
+
+// Token details
+app.get('/api/tokens/:ticker', async (req, res) => {
+    try {
+        const result = await findToken(req.params.ticker);
+        if (!result.token) {
+            return sendTokenNotResolved(res, result);
+        }
+        res.json(result.token);
+    } catch (error) {
+        console.error('API error getting token:', error);
+        res.status(500).json({ error: 'Error getting token' });
+    }
+});
+
+// Token price history (?from&to as ISO dates or timestamps, default last 24 hours)
+app.get('/api/tokens/:ticker/history', async (req, res) => {
+    const to = req.query.to === undefined ? Date.now() : parseTimeParam(req.query.to);
+    const from = req.query.from === undefined ? to - 24 * 60 * 60 * 1000 : parseTimeParam(req.query.from);
+    const resolution = req.query.resolution || 'auto';
+
+    if (from === null || to === null || from > to) {
+        return res.status(400).json({ error: 'Invalid time range' });
+    }
+    if (!['auto', 'raw', ...Object.keys(TimeSeriesStore.RESOLUTIONS)].includes(resolution)) {
+        return res.status(400).json({ error: 'Invalid resolution' });
+    }
+
+    try {
+        const result = await findToken(req.params.ticker);
+        if (!result.token) {
+            return sendTokenNotResolved(res, result);
+        }
+
+        const token = result.token;
+        const history = await storage.getPriceHistory(token.poolAddress, { from, to, resolution });
+        res.json({
+            ticker: token.ticker,
+            poolAddress: token.poolAddress,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            history
+        });
+    } catch (error) {
+        console.error('API error getting history:', error);
+        res.status(500).json({ error: 'Error getting history' });
+    }
+});
+
+// Bot statistics (same data as /stats)
+app.get('/api/stats', async (req, res) => {
+    try {
+        const tokens = await getTokens();
+        res.json({
+            ...await getStatsSummary(tokens),
+            storageMode: storage.getStorageMode()
+        });
+    } catch (error) {
+        console.error('API error getting stats:', error);
+        res.status(500).json({ error: 'Error getting statistics' });
+    }
+});
+
 app.listen(port, () => {
     console.log(`Server started on port ${port}`);
 });
@@ -0,0 +1,187 @@
+const storage = require('./storage');
+const i18n = require('./i18n');
+
+// Minutes per window unit
+const WINDOW_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * Price alerts parsing and evaluation
+ */
+class AlertService {
+    constructor() {
+        this.maxAlertsPerChat = 20;
+        this.defaultWindow = 60; // 1 hour
+        this.maxWindow = 24 * 60; // 24 hours
+    }
+
+    /**
+     * Parse alert rule arguments
+     * @param {Array<string>} args - Arguments after the ticker, e.g. ['above', '0.5'] or ['+10%', '1h']
+     * @returns {Object|null} Rule with type, target and windowMinutes, or null if invalid
+     */
+    parseRule(args) {
+        const [condition, value] = args.map(arg => arg.toLowerCase());
+        if (!condition) return null;
+
+        // Price threshold: above|below PRICE
+        if (condition === 'above' || condition === 'below') {
+            const target = parseFloat((value || '').replace('$', ''));
+            if (!target || target <= 0) return null;
+            return { type: condition, target, windowMinutes: null };
+        }
+
+        // Percent move: [+|-]N% [WINDOW]
+        const percentMatch = condition.match(/^([+-]?)(\d+(?:\.\d+)?)%$/);
+        if (!percentMatch) return null;
+
+        const target = parseFloat(percentMatch[2]);
+        if (!target) return null;
+
+        let windowMinutes = this.defaultWindow;
+        if (value) {
+            const windowMatch = value.match(/^(\d+)([mhd])$/);
+            if (!windowMatch) return null;
+            windowMinutes = parseInt(windowMatch[1]) * WINDOW_UNITS[windowMatch[2]];
+        }
+        if (windowMinutes < 1 || windowMinutes > this.maxWindow) return null;
+
+        const type = percentMatch[1] === '+' ? 'up' : percentMatch[1] === '-' ? 'down' : 'move';
+        return { type, target, windowMinutes };
+    }
+
+    /**
+     * Whether a price threshold is already met at a price
+     * Thresholds fire when the price crosses them, so an alert for a target already met is rejected
+     * @param {Object} rule - Parsed rule
+     * @param {number} price - Current price
+     * @returns {boolean}
+     */
+    isMet(rule, price) {
+        if (!price) return false;
+        if (rule.type === 'above') return price >= rule.target;
+        if (rule.type === 'below') return price <= rule.target;
+        return false;
+    }
+
+    /**
+     * Create and store an alert
+     * @param {Object} params - Chat, user, token and parsed rule
+     * @returns {Object|null} Created alert or null on error
+     */
+    async createAlert({ chatId, userId, token, rule }) {
+        const alert = {
+            id: Math.random().toString(36).substring(2, 8),
+            chatId: chatId.toString(),
+            userId: userId.toString(),
+            ticker: token.ticker,
+            poolAddress: token.poolAddress,
+            type: rule.type,
+            target: rule.target,
+            windowMinutes: rule.windowMinutes,
+            createdAt: new Date().toISOString()
+        };
+
+        const success = await storage.addAlert(alert);
+        return success ? alert : null;
+    }
+
+    /**
+     * Format a window in minutes
+     * @param {number} minutes - Window in minutes
+     * @returns {string} Formatted window (e.g. 30m, 4h, 1d)
+     */
+    formatWindow(minutes) {
+        if (minutes % WINDOW_UNITS.d === 0) return `${minutes / WINDOW_UNITS.d}d`;
+        if (minutes % WINDOW_UNITS.h === 0) return `${minutes / WINDOW_UNITS.h}h`;
+        return `${minutes}m`;
+    }
+
+    /**
+     * Describe an alert condition
+     * @param {Object} alert - Alert
+     * @param {string} language - Language of the description
+     * @returns {string} Human readable condition
+     */
+    describe(alert, language = i18n.defaultLanguage) {
+        const type = ['above', 'below', 'up', 'down'].includes(alert.type) ? alert.type : 'move';
+        return i18n.t(language, `alerts.conditions.${type}`, {
+            target: alert.target,
+            window: alert.windowMinutes ? this.formatWindow(alert.windowMinutes) : ''
+        });
+    }
+
+    /**
+     * Get the percent move over the alert window
+     * Only prices recorded after the alert was created are considered
+     * @param {Object} alert - Percent alert
+     * @param {Array} history - Price history (newest first)
+     * @param {number} price - Current price
+     * @returns {number|null} Percent change, or null without reference prices
+     */
+    getWindowChange(alert, history, price) {
+        const from = Math.max(
+            Date.now() - alert.windowMinutes * 60 * 1000,
+            new Date(alert.createdAt).getTime()
+        );
+        const points = history
+            .filter(h => new Date(h.updated_at).getTime() >= from && parseFloat(h.price) > 0);
+
+        if (!points.length) return null;
+
+        // Buckets carry their own low/high, raw rows only a price
+        const low = Math.min(...points.map(h => parseFloat(h.low ?? h.price)));
+        const high = Math.max(...points.map(h => parseFloat(h.high ?? h.price)));
+        const up = (price - low) / low * 100;
+        const down = (price - high) / high * 100;
+
+        if (alert.type === 'up') return up;
+        if (alert.type === 'down') return down;
+        return Math.abs(down) > up ? down : up;
+    }
+
+    /**
+     * Evaluate alerts of a pool after a price update
+     * Triggered alerts are removed (alerts fire once) and only returned by the check that removed them
+     * @param {string} poolAddress - Pool address
+     * @param {number} price - New price
+     * @returns {Array} Triggered alerts with the change that triggered them
+     */
+    async checkAlerts(poolAddress, price) {
+        const alerts = await storage.getPoolAlerts(poolAddress);
+        if (!alerts.length) return [];
+
+        let history = null;
+        const triggered = [];
+
+        for (const alert of alerts) {
+            let hit = false;
+            let change = null;
+
+            // Targets met when the alert was created are rejected, so reaching one means the price crossed it
+            if (alert.type === 'above') {
+                hit = price >= alert.target;
+            } else if (alert.type === 'below') {
+                hit = price <= alert.target;
+            } else {
+                // Load history only when there are percent alerts
+                if (!history) {
+                    history = await storage.getPriceHistory(poolAddress, {
+                        from: Date.now() - this.maxWindow * 60 * 1000
+                    });
+                }
+                change = this.getWindowChange(alert, history, price);
+                hit = change !== null && Math.abs(change) >= alert.target &&
+                    (alert.type === 'move' || (alert.type === 'up') === (change > 0));
+            }
+
+            // Claim the alert before notifying: a concurrent check of the same pool may have fired it already
+            if (hit && await storage.removeAlert(alert.id)) {
+                triggered.push({ ...alert, price, change });
+            }
+        }
+
+        return triggered;
+    }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,137 @@
+const storage = require('./storage');
+const metrics = require('./metrics');
+
+metrics.counter('bot_rate_limited_total', 'Updates dropped by rate limits');
+
+/**
+ * Per-user and per-chat rate limits plus banned users
+ * Quotas use fixed windows: each key may make `limit` requests every `window` ms
+ */
+class AntiSpamService {
+    constructor(options = {}) {
+        this.userLimit = options.userLimit || 20;
+        this.chatLimit = options.chatLimit || 60;
+        this.window = options.window || 60 * 1000;
+
+        this.counters = new Map(); // Key -> { count, resetAt, notified }
+        this.banned = new Set();
+
+        // Drop expired counters every window
+        setInterval(() => this.cleanup(), this.window).unref();
+    }
+
+    /**
+     * Count a request against a key
+     * @param {string} key - Counter key
+     * @param {number} limit - Requests allowed per window
+     * @returns {Object|null} Counter when over the limit, null otherwise
+     */
+    consume(key, limit) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + this.window, notified: false };
+            this.counters.set(key, counter);
+        }
+
+        counter.count++;
+        return counter.count > limit ? counter : null;
+    }
+
+    /**
+     * Count a request from a user in a chat
+     * @param {string|number} userId - User ID
+     * @param {string|number} chatId - Chat ID (optional, e.g. inline queries)
+     * @returns {Object} { limited, scope, retryAfter (seconds), notify (first hit of the window) }
+     */
+    hit(userId, chatId) {
+        const scopes = [['user', `user:${userId}`, this.userLimit]];
+        if (chatId && chatId.toString() !== userId.toString()) {
+            scopes.push(['chat', `chat:${chatId}`, this.chatLimit]);
+        }
+
+        for (const [scope, key, limit] of scopes) {
+            const counter = this.consume(key, limit);
+            if (counter) {
+                const notify = !counter.notified;
+                counter.notified = true;
+                metrics.inc('bot_rate_limited_total', { scope });
+                return {
+                    limited: true,
+                    scope,
+                    retryAfter: Math.ceil((counter.resetAt - Date.now()) / 1000),
+                    notify
+                };
+            }
+        }
+
+        return { limited: false };
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Load banned users from storage
+     */
+    async loadBans() {
+        const bans = await storage.getBannedUsers();
+        this.banned = new Set(bans.map(ban => ban.userId));
+        console.log(`🚫 Banned users loaded: ${this.banned.size}`);
+    }
+
+    /**
+     * Check if a user is banned
+     * @param {string|number} userId - User ID
+     * @returns {boolean} True if banned
+     */
+    isBanned(userId) {
+        return this.banned.has(userId.toString());
+    }
+
+    /**
+     * Ban a user
+     * @param {string|number} userId - User ID
+     * @param {Object} details - Admin who banned and optional reason
+     * @returns {boolean} True if saved
+     */
+    async ban(userId, { bannedBy, reason = '' } = {}) {
+        const success = await storage.banUser({
+            userId: userId.toString(),
+            bannedBy: bannedBy?.toString(),
+            reason,
+            createdAt: new Date().toISOString()
+        });
+        if (success) {
+            this.banned.add(userId.toString());
+        }
+        return success;
+    }
+
+    /**
+     * Unban a user
+     * @param {string|number} userId - User ID
+     * @returns {boolean} True if removed
+     */
+    async unban(userId) {
+        const success = await storage.unbanUser(userId.toString());
+        if (success) {
+            this.banned.delete(userId.toString());
+        }
+        return success;
+    }
+}
+
+const seconds = value => (parseInt(value) > 0 ? parseInt(value) * 1000 : undefined);
+
+module.exports = new AntiSpamService({
+    userLimit: parseInt(process.env.RATE_LIMIT_USER) || undefined,
+    chatLimit: parseInt(process.env.RATE_LIMIT_CHAT) || undefined,
+    window: seconds(process.env.RATE_LIMIT_WINDOW)
+});
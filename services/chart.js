@@ -0,0 +1,322 @@
+const zlib = require('zlib');
+
+// 5x7 bitmap font (lowercase is drawn as uppercase)
+const FONT = {
+    '0': '01110 10001 10011 10101 11001 10001 01110',
+    '1': '00100 01100 00100 00100 00100 00100 01110',
+    '2': '01110 10001 00001 00010 00100 01000 11111',
+    '3': '11111 00010 00100 00010 00001 10001 01110',
+    '4': '00010 00110 01010 10010 11111 00010 00010',
+    '5': '11111 10000 11110 00001 00001 10001 01110',
+    '6': '00110 01000 10000 11110 10001 10001 01110',
+    '7': '11111 00001 00010 00100 01000 01000 01000',
+    '8': '01110 10001 10001 01110 10001 10001 01110',
+    '9': '01110 10001 10001 01111 00001 00010 01100',
+    'A': '01110 10001 10001 11111 10001 10001 10001',
+    'B': '11110 10001 10001 11110 10001 10001 11110',
+    'C': '01110 10001 10000 10000 10000 10001 01110',
+    'D': '11100 10010 10001 10001 10001 10010 11100',
+    'E': '11111 10000 10000 11110 10000 10000 11111',
+    'F': '11111 10000 10000 11110 10000 10000 10000',
+    'G': '01110 10001 10000 10111 10001 10001 01111',
+    'H': '10001 10001 10001 11111 10001 10001 10001',
+    'I': '01110 00100 00100 00100 00100 00100 01110',
+    'J': '00111 00010 00010 00010 00010 10010 01100',
+    'K': '10001 10010 10100 11000 10100 10010 10001',
+    'L': '10000 10000 10000 10000 10000 10000 11111',
+    'M': '10001 11011 10101 10101 10001 10001 10001',
+    'N': '10001 10001 11001 10101 10011 10001 10001',
+    'O': '01110 10001 10001 10001 10001 10001 01110',
+    'P': '11110 10001 10001 11110 10000 10000 10000',
+    'Q': '01110 10001 10001 10001 10101 10010 01101',
+    'R': '11110 10001 10001 11110 10100 10010 10001',
+    'S': '01111 10000 10000 01110 00001 00001 11110',
+    'T': '11111 00100 00100 00100 00100 00100 00100',
+    'U': '10001 10001 10001 10001 10001 10001 01110',
+    'V': '10001 10001 10001 10001 10001 01010 00100',
+    'W': '10001 10001 10001 10101 10101 10101 01010',
+    'X': '10001 10001 01010 00100 01010 10001 10001',
+    'Y': '10001 10001 10001 01010 00100 00100 00100',
+    'Z': '11111 00001 00010 00100 01000 10000 11111',
+    '.': '00000 00000 00000 00000 00000 01100 01100',
+    ',': '00000 00000 00000 00000 01100 00100 01000',
+    ':': '00000 01100 01100 00000 01100 01100 00000',
+    '-': '00000 00000 00000 11111 00000 00000 00000',
+    '+': '00000 00100 00100 11111 00100 00100 00000',
+    '%': '11000 11001 00010 00100 01000 10011 00011',
+    '$': '00100 01111 10100 01110 00101 11110 00100',
+    '/': '00000 00001 00010 00100 01000 10000 00000',
+    '(': '00010 00100 01000 01000 01000 00100 00010',
+    ')': '01000 00100 00010 00010 00010 00100 01000',
+    '?': '01110 10001 00001 00010 00100 00000 00100',
+    ' ': '00000 00000 00000 00000 00000 00000 00000'
+};
+
+// Chart colors (RGB)
+const COLORS = {
+    background: [23, 27, 38],
+    grid: [44, 50, 66],
+    text: [200, 205, 215],
+    muted: [120, 128, 145],
+    up: [38, 194, 129],
+    down: [234, 84, 85],
+    volume: [70, 90, 130]
+};
+
+// CRC32 table for PNG chunks
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Minimal RGB raster canvas with PNG output
+ */
+class Canvas {
+    constructor(width, height, background) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, background);
+    }
+
+    setPixel(x, y, color) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+        const offset = (y * this.width + x) * 3;
+        this.pixels[offset] = color[0];
+        this.pixels[offset + 1] = color[1];
+        this.pixels[offset + 2] = color[2];
+    }
+
+    fillRect(x, y, width, height, color) {
+        for (let py = Math.round(y); py < Math.round(y + height); py++) {
+            for (let px = Math.round(x); px < Math.round(x + width); px++) {
+                this.setPixel(px, py, color);
+            }
+        }
+    }
+
+    /**
+     * Draw a line (Bresenham) with the given thickness
+     */
+    line(x0, y0, x1, y1, color, thickness = 1) {
+        x0 = Math.round(x0); y0 = Math.round(y0);
+        x1 = Math.round(x1); y1 = Math.round(y1);
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        const offset = Math.floor(thickness / 2);
+        let err = dx + dy;
+
+        while (true) {
+            this.fillRect(x0 - offset, y0 - offset, thickness, thickness, color);
+            if (x0 === x1 && y0 === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x0 += sx; }
+            if (e2 <= dx) { err += dx; y0 += sy; }
+        }
+    }
+
+    /**
+     * Draw text with the bitmap font
+     * @returns {number} Width of the drawn text
+     */
+    text(str, x, y, color, scale = 1) {
+        const chars = String(str).toUpperCase().split('');
+        chars.forEach((char, i) => {
+            const rows = (FONT[char] || FONT['?']).split(' ');
+            rows.forEach((row, ry) => {
+                for (let rx = 0; rx < row.length; rx++) {
+                    if (row[rx] === '1') {
+                        this.fillRect(x + (i * 6 + rx) * scale, y + ry * scale, scale, scale, color);
+                    }
+                }
+            });
+        });
+        return Canvas.textWidth(str, scale);
+    }
+
+    static textWidth(str, scale = 1) {
+        return String(str).length * 6 * scale - scale;
+    }
+
+    /**
+     * Encode the canvas as PNG (8-bit RGB)
+     * @returns {Buffer} PNG image
+     */
+    toPNG() {
+        const rowLength = this.width * 3;
+        const raw = Buffer.alloc((rowLength + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            raw[y * (rowLength + 1)] = 0; // Filter: none
+            this.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+        }
+
+        const chunk = (type, data) => {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(data.length);
+            const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+            const crc = Buffer.alloc(4);
+            crc.writeUInt32BE(crc32(body));
+            return Buffer.concat([length, body, crc]);
+        };
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // Bit depth
+        header[9] = 2; // Color type: RGB
+        header[10] = 0; // Compression
+        header[11] = 0; // Filter
+        header[12] = 0; // Interlace
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            chunk('IHDR', header),
+            chunk('IDAT', zlib.deflateSync(raw)),
+            chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+/**
+ * Price chart rendering as PNG images
+ */
+class ChartService {
+    /**
+     * Format a price for axis labels
+     * @param {number} price - Price
+     * @returns {string} Formatted price
+     */
+    formatPrice(price) {
+        if (price >= 1000) return price.toFixed(0);
+        if (price >= 1) return price.toFixed(2);
+        return price.toPrecision(4);
+    }
+
+    /**
+     * Format a time as HH:MM (UTC)
+     * @param {number} time - Timestamp in ms
+     * @returns {string} Formatted time
+     */
+    formatTime(time) {
+        return new Date(time).toISOString().substring(11, 16);
+    }
+
+    /**
+     * Render a price line chart
+     * @param {Array} points - Points ({ time, price, volume }) sorted by time ascending
+     * @param {Object} options - Title, subtitle, size and volume options
+     * @returns {Buffer} PNG image
+     * @throws {Error} If there are less than 2 points
+     */
+    renderPriceChart(points, options = {}) {
+        if (!points || points.length < 2) {
+            throw new Error('At least 2 points are required to draw a chart');
+        }
+
+        const width = options.width || 800;
+        const height = options.height || 400;
+        const showVolume = options.showVolume && points.some(p => p.volume > 0);
+        const canvas = new Canvas(width, height, COLORS.background);
+
+        // Plot area
+        const left = 90;
+        const right = width - 20;
+        const top = 50;
+        const bottom = height - 35;
+        const volumeHeight = showVolume ? Math.round((bottom - top) * 0.25) : 0;
+        const priceBottom = bottom - volumeHeight - (showVolume ? 10 : 0);
+
+        const minTime = points[0].time;
+        const maxTime = points[points.length - 1].time;
+        const prices = points.map(p => p.price);
+        let minPrice = Math.min(...prices);
+        let maxPrice = Math.max(...prices);
+        if (minPrice === maxPrice) {
+            minPrice *= 0.99;
+            maxPrice *= 1.01;
+        }
+
+        const x = time => left + (time - minTime) / ((maxTime - minTime) || 1) * (right - left);
+        const y = price => priceBottom - (price - minPrice) / (maxPrice - minPrice) * (priceBottom - top);
+
+        // Title and change
+        const first = points[0].price;
+        const last = points[points.length - 1].price;
+        const change = (last - first) / first * 100;
+        const trendColor = change >= 0 ? COLORS.up : COLORS.down;
+
+        let titleX = 20;
+        if (options.title) {
+            titleX += canvas.text(options.title, titleX, 15, COLORS.text, 2) + 20;
+        }
+        titleX += canvas.text(`$${this.formatPrice(last)}`, titleX, 15, COLORS.text, 2) + 20;
+        canvas.text(`${change >= 0 ? '+' : ''}${change.toFixed(2)}%`, titleX, 15, trendColor, 2);
+        if (options.subtitle) {
+            canvas.text(options.subtitle, right - Canvas.textWidth(options.subtitle), 20, COLORS.muted);
+        }
+
+        // Horizontal grid with price labels
+        const gridLines = 5;
+        for (let i = 0; i <= gridLines; i++) {
+            const price = minPrice + (maxPrice - minPrice) * i / gridLines;
+            const gy = Math.round(y(price));
+            canvas.line(left, gy, right, gy, COLORS.grid);
+            const label = this.formatPrice(price);
+            canvas.text(label, left - 8 - Canvas.textWidth(label), gy - 3, COLORS.muted);
+        }
+
+        // Time labels
+        const timeLabels = 5;
+        for (let i = 0; i <= timeLabels; i++) {
+            const time = minTime + (maxTime - minTime) * i / timeLabels;
+            const tx = Math.round(x(time));
+            const label = this.formatTime(time);
+            canvas.line(tx, bottom, tx, bottom + 4, COLORS.muted);
+            canvas.text(label, Math.min(Math.max(tx - Canvas.textWidth(label) / 2, left), right - Canvas.textWidth(label)), bottom + 10, COLORS.muted);
+        }
+
+        // Volume bars
+        if (showVolume) {
+            const maxVolume = Math.max(...points.map(p => p.volume || 0));
+            const barWidth = Math.max(Math.floor((right - left) / points.length) - 1, 1);
+            points.forEach(point => {
+                if (!point.volume) return;
+                const barHeight = Math.max(point.volume / maxVolume * volumeHeight, 1);
+                canvas.fillRect(x(point.time) - barWidth / 2, bottom - barHeight, barWidth, barHeight, COLORS.volume);
+            });
+        }
+
+        // Price line
+        for (let i = 1; i < points.length; i++) {
+            canvas.line(
+                x(points[i - 1].time), y(points[i - 1].price),
+                x(points[i].time), y(points[i].price),
+                trendColor, 2
+            );
+        }
+
+        // Axes
+        canvas.line(left, top, left, bottom, COLORS.muted);
+        canvas.line(left, bottom, right, bottom, COLORS.muted);
+
+        return canvas.toPNG();
+    }
+}
+
+module.exports = new ChartService();
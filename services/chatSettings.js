@@ -0,0 +1,131 @@
+const storage = require('./storage');
+const SORT_CRITERIA = require('./sortCriteria');
+
+// Settings every chat can change, with the values they accept
+const SETTINGS = {
+    uiMode: ['text', 'buttons'],
+    sortCriteria: Object.keys(SORT_CRITERIA),
+    pageSize: [5, 10, 20, 30],
+    language: ['en', 'es', 'zh']
+};
+
+const DEFAULTS = {
+    uiMode: 'text',
+    sortCriteria: 'mc',
+    pageSize: 10,
+    language: null // Each user reads the bot in their own language
+};
+
+/**
+ * Per-chat settings (UI mode, sort criteria, page size, language)
+ * Chats without their own value use the bot-wide default: the `ui_mode` and
+ * `sort_criteria` config keys set by admins, or the built-in defaults
+ */
+class ChatSettingsService {
+    constructor(options = {}) {
+        this.ttl = options.ttl || 60 * 1000; // Other replicas may change settings too
+        this.cache = new Map(); // Chat ID -> { settings, expiresAt }
+        this.settings = SETTINGS;
+    }
+
+    /**
+     * Get the values a chat set itself
+     * @param {string|number} chatId - Chat ID
+     * @returns {Object} Own settings (only the keys the chat changed)
+     */
+    async getOwn(chatId) {
+        const key = chatId.toString();
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.settings;
+        }
+
+        const stored = await storage.getChatSettings(key);
+        const settings = {};
+        for (const name of Object.keys(SETTINGS)) {
+            if (stored?.[name] !== undefined && stored[name] !== null) {
+                settings[name] = stored[name];
+            }
+        }
+
+        this.cache.set(key, { settings, expiresAt: Date.now() + this.ttl });
+        return settings;
+    }
+
+    /**
+     * Get the bot-wide defaults
+     * @returns {Object} Default settings
+     */
+    async getDefaults() {
+        const [uiMode, sortCriteria] = await Promise.all([
+            storage.getConfig('ui_mode'),
+            storage.getConfig('sort_criteria')
+        ]);
+
+        return {
+            ...DEFAULTS,
+            uiMode: uiMode?.value || DEFAULTS.uiMode,
+            sortCriteria: sortCriteria?.value || DEFAULTS.sortCriteria
+        };
+    }
+
+    /**
+     * Get the effective settings of a chat
+     * @param {string|number} chatId - Chat ID
+     * @returns {Object} Settings ({ uiMode, sortCriteria, pageSize, language })
+     */
+    async get(chatId) {
+        try {
+            const [defaults, own] = await Promise.all([this.getDefaults(), this.getOwn(chatId)]);
+            return { ...defaults, ...own };
+        } catch (error) {
+            console.error('Error getting chat settings:', error);
+            return { ...DEFAULTS };
+        }
+    }
+
+    /**
+     * Change a setting of a chat
+     * @param {string|number} chatId - Chat ID
+     * @param {string} name - Setting (uiMode, sortCriteria, pageSize, language)
+     * @param {*} value - New value, or null to use the default again
+     * @param {string|number} userId - User making the change
+     * @returns {boolean} True if saved
+     * @throws {Error} If the setting or value is invalid
+     */
+    async set(chatId, name, value, userId) {
+        if (!SETTINGS[name]) {
+            throw new Error(`Invalid setting: ${name}`);
+        }
+        if (value !== null && !SETTINGS[name].includes(value)) {
+            throw new Error(`Invalid value for ${name}: ${value}`);
+        }
+
+        const own = { ...await this.getOwn(chatId), [name]: value };
+        const success = await storage.saveChatSettings({
+            chatId: chatId.toString(),
+            uiMode: own.uiMode ?? null,
+            sortCriteria: own.sortCriteria ?? null,
+            pageSize: own.pageSize ?? null,
+            language: own.language ?? null,
+            updatedBy: userId.toString(),
+            updatedAt: new Date().toISOString()
+        });
+
+        this.cache.delete(chatId.toString());
+        return success;
+    }
+
+    /**
+     * Drop every setting of a chat so it uses the defaults
+     * @param {string|number} chatId - Chat ID
+     * @returns {boolean} True if removed
+     */
+    async reset(chatId) {
+        const success = await storage.removeChatSettings(chatId.toString());
+        this.cache.delete(chatId.toString());
+        return success;
+    }
+}
+
+module.exports = new ChatSettingsService();
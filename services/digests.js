@@ -0,0 +1,225 @@
+const storage = require('./storage');
+const TimeSeriesStore = require('./timeSeries');
+
+// Digest frequencies and the period each one covers
+const FREQUENCIES = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Periodic digest reports for subscribed chats: top gainers and losers,
+ * biggest volume and tokens listed since the last digest
+ * Subscriptions keep the time of the last digest, so schedules survive restarts
+ */
+class DigestService {
+    constructor(options = {}) {
+        this.dailyHour = options.dailyHour ?? 9; // UTC hour of daily digests
+        this.topCount = options.topCount || 3;
+        this.checkInterval = options.checkInterval || 60 * 1000;
+
+        this.subscriptions = new Map(); // Chat ID -> subscription
+        this.timer = null;
+        this.running = false;
+        this.getTokens = null;
+        this.send = null;
+    }
+
+    get frequencies() {
+        return Object.keys(FREQUENCIES);
+    }
+
+    /**
+     * Load subscriptions and start checking for due digests
+     * @param {Function} getTokens - Async function returning the token list
+     * @param {Function} send - Async function (subscription, digest) delivering a digest
+     */
+    async start(getTokens, send) {
+        this.getTokens = getTokens;
+        this.send = send;
+
+        const subscriptions = await storage.getDigestSubscriptions();
+        this.subscriptions = new Map(subscriptions.map(subscription => [subscription.chatId, subscription]));
+
+        if (this.timer) clearInterval(this.timer);
+        this.timer = setInterval(() => this.tick(), this.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Get the subscription of a chat
+     * @param {string|number} chatId - Chat ID
+     * @returns {Object|null} Subscription
+     */
+    getSubscription(chatId) {
+        return this.subscriptions.get(chatId.toString()) || null;
+    }
+
+    /**
+     * Subscribe a chat, or change its frequency
+     * Tokens listed now are not reported as new in the first digest
+     * @param {string|number} chatId - Chat ID
+     * @param {string} frequency - hourly or daily
+     * @param {Object} details - User who subscribed and current tokens
+     * @returns {Object|null} Subscription, or null if it could not be saved
+     * @throws {Error} If the frequency is not supported
+     */
+    async subscribe(chatId, frequency, { userId, tokens = [] } = {}) {
+        if (!FREQUENCIES[frequency]) {
+            throw new Error(`Unsupported digest frequency: ${frequency}`);
+        }
+
+        const current = this.getSubscription(chatId);
+        const subscription = {
+            chatId: chatId.toString(),
+            frequency,
+            knownTokens: current?.knownTokens || tokens.map(token => token.poolAddress.toLowerCase()),
+            subscribedBy: userId?.toString(),
+            lastSentAt: current?.lastSentAt || null,
+            createdAt: new Date().toISOString()
+        };
+
+        if (!await storage.saveDigestSubscription(subscription)) return null;
+        this.subscriptions.set(subscription.chatId, subscription);
+        return subscription;
+    }
+
+    /**
+     * Unsubscribe a chat
+     * @param {string|number} chatId - Chat ID
+     * @returns {boolean} True if the chat was subscribed and got removed
+     */
+    async unsubscribe(chatId) {
+        const key = chatId.toString();
+        if (!this.subscriptions.has(key)) return false;
+        if (!await storage.removeDigestSubscription(key)) return false;
+        this.subscriptions.delete(key);
+        return true;
+    }
+
+    /**
+     * Time of the next digest of a subscription: the first slot after the last one sent
+     * (top of the hour for hourly digests, dailyHour UTC for daily ones)
+     * @param {Object} subscription - Subscription
+     * @returns {number} Timestamp in ms
+     */
+    nextRun(subscription) {
+        const since = new Date(subscription.lastSentAt || subscription.createdAt).getTime();
+
+        if (subscription.frequency === 'hourly') {
+            return Math.floor(since / FREQUENCIES.hourly) * FREQUENCIES.hourly + FREQUENCIES.hourly;
+        }
+
+        const slot = new Date(since);
+        slot.setUTCHours(this.dailyHour, 0, 0, 0);
+        return slot.getTime() > since ? slot.getTime() : slot.getTime() + FREQUENCIES.daily;
+    }
+
+    /**
+     * Price change of each token since a time, from the stored price history
+     * @param {Array} tokens - Tokens with current DEX info
+     * @param {number} from - Start of the period (timestamp in ms)
+     * @returns {Array} { token, change } for tokens with history in the period
+     */
+    async getPriceChanges(tokens, from) {
+        const changes = await Promise.all(tokens.map(async token => {
+            const price = token.dex?.price;
+            if (!price) return null;
+
+            try {
+                const first = await storage.getFirstPrice(token.poolAddress, from);
+                const change = TimeSeriesStore.percentChange(parseFloat(first?.open ?? first?.price), price);
+                return change === null ? null : { token, change };
+            } catch (error) {
+                console.error(`Error getting price change of ${token.ticker}:`, error);
+                return null;
+            }
+        }));
+        return changes.filter(item => item !== null);
+    }
+
+    /**
+     * Build the digest of a subscription
+     * @param {Object} subscription - Subscription
+     * @param {Array} tokens - Current tokens with DEX info
+     * @returns {Object} { frequency, gainers, losers, topVolume, newTokens }
+     */
+    async build(subscription, tokens) {
+        const changes = await this.getPriceChanges(tokens, Date.now() - FREQUENCIES[subscription.frequency]);
+        const known = new Set(subscription.knownTokens || []);
+
+        return {
+            frequency: subscription.frequency,
+            gainers: changes
+                .filter(item => item.change > 0)
+                .sort((a, b) => b.change - a.change)
+                .slice(0, this.topCount),
+            losers: changes
+                .filter(item => item.change < 0)
+                .sort((a, b) => a.change - b.change)
+                .slice(0, this.topCount),
+            topVolume: tokens
+                .filter(token => token.dex?.volume24h)
+                .sort((a, b) => b.dex.volume24h - a.dex.volume24h)
+                .slice(0, this.topCount),
+            newTokens: tokens.filter(token => !known.has(token.poolAddress.toLowerCase()))
+        };
+    }
+
+    /**
+     * Send the digests that are due
+     * Each subscription is marked as sent even if delivery fails, so a broken chat is not retried every minute
+     */
+    async tick() {
+        if (this.running || !this.send) return;
+
+        const now = Date.now();
+        const due = Array.from(this.subscriptions.values()).filter(subscription => this.nextRun(subscription) <= now);
+        if (!due.length) return;
+
+        this.running = true;
+        try {
+            // An empty list means the tokens could not be loaded, not that all of them are new next time
+            const tokens = await this.getTokens();
+            if (!tokens.length) return;
+
+            for (const subscription of due) {
+                try {
+                    const digest = await this.build(subscription, tokens);
+                    await this.send(subscription, digest);
+                } catch (error) {
+                    console.error(`Error sending digest to ${subscription.chatId}:`, error.message);
+                }
+
+                // The chat may have unsubscribed or changed frequency meanwhile
+                const current = this.subscriptions.get(subscription.chatId);
+                if (!current) continue;
+
+                const updated = {
+                    ...current,
+                    knownTokens: tokens.map(token => token.poolAddress.toLowerCase()),
+                    lastSentAt: new Date(now).toISOString()
+                };
+                await storage.saveDigestSubscription(updated);
+                this.subscriptions.set(updated.chatId, updated);
+            }
+        } catch (error) {
+            console.error('Error sending digests:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+const hour = parseInt(process.env.DIGEST_DAILY_HOUR);
+
+module.exports = new DigestService({
+    dailyHour: hour >= 0 && hour <= 23 ? hour : 9,
+    topCount: parseInt(process.env.DIGEST_TOP_COUNT) || 3
+});
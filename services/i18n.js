@@ -0,0 +1,143 @@
+const storage = require('./storage');
+
+// Message catalogs by language
+const CATALOGS = {
+    en: require('../locales/en.json'),
+    es: require('../locales/es.json'),
+    zh: require('../locales/zh.json')
+};
+
+// Intl locale of each language (number formatting)
+const LOCALES = {
+    en: 'en-US',
+    es: 'es-ES',
+    zh: 'zh-CN'
+};
+
+/**
+ * Bot message translations
+ * Messages are looked up by dotted key (e.g. `tokens.title`) in the language
+ * catalog, falling back to English, and `{name}` placeholders are replaced
+ */
+class I18nService {
+    constructor(options = {}) {
+        this.languages = Object.keys(CATALOGS);
+        this.defaultLanguage = CATALOGS[options.defaultLanguage] ? options.defaultLanguage : 'en';
+        this.ttl = options.ttl || 60 * 1000;
+        this.cache = new Map(); // User ID -> { language, expiresAt }
+    }
+
+    /**
+     * Look up a message in a catalog
+     * @param {string} language - Language
+     * @param {string} key - Dotted message key
+     * @returns {*} Message, or undefined if missing
+     */
+    lookup(language, key) {
+        return key.split('.').reduce((node, part) => node?.[part], CATALOGS[language]);
+    }
+
+    /**
+     * Translate a message
+     * @param {string} language - Language
+     * @param {string} key - Dotted message key
+     * @param {Object} params - Placeholder values
+     * @returns {string} Translated message (the key itself if missing everywhere)
+     */
+    t(language, key, params = {}) {
+        const message = this.lookup(language, key) ?? this.lookup('en', key);
+        if (typeof message !== 'string') {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined ? String(params[name]) : placeholder
+        );
+    }
+
+    /**
+     * Get a translator bound to a language
+     * @param {string} language - Language
+     * @returns {Function} t(key, params), with the language in `t.language`
+     */
+    translator(language) {
+        const t = (key, params) => this.t(language, key, params);
+        t.language = language;
+        return t;
+    }
+
+    /**
+     * Get the Intl locale of a language
+     * @param {string} language - Language
+     * @returns {string} Locale
+     */
+    locale(language) {
+        return LOCALES[language] || LOCALES.en;
+    }
+
+    /**
+     * Map a Telegram language code to a supported language
+     * @param {string} code - IETF language tag (e.g. es-ES, zh-hans)
+     * @returns {string|null} Language, or null if not supported
+     */
+    detect(code) {
+        const language = code?.toLowerCase().split(/[-_]/)[0];
+        return CATALOGS[language] ? language : null;
+    }
+
+    /**
+     * Get the language a user chose with /language
+     * @param {string|number} userId - User ID
+     * @returns {string|null} Language, or null if never chosen
+     */
+    async getUserLanguage(userId) {
+        const key = userId.toString();
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.language;
+        }
+
+        const language = await storage.getUserLanguage(key);
+        this.cache.set(key, { language: CATALOGS[language] ? language : null, expiresAt: Date.now() + this.ttl });
+        return this.cache.get(key).language;
+    }
+
+    /**
+     * Save the language of a user
+     * @param {string|number} userId - User ID
+     * @param {string|null} language - Language, or null to detect it again
+     * @returns {boolean} True if saved
+     * @throws {Error} If the language is not supported
+     */
+    async setUserLanguage(userId, language) {
+        if (language !== null && !CATALOGS[language]) {
+            throw new Error(`Unsupported language: ${language}`);
+        }
+
+        const success = await storage.setUserLanguage(userId.toString(), language);
+        this.cache.delete(userId.toString());
+        return success;
+    }
+
+    /**
+     * Get the language of a user: the one chosen with /language, else the
+     * Telegram app language, else the default
+     * @param {Object} user - Telegram user ({ id, language_code })
+     * @returns {string} Language
+     */
+    async resolve(user) {
+        try {
+            return (user?.id && await this.getUserLanguage(user.id)) ||
+                this.detect(user?.language_code) ||
+                this.defaultLanguage;
+        } catch (error) {
+            console.error('Error getting user language:', error);
+            return this.defaultLanguage;
+        }
+    }
+}
+
+module.exports = new I18nService({
+    defaultLanguage: process.env.DEFAULT_LANGUAGE
+});
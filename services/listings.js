@@ -0,0 +1,120 @@
+const storage = require('./storage');
+
+/**
+ * New token listing detection and the chats that opted in to the announcements
+ * Every token ever listed is stored as known, so restarts and tokens coming back
+ * after a source failure are never announced again
+ */
+class ListingService {
+    constructor(options = {}) {
+        // More new tokens than this at once means a source came back or was added, not new listings
+        this.maxAnnouncements = options.maxAnnouncements || 5;
+
+        this.known = new Map(); // Pool address -> time first seen
+        this.subscribers = new Map(); // Chat ID -> subscriber
+        this.loaded = false;
+    }
+
+    /**
+     * Load known tokens and subscribed chats from storage
+     */
+    async load() {
+        const [known, subscribers] = await Promise.all([
+            storage.getKnownTokens(),
+            storage.getListingSubscribers()
+        ]);
+        this.known = new Map(known.map(token => [token.poolAddress.toLowerCase(), token.firstSeenAt]));
+        this.subscribers = new Map(subscribers.map(subscriber => [subscriber.chatId, subscriber]));
+        this.loaded = true;
+    }
+
+    /**
+     * Whether a chat receives listing announcements
+     * @param {string|number} chatId - Chat ID
+     * @returns {boolean}
+     */
+    isSubscribed(chatId) {
+        return this.subscribers.has(chatId.toString());
+    }
+
+    /**
+     * Send listing announcements to a chat
+     * @param {string|number} chatId - Chat ID
+     * @param {string|number} userId - User who opted in
+     * @returns {boolean} True if saved
+     */
+    async subscribe(chatId, userId) {
+        const subscriber = {
+            chatId: chatId.toString(),
+            subscribedBy: userId?.toString(),
+            createdAt: new Date().toISOString()
+        };
+
+        if (!await storage.addListingSubscriber(subscriber)) return false;
+        this.subscribers.set(subscriber.chatId, subscriber);
+        return true;
+    }
+
+    /**
+     * Stop listing announcements in a chat
+     * @param {string|number} chatId - Chat ID
+     * @returns {boolean} True if the chat was subscribed and got removed
+     */
+    async unsubscribe(chatId) {
+        const key = chatId.toString();
+        if (!this.subscribers.has(key)) return false;
+        if (!await storage.removeListingSubscriber(key)) return false;
+        this.subscribers.delete(key);
+        return true;
+    }
+
+    /**
+     * When a token was listed: its creation time in the source record, or else when it was
+     * first seen (tokens seen at the first check share its time)
+     * @param {Object} token - Token
+     * @returns {number|null} Timestamp in ms, or null if the token has no creation time and was not seen yet
+     */
+    listedAt(token) {
+        const createdAt = token.createdAt ? new Date(token.createdAt).getTime() : NaN;
+        if (!isNaN(createdAt)) return createdAt;
+
+        const firstSeenAt = this.known.get(token.poolAddress.toLowerCase());
+        return firstSeenAt ? new Date(firstSeenAt).getTime() : null;
+    }
+
+    /**
+     * Find the tokens listed since the last check and record them as known
+     * The first check only records the current tokens
+     * @param {Array} tokens - Current tokens
+     * @returns {Array} Tokens to announce
+     */
+    async detect(tokens) {
+        if (!this.loaded) await this.load();
+
+        const fresh = tokens.filter(token => !this.known.has(token.poolAddress.toLowerCase()));
+        if (!fresh.length) return [];
+
+        const firstCheck = this.known.size === 0;
+        const now = new Date().toISOString();
+        await storage.addKnownTokens(fresh.map(token => ({
+            poolAddress: token.poolAddress.toLowerCase(),
+            ticker: token.ticker,
+            firstSeenAt: now
+        })));
+        fresh.forEach(token => this.known.set(token.poolAddress.toLowerCase(), now));
+
+        if (firstCheck) {
+            console.log(`🆕 ${fresh.length} tokens recorded as already listed`);
+            return [];
+        }
+        if (fresh.length > this.maxAnnouncements) {
+            console.warn(`🆕 ${fresh.length} new tokens at once, recorded without announcing them`);
+            return [];
+        }
+        return fresh;
+    }
+}
+
+module.exports = new ListingService({
+    maxAnnouncements: parseInt(process.env.LISTING_MAX_ANNOUNCEMENTS) || 5
+});
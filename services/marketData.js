@@ -0,0 +1,190 @@
+const metrics = require('./metrics');
+const dexScreener = require('./providers/dexScreener');
+const geckoTerminal = require('./providers/geckoTerminal');
+const uniswapV3 = require('./providers/uniswapV3');
+
+// Available providers by name
+const PROVIDERS = {
+    [dexScreener.name]: dexScreener,
+    [geckoTerminal.name]: geckoTerminal,
+    [uniswapV3.name]: uniswapV3
+};
+
+metrics.counter('bot_market_data_requests_total', 'Market data provider requests by result');
+metrics.histogram('bot_market_data_request_duration_seconds', 'Market data provider request latency');
+metrics.counter('bot_market_data_failovers_total', 'Requests served by a fallback provider');
+metrics.counter('bot_market_data_price_mismatches_total', 'Cross-provider price sanity check failures');
+
+/**
+ * Market data from pluggable providers with failover and cross-provider sanity checks
+ * Providers implement `name` and `getPool(poolAddress)`, returning
+ * { price, marketCap, liquidity, volume24h, dexId, token } or null if the pool is unknown,
+ * and throwing on upstream errors; `getTimeBudget()` reports the longest a lookup can take
+ */
+class MarketDataService {
+    constructor(options = {}) {
+        this.providers = options.providers || [dexScreener, geckoTerminal, uniswapV3];
+        this.cooldown = options.cooldown || 60 * 1000; // Skip failing providers for 1 minute
+        this.maxDeviation = options.maxDeviation || 10; // Max price difference between providers (%)
+        this.sanityCheckInterval = options.sanityCheckInterval ?? 10 * 60 * 1000; // Per pool, 0 disables checks
+
+        this.unavailableUntil = new Map(); // Provider name -> timestamp
+        this.lastSanityCheck = new Map(); // Pool address -> timestamp
+    }
+
+    /**
+     * Check that pool data has the fields required by storage
+     * Liquidity may be 0 (new or drained pools), price and market cap may not
+     * @param {Object} pool - Pool data
+     * @returns {boolean} True if valid
+     */
+    isValid(pool) {
+        return !!(pool?.token?.address && pool.token.symbol && pool.token.name &&
+            pool.price > 0 && pool.marketCap > 0 && pool.liquidity >= 0);
+    }
+
+    /**
+     * Get pool data from a single provider, recording metrics
+     * @param {Object} provider - Provider
+     * @param {string} poolAddress - Pool address
+     * @returns {Object|null} Valid pool data or null
+     * @throws {Error} On provider errors
+     */
+    async fetchFrom(provider, poolAddress) {
+        const startTime = Date.now();
+        try {
+            const pool = await provider.getPool(poolAddress);
+            const valid = this.isValid(pool);
+            metrics.inc('bot_market_data_requests_total', {
+                provider: provider.name,
+                status: pool ? (valid ? 'success' : 'invalid') : 'not_found'
+            });
+            if (pool && !valid) {
+                console.error(`${provider.name} Error: Invalid price, market cap or token data`);
+            }
+            return valid ? pool : null;
+        } catch (error) {
+            metrics.inc('bot_market_data_requests_total', { provider: provider.name, status: 'error' });
+            throw error;
+        } finally {
+            metrics.observe('bot_market_data_request_duration_seconds', (Date.now() - startTime) / 1000,
+                { provider: provider.name });
+        }
+    }
+
+    /**
+     * Get providers in priority order, those cooling down after errors last
+     * @returns {Array} Providers
+     */
+    getAvailableProviders() {
+        const now = Date.now();
+        const available = this.providers.filter(p => !(this.unavailableUntil.get(p.name) > now));
+        const coolingDown = this.providers.filter(p => this.unavailableUntil.get(p.name) > now);
+        return [...available, ...coolingDown];
+    }
+
+    /**
+     * Get market data of a pool, failing over to the next provider on errors
+     * @param {string} poolAddress - Pool address
+     * @returns {Object|null} Pool data with the provider that served it, or null if no provider knows the pool
+     * @throws {Error} If every provider failed
+     */
+    async getPool(poolAddress) {
+        let lastError = null;
+        const providers = this.getAvailableProviders();
+
+        for (const [index, provider] of providers.entries()) {
+            let pool;
+            try {
+                pool = await this.fetchFrom(provider, poolAddress);
+                this.unavailableUntil.delete(provider.name);
+            } catch (error) {
+                console.error(`Error getting ${poolAddress} from ${provider.name}:`, error.message);
+                this.unavailableUntil.set(provider.name, Date.now() + this.cooldown);
+                lastError = error;
+                continue;
+            }
+
+            if (!pool) continue;
+
+            if (index > 0) {
+                metrics.inc('bot_market_data_failovers_total', { provider: provider.name });
+            }
+
+            // Compare against the next provider without delaying the response
+            this.sanityCheck(poolAddress, pool, provider, providers.slice(index + 1));
+            return { ...pool, provider: provider.name };
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
+        return null;
+    }
+
+    /**
+     * Compare a price against another provider, at most once per interval and pool
+     * Mismatches are logged and counted, the primary price is kept
+     * @param {string} poolAddress - Pool address
+     * @param {Object} pool - Pool data from the primary provider
+     * @param {Object} provider - Primary provider
+     * @param {Array} others - Providers to compare against, in priority order
+     */
+    async sanityCheck(poolAddress, pool, provider, others) {
+        if (!this.sanityCheckInterval || !others.length) return;
+
+        const lastCheck = this.lastSanityCheck.get(poolAddress) || 0;
+        if (Date.now() - lastCheck < this.sanityCheckInterval) return;
+        this.lastSanityCheck.set(poolAddress, Date.now());
+
+        try {
+            const reference = await this.fetchFrom(others[0], poolAddress);
+            if (!reference) return;
+
+            const deviation = Math.abs(pool.price - reference.price) / reference.price * 100;
+            if (deviation > this.maxDeviation) {
+                metrics.inc('bot_market_data_price_mismatches_total', { provider: provider.name });
+                console.warn(
+                    `⚠️ Price mismatch for ${pool.token.symbol}: ${provider.name} $${pool.price} vs ` +
+                    `${others[0].name} $${reference.price} (${deviation.toFixed(2)}%)`
+                );
+            }
+        } catch (error) {
+            console.error(`Error checking price of ${poolAddress} against ${others[0].name}:`, error.message);
+        }
+    }
+
+    /**
+     * Longest time a lookup can take when every provider uses its whole budget before failing over
+     * @returns {number} Time in ms
+     */
+    getTimeBudget() {
+        return this.providers.reduce((total, provider) => total + (provider.getTimeBudget?.() || 0), 0);
+    }
+
+    /**
+     * Get status of every provider
+     * @returns {Array} Providers with their availability
+     */
+    getStatus() {
+        const now = Date.now();
+        return this.providers.map(provider => ({
+            name: provider.name,
+            available: !(this.unavailableUntil.get(provider.name) > now),
+            ...(provider.getStatus ? { status: provider.getStatus() } : {})
+        }));
+    }
+}
+
+// Provider priority from MARKET_DATA_PROVIDERS (comma separated names)
+const providers = (process.env.MARKET_DATA_PROVIDERS || 'dexscreener,geckoterminal,uniswapv3')
+    .split(',')
+    .map(name => PROVIDERS[name.trim().toLowerCase()])
+    .filter(Boolean);
+const sanityCheckMinutes = parseFloat(process.env.MARKET_DATA_SANITY_CHECK_MINUTES);
+
+module.exports = new MarketDataService({
+    providers: providers.length ? providers : undefined,
+    maxDeviation: parseFloat(process.env.MARKET_DATA_MAX_DEVIATION) || undefined,
+    sanityCheckInterval: isNaN(sanityCheckMinutes) ? undefined : sanityCheckMinutes * 60 * 1000
+});
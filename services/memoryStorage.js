@@ -1,5 +1,13 @@
 const fs = require('fs').promises;
 const path = require('path');
+const TimeSeriesStore = require('./timeSeries');
+
+// Horas/días de entorno a milisegundos
+const hours = (value, fallback) => parseFloat(value ?? fallback) * 60 * 60 * 1000;
+const days = (value, fallback) => hours(value ?? fallback) * 24;
+
+// Espera máxima antes de guardar el historial tras un cambio
+const HISTORY_SAVE_DELAY = 10 * 1000;
 
 class MemoryStorage {
     constructor() {
@@ -8,8 +16,27 @@ class MemoryStorage {
             ['sort_criteria', 'mc'],
             ['update_interval', '30']
         ]);
-        this.history = new Map();
+        // Historial de precios con retención configurable (0 = sin límite)
+        this.history = new TimeSeriesStore({
+            retention: {
+                raw: hours(process.env.HISTORY_RAW_HOURS, 6),
+                '5m': days(process.env.HISTORY_5M_DAYS, 7),
+                '1h': days(process.env.HISTORY_1H_DAYS, 90),
+                '1d': days(process.env.HISTORY_1D_DAYS, 0)
+            }
+        });
+        this.historySaveTimer = null;
         this.secondaryAdmins = new Set();
+        this.alerts = new Map();
+        this.watchlists = new Map();
+        this.customTokens = new Map();
+        this.tokenOverrides = new Map();
+        this.bannedUsers = new Map();
+        this.chatSettings = new Map();
+        this.userLanguages = new Map();
+        this.digestSubscriptions = new Map();
+        this.knownTokens = new Map();
+        this.listingSubscribers = new Map();
         this.dataDir = path.join(process.cwd(), 'data');
         
         // Índices para búsqueda rápida
@@ -31,6 +58,8 @@ class MemoryStorage {
             Array.from(this.last24hUpdates)
                 .filter(update => update.timestamp > oneDayAgo)
         );
+        this.history.compact();
+        this.scheduleHistorySave();
         this.lastCleanup = Date.now();
     }
 
@@ -74,7 +103,7 @@ class MemoryStorage {
             const historyPath = path.join(this.dataDir, 'history.json');
             if (await this.fileExists(historyPath)) {
                 const historyData = JSON.parse(await fs.readFile(historyPath, 'utf8'));
-                this.history = new Map(Object.entries(historyData));
+                this.history.load(historyData);
             }
 
             // Cargar admins secundarios
@@ -84,6 +113,76 @@ class MemoryStorage {
                 this.secondaryAdmins = new Set(adminsData);
             }
 
+            // Cargar alertas de precio
+            const alertsPath = path.join(this.dataDir, 'alerts.json');
+            if (await this.fileExists(alertsPath)) {
+                const alertsData = JSON.parse(await fs.readFile(alertsPath, 'utf8'));
+                this.alerts = new Map(Object.entries(alertsData));
+            }
+
+            // Cargar watchlists
+            const watchlistsPath = path.join(this.dataDir, 'watchlists.json');
+            if (await this.fileExists(watchlistsPath)) {
+                const watchlistsData = JSON.parse(await fs.readFile(watchlistsPath, 'utf8'));
+                this.watchlists = new Map(Object.entries(watchlistsData));
+            }
+
+            // Cargar tokens personalizados
+            const customTokensPath = path.join(this.dataDir, 'custom_tokens.json');
+            if (await this.fileExists(customTokensPath)) {
+                const customTokensData = JSON.parse(await fs.readFile(customTokensPath, 'utf8'));
+                this.customTokens = new Map(Object.entries(customTokensData));
+            }
+
+            // Cargar ajustes de tokens (ocultos y metadatos)
+            const overridesPath = path.join(this.dataDir, 'token_overrides.json');
+            if (await this.fileExists(overridesPath)) {
+                const overridesData = JSON.parse(await fs.readFile(overridesPath, 'utf8'));
+                this.tokenOverrides = new Map(Object.entries(overridesData));
+            }
+
+            // Cargar usuarios bloqueados
+            const bannedUsersPath = path.join(this.dataDir, 'banned_users.json');
+            if (await this.fileExists(bannedUsersPath)) {
+                const bannedUsersData = JSON.parse(await fs.readFile(bannedUsersPath, 'utf8'));
+                this.bannedUsers = new Map(Object.entries(bannedUsersData));
+            }
+
+            // Cargar ajustes por chat
+            const chatSettingsPath = path.join(this.dataDir, 'chat_settings.json');
+            if (await this.fileExists(chatSettingsPath)) {
+                const chatSettingsData = JSON.parse(await fs.readFile(chatSettingsPath, 'utf8'));
+                this.chatSettings = new Map(Object.entries(chatSettingsData));
+            }
+
+            // Cargar idiomas de usuarios
+            const userLanguagesPath = path.join(this.dataDir, 'user_languages.json');
+            if (await this.fileExists(userLanguagesPath)) {
+                const userLanguagesData = JSON.parse(await fs.readFile(userLanguagesPath, 'utf8'));
+                this.userLanguages = new Map(Object.entries(userLanguagesData));
+            }
+
+            // Cargar suscripciones a resúmenes
+            const digestsPath = path.join(this.dataDir, 'digest_subscriptions.json');
+            if (await this.fileExists(digestsPath)) {
+                const digestsData = JSON.parse(await fs.readFile(digestsPath, 'utf8'));
+                this.digestSubscriptions = new Map(Object.entries(digestsData));
+            }
+
+            // Cargar tokens ya listados
+            const knownTokensPath = path.join(this.dataDir, 'known_tokens.json');
+            if (await this.fileExists(knownTokensPath)) {
+                const knownTokensData = JSON.parse(await fs.readFile(knownTokensPath, 'utf8'));
+                this.knownTokens = new Map(Object.entries(knownTokensData));
+            }
+
+            // Cargar chats suscritos a nuevos listados
+            const listingSubscribersPath = path.join(this.dataDir, 'listing_subscribers.json');
+            if (await this.fileExists(listingSubscribersPath)) {
+                const listingSubscribersData = JSON.parse(await fs.readFile(listingSubscribersPath, 'utf8'));
+                this.listingSubscribers = new Map(Object.entries(listingSubscribersData));
+            }
+
             console.log('📥 Data loaded from local files');
         } catch (error) {
             console.error('Error loading data:', error);
@@ -107,17 +206,80 @@ class MemoryStorage {
                 'utf8'
             );
 
-            // Guardar historial
+            // Guardar admins secundarios
             await fs.writeFile(
-                path.join(this.dataDir, 'history.json'),
-                JSON.stringify(Object.fromEntries(this.history)),
+                path.join(this.dataDir, 'admins.json'),
+                JSON.stringify(Array.from(this.secondaryAdmins)),
                 'utf8'
             );
 
-            // Guardar admins secundarios
+            // Guardar alertas de precio
             await fs.writeFile(
-                path.join(this.dataDir, 'admins.json'),
-                JSON.stringify(Array.from(this.secondaryAdmins)),
+                path.join(this.dataDir, 'alerts.json'),
+                JSON.stringify(Object.fromEntries(this.alerts)),
+                'utf8'
+            );
+
+            // Guardar watchlists
+            await fs.writeFile(
+                path.join(this.dataDir, 'watchlists.json'),
+                JSON.stringify(Object.fromEntries(this.watchlists)),
+                'utf8'
+            );
+
+            // Guardar tokens personalizados
+            await fs.writeFile(
+                path.join(this.dataDir, 'custom_tokens.json'),
+                JSON.stringify(Object.fromEntries(this.customTokens)),
+                'utf8'
+            );
+
+            // Guardar ajustes de tokens
+            await fs.writeFile(
+                path.join(this.dataDir, 'token_overrides.json'),
+                JSON.stringify(Object.fromEntries(this.tokenOverrides)),
+                'utf8'
+            );
+
+            // Guardar usuarios bloqueados
+            await fs.writeFile(
+                path.join(this.dataDir, 'banned_users.json'),
+                JSON.stringify(Object.fromEntries(this.bannedUsers)),
+                'utf8'
+            );
+
+            // Guardar ajustes por chat
+            await fs.writeFile(
+                path.join(this.dataDir, 'chat_settings.json'),
+                JSON.stringify(Object.fromEntries(this.chatSettings)),
+                'utf8'
+            );
+
+            // Guardar idiomas de usuarios
+            await fs.writeFile(
+                path.join(this.dataDir, 'user_languages.json'),
+                JSON.stringify(Object.fromEntries(this.userLanguages)),
+                'utf8'
+            );
+
+            // Guardar suscripciones a resúmenes
+            await fs.writeFile(
+                path.join(this.dataDir, 'digest_subscriptions.json'),
+                JSON.stringify(Object.fromEntries(this.digestSubscriptions)),
+                'utf8'
+            );
+
+            // Guardar tokens ya listados
+            await fs.writeFile(
+                path.join(this.dataDir, 'known_tokens.json'),
+                JSON.stringify(Object.fromEntries(this.knownTokens)),
+                'utf8'
+            );
+
+            // Guardar chats suscritos a nuevos listados
+            await fs.writeFile(
+                path.join(this.dataDir, 'listing_subscribers.json'),
+                JSON.stringify(Object.fromEntries(this.listingSubscribers)),
                 'utf8'
             );
 
@@ -127,6 +289,28 @@ class MemoryStorage {
         }
     }
 
+    // Guardar historial en su propio archivo
+    async saveHistory() {
+        clearTimeout(this.historySaveTimer);
+        this.historySaveTimer = null;
+        try {
+            await fs.writeFile(
+                path.join(this.dataDir, 'history.json'),
+                JSON.stringify(this.history),
+                'utf8'
+            );
+            console.log('💾 History saved to local files');
+        } catch (error) {
+            console.error('Error saving history:', error);
+        }
+    }
+
+    // Programar guardado del historial (agrupa los cambios de HISTORY_SAVE_DELAY)
+    scheduleHistorySave() {
+        if (this.historySaveTimer) return;
+        this.historySaveTimer = setTimeout(() => this.saveHistory(), HISTORY_SAVE_DELAY);
+    }
+
     // Verificar si un archivo existe
     async fileExists(filePath) {
         try {
@@ -164,15 +348,11 @@ class MemoryStorage {
             });
             
             // Guardar en historial
-            if (!this.history.has(key)) {
-                this.history.set(key, []);
-            }
-            this.history.get(key).unshift(data);
-            
-            // Mantener solo últimas 24 entradas
-            if (this.history.get(key).length > 24) {
-                this.history.get(key).pop();
-            }
+            this.history.add(key, {
+                price: price.price,
+                volume: price.volume24h
+            });
+            this.scheduleHistorySave();
 
             // Guardar cambios en disco
             await this.saveData();
@@ -210,13 +390,10 @@ class MemoryStorage {
     }
 
     // Obtener historial de precios de un token
-    async getPriceHistory(poolAddress, limit = 24) {
+    async getPriceHistory(poolAddress, options = {}) {
         try {
-            const history = this.history.get(poolAddress) || [];
-            return history.slice(0, limit).map(h => ({
-                price: h.price,
-                updated_at: h.updated_at
-            }));
+            const query = typeof options === 'number' ? { limit: options } : options;
+            return this.history.query(poolAddress, query);
         } catch (error) {
             console.error('Error getting history from memory:', error);
             return [];
@@ -272,7 +449,7 @@ class MemoryStorage {
         try {
             this.history.delete(poolAddress);
             // Guardar cambios en disco
-            await this.saveData();
+            await this.saveHistory();
             return true;
         } catch (error) {
             console.error('Error clearing history in memory:', error);
@@ -317,7 +494,6 @@ class MemoryStorage {
         try {
             await fs.writeFile('prices.json', JSON.stringify(Array.from(this.prices.entries())));
             await fs.writeFile('config.json', JSON.stringify(Array.from(this.config.entries())));
-            await fs.writeFile('history.json', JSON.stringify(Array.from(this.history.entries())));
             await fs.writeFile('admins.json', JSON.stringify(Array.from(this.secondaryAdmins)));
             console.log('💾 Data saved to local files');
         } catch (error) {
@@ -342,13 +518,6 @@ class MemoryStorage {
                 this.config = new Map();
             }
 
-            try {
-                const historyData = await fs.readFile('history.json', 'utf8');
-                this.history = new Map(JSON.parse(historyData));
-            } catch (e) {
-                this.history = new Map();
-            }
-
             try {
                 const adminsData = await fs.readFile('admins.json', 'utf8');
                 this.secondaryAdmins = new Set(JSON.parse(adminsData));
@@ -371,20 +540,12 @@ class MemoryStorage {
             updated_at: new Date().toISOString()
         });
         
-        // Guardar en historial
-        if (!this.history.has(key)) {
-            this.history.set(key, []);
-        }
-        const history = this.history.get(key);
-        history.unshift({
+        // Guardar en historial (se persiste en data/ con scheduleHistorySave)
+        this.history.add(key, {
             price: price.price,
-            updated_at: new Date().toISOString()
+            volume: price.volume24h
         });
-        
-        // Mantener solo últimas 24 entradas
-        if (history.length > 24) {
-            history.length = 24;
-        }
+        this.scheduleHistorySave();
         
         await this.saveToFiles();
         console.log('💾 Price saved to memory:', token.ticker);
@@ -407,16 +568,30 @@ class MemoryStorage {
     }
 
     // Obtener historial de precios de un token
-    async getPriceHistory(poolAddress) {
-        const history = this.history.get(poolAddress) || [];
+    // options: { from, to, resolution: raw|5m|1h|1d|auto, limit } o un límite numérico
+    async getPriceHistory(poolAddress, options = {}) {
+        const query = typeof options === 'number' ? { limit: options } : options;
+        const history = this.history.query(poolAddress, query);
         console.log('💾 History retrieved from memory:', poolAddress);
         return history;
     }
 
+    // Obtener velas OHLCV de un token
+    async getCandles(poolAddress, resolution, from, to) {
+        const candles = this.history.candles(poolAddress, resolution, from, to);
+        console.log('💾 Candles retrieved from memory:', poolAddress);
+        return candles;
+    }
+
+    // Obtener el primer precio de un periodo (el último guardado hasta su inicio)
+    async getFirstPrice(poolAddress, from) {
+        return this.history.first(poolAddress, from);
+    }
+
     // Limpiar historial de un token
     async clearHistory(poolAddress) {
         this.history.delete(poolAddress);
-        await this.saveToFiles();
+        await this.saveHistory();
         console.log('💾 History cleared in memory:', poolAddress);
         return true;
     }
@@ -457,6 +632,195 @@ class MemoryStorage {
         console.log('💾 Secondary admin removed from memory:', userId);
         return true;
     }
+
+    // Métodos para gestionar alertas de precio
+    async getAlerts(chatId) {
+        return Array.from(this.alerts.values())
+            .filter(alert => alert.chatId === chatId.toString());
+    }
+
+    async getPoolAlerts(poolAddress) {
+        return Array.from(this.alerts.values())
+            .filter(alert => alert.poolAddress === poolAddress);
+    }
+
+    async addAlert(alert) {
+        this.alerts.set(alert.id, alert);
+        await this.saveData();
+        console.log('💾 Alert added to memory:', alert.id);
+        return true;
+    }
+
+    async removeAlert(alertId) {
+        const result = this.alerts.delete(alertId);
+        await this.saveData();
+        console.log('💾 Alert removed from memory:', alertId);
+        return result;
+    }
+
+    // Métodos para gestionar watchlists de usuarios
+    async getWatchlist(userId) {
+        return this.watchlists.get(userId.toString()) || [];
+    }
+
+    async addToWatchlist(userId, poolAddress) {
+        const key = userId.toString();
+        const watchlist = this.watchlists.get(key) || [];
+        if (!watchlist.includes(poolAddress)) {
+            this.watchlists.set(key, [...watchlist, poolAddress]);
+            await this.saveData();
+        }
+        console.log('💾 Watchlist updated in memory:', key);
+        return true;
+    }
+
+    async removeFromWatchlist(userId, poolAddress) {
+        const key = userId.toString();
+        const watchlist = (this.watchlists.get(key) || []).filter(p => p !== poolAddress);
+        if (watchlist.length) {
+            this.watchlists.set(key, watchlist);
+        } else {
+            this.watchlists.delete(key);
+        }
+        await this.saveData();
+        console.log('💾 Watchlist updated in memory:', key);
+        return true;
+    }
+
+    // Métodos para gestionar tokens añadidos por admins
+    async getCustomTokens() {
+        return Array.from(this.customTokens.values());
+    }
+
+    async addCustomToken(token) {
+        this.customTokens.set(token.poolAddress.toLowerCase(), token);
+        await this.saveData();
+        console.log('💾 Custom token saved to memory:', token.ticker);
+        return true;
+    }
+
+    async removeCustomToken(poolAddress) {
+        const result = this.customTokens.delete(poolAddress.toLowerCase());
+        await this.saveData();
+        console.log('💾 Custom token removed from memory:', poolAddress);
+        return result;
+    }
+
+    // Métodos para gestionar ajustes de tokens (ocultos y metadatos)
+    async getTokenOverrides() {
+        return Array.from(this.tokenOverrides.values());
+    }
+
+    async saveTokenOverride(override) {
+        this.tokenOverrides.set(override.poolAddress.toLowerCase(), override);
+        await this.saveData();
+        console.log('💾 Token override saved to memory:', override.poolAddress);
+        return true;
+    }
+
+    // Métodos para gestionar usuarios bloqueados
+    async getBannedUsers() {
+        return Array.from(this.bannedUsers.values());
+    }
+
+    async banUser(ban) {
+        this.bannedUsers.set(ban.userId.toString(), ban);
+        await this.saveData();
+        console.log('💾 Banned user saved to memory:', ban.userId);
+        return true;
+    }
+
+    async unbanUser(userId) {
+        const result = this.bannedUsers.delete(userId.toString());
+        await this.saveData();
+        console.log('💾 Banned user removed from memory:', userId);
+        return result;
+    }
+
+    // Métodos para gestionar ajustes por chat
+    async getChatSettings(chatId) {
+        return this.chatSettings.get(chatId.toString()) || null;
+    }
+
+    async saveChatSettings(settings) {
+        this.chatSettings.set(settings.chatId.toString(), settings);
+        await this.saveData();
+        console.log('💾 Chat settings saved to memory:', settings.chatId);
+        return true;
+    }
+
+    async removeChatSettings(chatId) {
+        const result = this.chatSettings.delete(chatId.toString());
+        await this.saveData();
+        console.log('💾 Chat settings removed from memory:', chatId);
+        return result;
+    }
+
+    // Métodos para gestionar el idioma de cada usuario
+    async getUserLanguage(userId) {
+        return this.userLanguages.get(userId.toString()) || null;
+    }
+
+    async setUserLanguage(userId, language) {
+        if (language) {
+            this.userLanguages.set(userId.toString(), language);
+        } else {
+            this.userLanguages.delete(userId.toString());
+        }
+        await this.saveData();
+        console.log('💾 User language saved to memory:', userId);
+        return true;
+    }
+
+    // Métodos para gestionar suscripciones a resúmenes periódicos
+    async getDigestSubscriptions() {
+        return Array.from(this.digestSubscriptions.values());
+    }
+
+    async saveDigestSubscription(subscription) {
+        this.digestSubscriptions.set(subscription.chatId.toString(), subscription);
+        await this.saveData();
+        console.log('💾 Digest subscription saved to memory:', subscription.chatId);
+        return true;
+    }
+
+    async removeDigestSubscription(chatId) {
+        const result = this.digestSubscriptions.delete(chatId.toString());
+        await this.saveData();
+        console.log('💾 Digest subscription removed from memory:', chatId);
+        return result;
+    }
+
+    // Métodos para gestionar los tokens ya listados
+    async getKnownTokens() {
+        return Array.from(this.knownTokens.values());
+    }
+
+    async addKnownTokens(tokens) {
+        tokens.forEach(token => this.knownTokens.set(token.poolAddress.toLowerCase(), token));
+        await this.saveData();
+        console.log('💾 Known tokens saved to memory:', tokens.length);
+        return true;
+    }
+
+    // Métodos para gestionar los chats suscritos a nuevos listados
+    async getListingSubscribers() {
+        return Array.from(this.listingSubscribers.values());
+    }
+
+    async addListingSubscriber(subscriber) {
+        this.listingSubscribers.set(subscriber.chatId.toString(), subscriber);
+        await this.saveData();
+        console.log('💾 Listing subscriber saved to memory:', subscriber.chatId);
+        return true;
+    }
+
+    async removeListingSubscriber(chatId) {
+        const result = this.listingSubscribers.delete(chatId.toString());
+        await this.saveData();
+        console.log('💾 Listing subscriber removed from memory:', chatId);
+        return result;
+    }
 }
 
 module.exports = new MemoryStorage(); 
\ No newline at end of file
@@ -0,0 +1,172 @@
+// Default histogram buckets in seconds
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Maximum label combinations per metric (extra ones are counted as "other")
+const MAX_SERIES = 100;
+
+/**
+ * In-process metrics registry exported in Prometheus text format
+ */
+class MetricsService {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = new Set();
+    }
+
+    /**
+     * Register a metric (no-op if already registered)
+     * @param {string} name - Metric name
+     * @param {string} type - counter, gauge or histogram
+     * @param {string} help - Metric description
+     * @param {Object} options - Options (buckets for histograms)
+     * @returns {Object} Registered metric
+     */
+    register(name, type, help, options = {}) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, {
+                type,
+                help,
+                buckets: options.buckets || DEFAULT_BUCKETS,
+                series: new Map()
+            });
+        }
+        return this.metrics.get(name);
+    }
+
+    counter(name, help) {
+        return this.register(name, 'counter', help);
+    }
+
+    gauge(name, help) {
+        return this.register(name, 'gauge', help);
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(name, 'histogram', help, { buckets });
+    }
+
+    /**
+     * Get the series of a metric for a label set
+     * @param {string} name - Metric name
+     * @param {Object} labels - Label values
+     * @returns {Object|null} Series, or null if the metric is not registered
+     */
+    getSeries(name, labels) {
+        const metric = this.metrics.get(name);
+        if (!metric) return null;
+
+        let key = JSON.stringify(labels);
+        if (!metric.series.has(key) && metric.series.size >= MAX_SERIES) {
+            labels = Object.fromEntries(Object.keys(labels).map(label => [label, 'other']));
+            key = JSON.stringify(labels);
+        }
+
+        if (!metric.series.has(key)) {
+            metric.series.set(key, metric.type === 'histogram'
+                ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+        return metric.series.get(key);
+    }
+
+    /**
+     * Increment a counter
+     * @param {string} name - Metric name
+     * @param {Object} labels - Label values
+     * @param {number} value - Increment
+     */
+    inc(name, labels = {}, value = 1) {
+        const series = this.getSeries(name, labels);
+        if (series) series.value += value;
+    }
+
+    /**
+     * Set a gauge value
+     * @param {string} name - Metric name
+     * @param {Object} labels - Label values
+     * @param {number} value - Value
+     */
+    set(name, labels = {}, value) {
+        const series = this.getSeries(name, labels);
+        if (series) series.value = value;
+    }
+
+    /**
+     * Record a histogram observation
+     * @param {string} name - Metric name
+     * @param {number} value - Observed value
+     * @param {Object} labels - Label values
+     */
+    observe(name, value, labels = {}) {
+        const metric = this.metrics.get(name);
+        const series = this.getSeries(name, labels);
+        if (!series) return;
+
+        metric.buckets.forEach((bucket, i) => {
+            if (value <= bucket) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Register a function that updates metrics right before they are exported
+     * Used for values owned by other services (queue status, scheduler...)
+     * @param {Function} collector - Function called on every export
+     */
+    collect(collector) {
+        this.collectors.add(collector);
+    }
+
+    /**
+     * Format a label set
+     * @param {Object} labels - Label values
+     * @returns {string} Prometheus label string (empty without labels)
+     */
+    static formatLabels(labels) {
+        const entries = Object.entries(labels);
+        if (!entries.length) return '';
+        const pairs = entries.map(([key, value]) =>
+            `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+        return `{${pairs.join(',')}}`;
+    }
+
+    /**
+     * Export all metrics
+     * @returns {string} Metrics in Prometheus text format
+     */
+    render() {
+        for (const collector of this.collectors) {
+            try {
+                collector(this);
+            } catch (error) {
+                console.error('Error collecting metrics:', error);
+            }
+        }
+
+        const lines = [];
+        for (const [name, metric] of this.metrics) {
+            lines.push(`# HELP ${name} ${metric.help}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+
+            for (const series of metric.series.values()) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${name}${MetricsService.formatLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+
+                metric.buckets.forEach((bucket, i) => {
+                    const labels = MetricsService.formatLabels({ ...series.labels, le: bucket });
+                    lines.push(`${name}_bucket${labels} ${series.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${MetricsService.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${name}_sum${MetricsService.formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${name}_count${MetricsService.formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = new MetricsService();
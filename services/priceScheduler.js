@@ -0,0 +1,128 @@
+const storage = require('./storage');
+
+// Minimum allowed interval in seconds (same limit as /setinterval)
+const MIN_INTERVAL = 10;
+
+/**
+ * Scheduler that periodically refreshes token prices
+ */
+class PriceScheduler {
+    constructor() {
+        this.task = null;
+        this.timer = null;
+        this.interval = null; // Current interval in seconds
+        this.running = false;
+        this.lastRun = null;
+        this.lastError = null;
+        this.runs = 0;
+    }
+
+    /**
+     * Start the scheduler
+     * @param {Function} task - Async function executed on every tick
+     * @throws {Error} If task is not a function
+     */
+    async start(task) {
+        if (typeof task !== 'function') {
+            throw new Error('Task must be a function');
+        }
+        this.task = task;
+        await this.schedule();
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.task = null;
+    }
+
+    /**
+     * Read the configured update interval
+     * @returns {number} Interval in seconds
+     */
+    async getInterval() {
+        try {
+            const config = await storage.getConfig('update_interval');
+            const interval = parseInt(config?.value || process.env.UPDATE_INTERVAL || 30);
+            return Math.max(isNaN(interval) ? 30 : interval, MIN_INTERVAL);
+        } catch (error) {
+            console.error('Error getting update interval:', error);
+            return this.interval || 30;
+        }
+    }
+
+    /**
+     * Arm the timer for the next tick using the current interval
+     */
+    async schedule() {
+        if (!this.task) return;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+
+        this.interval = await this.getInterval();
+        this.timer = setTimeout(() => this.tick(), this.interval * 1000);
+    }
+
+    /**
+     * Re-arm the timer after the interval config changed
+     */
+    async reschedule() {
+        const previous = this.interval;
+        await this.schedule();
+        if (previous !== this.interval) {
+            console.log(`⏱️ Price updates rescheduled every ${this.interval} seconds`);
+        }
+    }
+
+    /**
+     * Execute the task and schedule the next run
+     */
+    async tick() {
+        this.timer = null;
+
+        // Skip if previous run is still in progress
+        if (!this.running) {
+            this.running = true;
+            try {
+                await this.task();
+                this.lastError = null;
+            } catch (error) {
+                console.error('Error in scheduled price update:', error);
+                this.lastError = error.message;
+            } finally {
+                this.running = false;
+                this.lastRun = Date.now();
+                this.runs++;
+            }
+        }
+
+        // Timer may have been re-armed or stopped meanwhile
+        if (!this.timer) {
+            await this.schedule();
+        }
+    }
+
+    /**
+     * Get current scheduler status
+     * @returns {Object} Scheduler status
+     */
+    getStatus() {
+        return {
+            active: !!this.task,
+            interval: this.interval,
+            running: this.running,
+            runs: this.runs,
+            lastRun: this.lastRun,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = new PriceScheduler();
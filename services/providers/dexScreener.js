@@ -0,0 +1,181 @@
+const fetch = require('node-fetch');
+const RateLimiter = require('../rateLimiter');
+const metrics = require('../metrics');
+
+metrics.counter('bot_dexscreener_rate_limited_total', 'DexScreener 429 responses');
+metrics.gauge('bot_dexscreener_queued_requests', 'DexScreener requests waiting for the rate limiter');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * DexScreener market data provider
+ * Pool lookups made close together are batched into multi-pair requests,
+ * which go through a token bucket limiter and are retried with backoff
+ */
+class DexScreenerProvider {
+    constructor(options = {}) {
+        this.name = 'dexscreener';
+        this.baseUrl = options.baseUrl || 'https://api.dexscreener.com/latest/dex';
+        this.chain = options.chain || 'base';
+
+        // Batching
+        this.maxBatchSize = options.maxBatchSize || 30; // Addresses per multi-pair request
+        this.batchDelay = options.batchDelay ?? 50; // Wait for more lookups before sending (ms)
+        this.batch = [];
+        this.batchTimer = null;
+
+        // Rate limiting and retries
+        this.limiter = new RateLimiter({
+            rate: options.rateLimit || 240,
+            interval: 60 * 1000,
+            burst: options.burst || 10,
+            concurrency: options.concurrency || 3
+        });
+        this.maxRetries = options.maxRetries ?? 3;
+        this.maxRetryDelay = options.maxRetryDelay || 5000; // Longer waits fail fast so other providers are used
+        this.requestTimeout = options.requestTimeout || 5000; // Per attempt
+
+        metrics.collect(() => {
+            metrics.set('bot_dexscreener_queued_requests', {}, this.limiter.getStatus().queued + this.batch.length);
+        });
+    }
+
+    /**
+     * GET a DexScreener URL through the limiter, retrying rate limits and server errors
+     * @param {string} url - URL
+     * @returns {Object} Response body
+     * @throws {Error} On client errors or when retries are exhausted
+     */
+    async request(url) {
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let error;
+
+            try {
+                response = await this.limiter.schedule(() => fetch(url, { timeout: this.requestTimeout }));
+                if (response.ok) {
+                    return await response.json();
+                }
+                error = new Error(`API Error: ${response.status} ${response.statusText}`);
+            } catch (fetchError) {
+                error = fetchError;
+            }
+
+            const retryable = !response || response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.maxRetries) {
+                throw error;
+            }
+
+            const retryAfter = response ? RateLimiter.parseRetryAfter(response.headers.get('retry-after')) : 0;
+            const delay = Math.max(retryAfter, RateLimiter.backoff(attempt));
+
+            if (response?.status === 429) {
+                metrics.inc('bot_dexscreener_rate_limited_total');
+                this.limiter.pause(delay);
+            }
+            if (delay > this.maxRetryDelay) {
+                throw error;
+            }
+
+            console.warn(`⏳ DexScreener ${response ? response.status : 'network error'}, retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+
+    /**
+     * Normalize a DexScreener pair
+     * @param {Object} pair - Pair from the API
+     * @returns {Object} Pool data
+     */
+    toPool(pair) {
+        return {
+            price: parseFloat(pair.priceUsd) || 0,
+            marketCap: parseFloat(pair.marketCap || pair.fdv) || 0,
+            liquidity: parseFloat(pair.liquidity?.usd) || 0,
+            volume24h: parseFloat(pair.volume?.h24) || 0,
+            dexId: pair.dexId || 'unknown',
+            token: {
+                address: pair.baseToken?.address,
+                symbol: pair.baseToken?.symbol,
+                name: pair.baseToken?.name
+            }
+        };
+    }
+
+    /**
+     * Send the pending lookups as multi-pair requests
+     */
+    flush() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+
+        while (this.batch.length) {
+            const items = this.batch.splice(0, this.maxBatchSize);
+            const addresses = [...new Set(items.map(item => item.poolAddress.toLowerCase()))];
+
+            this.request(`${this.baseUrl}/pairs/${this.chain}/${addresses.join(',')}`)
+                .then(data => {
+                    const pairs = new Map((data.pairs || [])
+                        .filter(pair => pair.pairAddress)
+                        .map(pair => [pair.pairAddress.toLowerCase(), pair]));
+
+                    for (const item of items) {
+                        const pair = pairs.get(item.poolAddress.toLowerCase());
+                        if (!pair) {
+                            console.error('DexScreener Error: Pair not found');
+                        }
+                        item.resolve(pair ? this.toPool(pair) : null);
+                    }
+                })
+                .catch(error => items.forEach(item => item.reject(error)));
+        }
+    }
+
+    /**
+     * Get market data of a pool
+     * @param {string} poolAddress - Pool address
+     * @returns {Object|null} Pool data ({ price, marketCap, liquidity, volume24h, dexId, token }),
+     * or null if the pair is not listed
+     * @throws {Error} On API errors
+     */
+    getPool(poolAddress) {
+        return new Promise((resolve, reject) => {
+            this.batch.push({ poolAddress, resolve, reject });
+
+            if (this.batch.length >= this.maxBatchSize) {
+                this.flush();
+            } else if (!this.batchTimer) {
+                this.batchTimer = setTimeout(() => this.flush(), this.batchDelay);
+            }
+        });
+    }
+
+    /**
+     * Longest time a lookup can take once started: every attempt timing out plus the waits between them
+     * @returns {number} Time in ms
+     */
+    getTimeBudget() {
+        return this.batchDelay + (this.maxRetries + 1) * this.requestTimeout + this.maxRetries * this.maxRetryDelay;
+    }
+
+    /**
+     * Get current limiter and batch status
+     * @returns {Object} Provider status
+     */
+    getStatus() {
+        return {
+            ...this.limiter.getStatus(),
+            batched: this.batch.length
+        };
+    }
+}
+
+const number = value => parseInt(value) || undefined;
+
+module.exports = new DexScreenerProvider({
+    chain: process.env.DEXSCREENER_CHAIN || 'base',
+    rateLimit: number(process.env.DEXSCREENER_RATE_LIMIT),
+    burst: number(process.env.DEXSCREENER_BURST),
+    concurrency: number(process.env.DEXSCREENER_CONCURRENCY),
+    maxBatchSize: number(process.env.DEXSCREENER_BATCH_SIZE)
+});
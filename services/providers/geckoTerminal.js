@@ -0,0 +1,70 @@
+const fetch = require('node-fetch');
+
+/**
+ * GeckoTerminal market data provider
+ */
+class GeckoTerminalProvider {
+    constructor(options = {}) {
+        this.name = 'geckoterminal';
+        this.baseUrl = options.baseUrl || 'https://api.geckoterminal.com/api/v2';
+        this.network = options.network || 'base';
+        this.requestTimeout = options.requestTimeout || 5000;
+    }
+
+    /**
+     * Longest time a lookup can take
+     * @returns {number} Time in ms
+     */
+    getTimeBudget() {
+        return this.requestTimeout;
+    }
+
+    /**
+     * Get market data of a pool
+     * @param {string} poolAddress - Pool address
+     * @returns {Object|null} Pool data ({ price, marketCap, liquidity, volume24h, dexId, token }),
+     * or null if the pool is not listed
+     * @throws {Error} On API errors
+     */
+    async getPool(poolAddress) {
+        const response = await fetch(
+            `${this.baseUrl}/networks/${this.network}/pools/${poolAddress}?include=base_token,dex`,
+            { headers: { Accept: 'application/json' }, timeout: this.requestTimeout }
+        );
+
+        if (response.status === 404) {
+            console.error('GeckoTerminal Error: Pool not found');
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const pool = data.data?.attributes;
+        if (!pool) {
+            console.error('GeckoTerminal Error: Pool not found');
+            return null;
+        }
+
+        const baseTokenId = data.data.relationships?.base_token?.data?.id;
+        const baseToken = data.included?.find(item => item.type === 'token' && item.id === baseTokenId)?.attributes || {};
+
+        return {
+            price: parseFloat(pool.base_token_price_usd) || 0,
+            marketCap: parseFloat(pool.market_cap_usd || pool.fdv_usd) || 0,
+            liquidity: parseFloat(pool.reserve_in_usd) || 0,
+            volume24h: parseFloat(pool.volume_usd?.h24) || 0,
+            dexId: data.data.relationships?.dex?.data?.id || 'unknown',
+            token: {
+                address: baseToken.address,
+                symbol: baseToken.symbol,
+                name: baseToken.name
+            }
+        };
+    }
+}
+
+module.exports = new GeckoTerminalProvider({
+    network: process.env.GECKOTERMINAL_NETWORK || 'base'
+});
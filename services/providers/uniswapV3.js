@@ -0,0 +1,289 @@
+const fetch = require('node-fetch');
+const { keccak256 } = require('js-sha3');
+
+// Function selectors
+const SELECTORS = {
+    slot0: '0x3850c7bd',
+    liquidity: '0x1a686502',
+    token0: '0x0dfe1681',
+    token1: '0xd21220a7',
+    decimals: '0x313ce567',
+    symbol: '0x95d89b41',
+    name: '0x06fdde03',
+    totalSupply: '0x18160ddd'
+};
+
+// Base mainnet defaults
+const WETH_ADDRESS = '0x4200000000000000000000000000000000000006';
+const USDC_ADDRESS = '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913';
+const REFERENCE_POOL = '0xd0b53d9277642d899df5c87a3966a349a798f224'; // Uniswap v3 WETH/USDC 0.05%
+
+// Sequential eth_call rounds of an uncached lookup: pool tokens and their metadata (2),
+// reference pool tokens, metadata and price (3) and pool state (1)
+const MAX_CALL_ROUNDS = 6;
+
+/**
+ * Uniswap v3 pool reader over plain JSON-RPC (eth_call)
+ * Prices are quoted in WETH or USDC and converted to USD through a reference WETH/USDC pool
+ */
+class UniswapV3Provider {
+    constructor(options = {}) {
+        this.name = 'uniswapv3';
+        this.rpcUrl = options.rpcUrl || 'https://mainnet.base.org';
+        this.referencePool = (options.referencePool || REFERENCE_POOL).toLowerCase();
+        this.weth = (options.weth || WETH_ADDRESS).toLowerCase();
+        this.usdc = (options.usdc || USDC_ADDRESS).toLowerCase();
+        this.ethPriceTtl = options.ethPriceTtl || 15 * 1000;
+        this.requestTimeout = options.requestTimeout || 5000; // Per eth_call
+
+        this.requestId = 0;
+        this.pools = new Map(); // Pool address -> immutable pool info (tokens, decimals, metadata)
+        this.ethPrice = null; // { price, updatedAt }
+    }
+
+    /**
+     * Convert a Uniswap v3 sqrtPriceX96 into the price of token0 in token1
+     * @param {bigint|string} sqrtPriceX96 - Square root price as Q64.96
+     * @param {number} decimals0 - Decimals of token0
+     * @param {number} decimals1 - Decimals of token1
+     * @returns {number} Price of one token0 in token1 units
+     */
+    static sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1) {
+        const ratio = Number(BigInt(sqrtPriceX96)) / 2 ** 96;
+        return ratio * ratio * 10 ** (decimals0 - decimals1);
+    }
+
+    /**
+     * Convert an address to its EIP-55 mixed-case checksum form
+     * @param {string} address - Address in any case
+     * @returns {string} Checksummed address
+     */
+    static toChecksumAddress(address) {
+        const lower = address.replace(/^0x/, '').toLowerCase();
+        const hash = keccak256(lower);
+        return '0x' + [...lower].map((char, i) => parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char).join('');
+    }
+
+    /**
+     * Decode an ABI encoded string (or bytes32 for legacy tokens)
+     * @param {string} hex - Return data
+     * @returns {string} Decoded string
+     */
+    static decodeString(hex) {
+        const data = hex.replace(/^0x/, '');
+        if (data.length === 64) {
+            return Buffer.from(data, 'hex').toString('utf8').replace(/\u0000/g, '');
+        }
+        const offset = parseInt(data.slice(0, 64), 16) * 2;
+        const length = parseInt(data.slice(offset, offset + 64), 16) * 2;
+        return Buffer.from(data.slice(offset + 64, offset + 64 + length), 'hex').toString('utf8');
+    }
+
+    /**
+     * Decode an ABI encoded address
+     * @param {string} hex - Return data
+     * @returns {string} Lowercase address
+     */
+    static decodeAddress(hex) {
+        return `0x${hex.replace(/^0x/, '').slice(24, 64)}`.toLowerCase();
+    }
+
+    /**
+     * Read a 32 byte word as unsigned integer
+     * @param {string} hex - Return data
+     * @param {number} index - Word index
+     * @returns {bigint} Word value
+     */
+    static decodeUint(hex, index = 0) {
+        const word = hex.replace(/^0x/, '').slice(index * 64, (index + 1) * 64);
+        return BigInt(`0x${word || '0'}`);
+    }
+
+    /**
+     * Call a contract with eth_call
+     * @param {string} to - Contract address
+     * @param {string} data - Call data
+     * @returns {string} Return data ('0x' when the address has no code)
+     * @throws {Error} On RPC errors
+     */
+    async call(to, data) {
+        const response = await fetch(this.rpcUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                jsonrpc: '2.0',
+                id: ++this.requestId,
+                method: 'eth_call',
+                params: [{ to, data }, 'latest']
+            }),
+            timeout: this.requestTimeout
+        });
+
+        if (!response.ok) {
+            throw new Error(`RPC Error: ${response.status} ${response.statusText}`);
+        }
+
+        const body = await response.json();
+        if (body.error) {
+            throw new Error(`RPC Error: ${body.error.message || body.error.code}`);
+        }
+        return body.result || '0x';
+    }
+
+    /**
+     * Longest time a lookup can take: every sequential call round timing out
+     * @returns {number} Time in ms
+     */
+    getTimeBudget() {
+        return MAX_CALL_ROUNDS * this.requestTimeout;
+    }
+
+    /**
+     * Get the immutable info of a pool (cached)
+     * @param {string} poolAddress - Pool address
+     * @returns {Object|null} Pool tokens with decimals, symbol and name, or null if not a pool
+     */
+    async getPoolInfo(poolAddress) {
+        const key = poolAddress.toLowerCase();
+        if (this.pools.has(key)) {
+            return this.pools.get(key);
+        }
+
+        const [token0Data, token1Data] = await Promise.all([
+            this.call(poolAddress, SELECTORS.token0),
+            this.call(poolAddress, SELECTORS.token1)
+        ]);
+        if (token0Data === '0x' || token1Data === '0x') {
+            return null;
+        }
+
+        const tokens = await Promise.all([token0Data, token1Data].map(async data => {
+            const address = UniswapV3Provider.decodeAddress(data);
+            const [decimals, symbol, name] = await Promise.all([
+                this.call(address, SELECTORS.decimals),
+                this.call(address, SELECTORS.symbol),
+                this.call(address, SELECTORS.name)
+            ]);
+            return {
+                address,
+                decimals: Number(UniswapV3Provider.decodeUint(decimals)),
+                symbol: UniswapV3Provider.decodeString(symbol),
+                name: UniswapV3Provider.decodeString(name)
+            };
+        }));
+
+        const info = { token0: tokens[0], token1: tokens[1] };
+        this.pools.set(key, info);
+        return info;
+    }
+
+    /**
+     * Read the current price of token0 in token1
+     * @param {string} poolAddress - Pool address
+     * @param {Object} info - Pool info
+     * @returns {number} Price
+     */
+    async getPoolPrice(poolAddress, info) {
+        const slot0 = await this.call(poolAddress, SELECTORS.slot0);
+        const sqrtPriceX96 = UniswapV3Provider.decodeUint(slot0, 0);
+        return UniswapV3Provider.sqrtPriceX96ToPrice(sqrtPriceX96, info.token0.decimals, info.token1.decimals);
+    }
+
+    /**
+     * Get the WETH price in USD from the reference pool (cached briefly)
+     * @returns {number} ETH price in USD
+     * @throws {Error} If the reference pool cannot be read
+     */
+    async getEthPrice() {
+        if (this.ethPrice && Date.now() - this.ethPrice.updatedAt < this.ethPriceTtl) {
+            return this.ethPrice.price;
+        }
+
+        const info = await this.getPoolInfo(this.referencePool);
+        if (!info) {
+            throw new Error('Reference pool not found');
+        }
+
+        const price = await this.getPoolPrice(this.referencePool, info);
+        const ethPrice = info.token0.address === this.weth ? price : 1 / price;
+        this.ethPrice = { price: ethPrice, updatedAt: Date.now() };
+        return ethPrice;
+    }
+
+    /**
+     * Get the USD price of a quote token
+     * @param {string} address - Token address
+     * @returns {number|null} USD price, or null if it is not a supported quote token
+     */
+    async getQuotePrice(address) {
+        if (address === this.usdc) return 1;
+        if (address === this.weth) return this.getEthPrice();
+        return null;
+    }
+
+    /**
+     * Get market data of a pool
+     * Liquidity is the USD value of the virtual reserves backing the active range, derived from the
+     * pool's in-range liquidity L and sqrtPriceX96 (x = L / sqrtP, y = L * sqrtP).
+     * Volume is not available on-chain and is reported as null
+     * @param {string} poolAddress - Pool address
+     * @returns {Object|null} Pool data ({ price, marketCap, liquidity, volume24h, dexId, token }) with a
+     * checksummed token address, or null if the address is not a pool or is not quoted in WETH/USDC
+     * @throws {Error} On RPC errors
+     */
+    async getPool(poolAddress) {
+        const info = await this.getPoolInfo(poolAddress);
+        if (!info) {
+            console.error('Uniswap v3 Error: Pool not found');
+            return null;
+        }
+
+        // The priced token is the one paired with WETH or USDC
+        const quoteTokens = [this.weth, this.usdc];
+        const quoteIsToken1 = quoteTokens.includes(info.token1.address);
+        if (!quoteIsToken1 && !quoteTokens.includes(info.token0.address)) {
+            console.error('Uniswap v3 Error: Pool is not quoted in WETH or USDC');
+            return null;
+        }
+
+        const base = quoteIsToken1 ? info.token0 : info.token1;
+        const quote = quoteIsToken1 ? info.token1 : info.token0;
+        const quoteUsd = await this.getQuotePrice(quote.address);
+
+        const [slot0, poolLiquidity, totalSupply] = await Promise.all([
+            this.call(poolAddress, SELECTORS.slot0),
+            this.call(poolAddress, SELECTORS.liquidity),
+            this.call(base.address, SELECTORS.totalSupply)
+        ]);
+
+        const sqrtPriceX96 = UniswapV3Provider.decodeUint(slot0, 0);
+        const poolPrice = UniswapV3Provider.sqrtPriceX96ToPrice(sqrtPriceX96, info.token0.decimals, info.token1.decimals);
+        const price = (quoteIsToken1 ? poolPrice : 1 / poolPrice) * quoteUsd;
+        const toUnits = (amount, decimals) => amount / 10 ** decimals;
+
+        // Virtual reserves in raw units: token0 = L / sqrtP, token1 = L * sqrtP
+        const sqrtPrice = Number(sqrtPriceX96) / 2 ** 96;
+        const L = Number(UniswapV3Provider.decodeUint(poolLiquidity));
+        const reserve0 = sqrtPrice > 0 ? L / sqrtPrice : 0;
+        const reserve1 = L * sqrtPrice;
+        const [baseReserve, quoteReserve] = quoteIsToken1 ? [reserve0, reserve1] : [reserve1, reserve0];
+
+        return {
+            price,
+            marketCap: toUnits(Number(UniswapV3Provider.decodeUint(totalSupply)), base.decimals) * price,
+            liquidity: toUnits(baseReserve, base.decimals) * price + toUnits(quoteReserve, quote.decimals) * quoteUsd,
+            volume24h: null,
+            dexId: 'uniswap',
+            token: {
+                address: UniswapV3Provider.toChecksumAddress(base.address),
+                symbol: base.symbol,
+                name: base.name
+            }
+        };
+    }
+}
+
+module.exports = new UniswapV3Provider({
+    rpcUrl: process.env.BASE_RPC_URL,
+    referencePool: process.env.REFERENCE_POOL_ADDRESS
+});
@@ -1,3 +1,5 @@
+const RateLimiter = require('../rateLimiter');
+
 /**
  * Optimized queue for handling price updates
  */
@@ -6,12 +8,15 @@ class PriceQueue {
         // Limits and timeouts configuration
         this.maxQueueSize = options.maxQueueSize || 1000;
         this.processingTimeout = options.processingTimeout || 30000; // 30 seconds
-        this.handlerTimeout = options.handlerTimeout || 5000; // 5 seconds
+        this.handlerTimeout = options.handlerTimeout || 5000; // 5 seconds, unless the handler sets its own
         this.maxRetries = options.maxRetries || 3;
+        this.retryDelay = options.retryDelay || 1000; // Base of the backoff between retries
+        this.concurrency = options.concurrency || 1; // Items processed in parallel
 
-        this.handlers = new Set();
+        this.handlers = new Map(); // Handler -> timeout in ms
         this.processing = false;
         this.queue = [];
+        this.retrying = 0; // Items waiting for their retry backoff
         this.failedItems = new Map(); // Failed items registry
         
         // Statistics
@@ -29,18 +34,23 @@ class PriceQueue {
     /**
      * Register a handler to process updates
      * @param {Function} handler - Function that processes the update
+     * @param {Object} options - Options
+     * @param {number} options.timeout - Handler timeout in ms (defaults to handlerTimeout); it should
+     * cover the retries the handler makes itself, or a slow attempt is retried while still running
      * @throws {Error} If handler is not a function
      */
-    process(handler) {
+    process(handler, { timeout } = {}) {
         if (typeof handler !== 'function') {
             throw new Error('Handler must be a function');
         }
-        this.handlers.add(handler);
+        this.handlers.set(handler, timeout || this.handlerTimeout);
     }
 
     /**
      * Add an update to the queue
      * @param {Object} data - Update data
+     * @returns {Promise<Array>} Resolves with the handlers results once processed,
+     * rejects when the item fails after all retries
      * @throws {Error} If queue is full
      */
     async add(data) {
@@ -60,11 +70,18 @@ class PriceQueue {
             retries: 0
         };
 
+        const result = new Promise((resolve, reject) => {
+            item.resolve = resolve;
+            item.reject = reject;
+        });
+
         this.queue.push(item);
         
         if (!this.processing) {
-            await this.processQueue();
+            this.processQueue().catch(error => console.error('Error processing queue:', error));
         }
+
+        return result;
     }
 
     /**
@@ -89,25 +106,28 @@ class PriceQueue {
     /**
      * Process an individual item with timeout
      * @param {Object} item - Item to process
-     * @returns {Promise} Processing result
+     * @returns {Promise<Array>} Handlers results
      */
     async processItem(item) {
         const results = await Promise.allSettled(
-            Array.from(this.handlers).map(handler =>
-                Promise.race([
+            Array.from(this.handlers).map(([handler, timeout]) => {
+                let timer;
+                return Promise.race([
                     handler({ data: item.data }),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Handler timeout')), this.handlerTimeout)
-                    )
-                ])
-            )
+                    new Promise((_, reject) => {
+                        timer = setTimeout(() => reject(new Error('Handler timeout')), timeout);
+                    })
+                ]).finally(() => clearTimeout(timer));
+            })
         );
 
         // Analyze results
         const failed = results.filter(r => r.status === 'rejected');
         if (failed.length > 0) {
-            throw new Error(`${failed.length} handlers failed`);
+            throw new Error(`${failed.length} handlers failed: ${failed[0].reason?.message}`);
         }
+
+        return results.map(r => r.value);
     }
 
     /**
@@ -127,18 +147,26 @@ class PriceQueue {
                     break;
                 }
 
-                const item = this.queue.shift();
-                try {
-                    await this.processItem(item);
-                    this.stats.processed++;
-                } catch (error) {
-                    await this.handleFailedItem(item, error);
-                }
+                const batch = this.queue.splice(0, this.concurrency);
+                await Promise.all(batch.map(async item => {
+                    try {
+                        const results = await this.processItem(item);
+                        this.stats.processed++;
+                        item.resolve(results);
+                    } catch (error) {
+                        await this.handleFailedItem(item, error);
+                    }
+                }));
             }
         } finally {
             this.processing = false;
             this.logStats();
         }
+
+        // Resume pending items left by the global timeout
+        if (this.queue.length > 0) {
+            setImmediate(() => this.processQueue());
+        }
     }
 
     /**
@@ -153,13 +181,24 @@ class PriceQueue {
             item.retries++;
             item.lastError = error.message;
             this.stats.retried++;
-            this.queue.push(item); // Retry
+
+            // Retry after a backoff instead of hitting the failing upstream again right away
+            this.retrying++;
+            setTimeout(() => {
+                this.retrying--;
+                this.queue.push(item);
+                if (!this.processing) {
+                    this.processQueue().catch(error => console.error('Error processing queue:', error));
+                }
+            }, RateLimiter.backoff(item.retries - 1, { base: this.retryDelay }));
         } else {
+            const { resolve, reject, ...failedItem } = item;
             this.failedItems.set(item.id, {
-                ...item,
+                ...failedItem,
                 finalError: error.message,
                 failedAt: Date.now()
             });
+            reject(error);
         }
     }
 
@@ -182,6 +221,7 @@ class PriceQueue {
         console.log('Queue statistics:', {
             ...this.stats,
             queueLength: this.queue.length,
+            retrying: this.retrying,
             failedItems: this.failedItems.size
         });
     }
@@ -193,6 +233,7 @@ class PriceQueue {
     getStatus() {
         return {
             queueLength: this.queue.length,
+            retrying: this.retrying,
             processing: this.processing,
             stats: { ...this.stats },
             failedItems: this.failedItems.size
@@ -204,5 +245,6 @@ module.exports = new PriceQueue({
     maxQueueSize: 1000,
     processingTimeout: 30000,
     handlerTimeout: 5000,
-    maxRetries: 3
+    maxRetries: 3,
+    concurrency: parseInt(process.env.PRICE_QUEUE_CONCURRENCY) || 5
 }); 
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Token bucket rate limiter with a concurrency cap
+ * Tasks wait until a token is available and a slot is free, in FIFO order
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options - Options
+     * @param {number} options.rate - Tokens added per interval
+     * @param {number} options.interval - Refill interval in ms
+     * @param {number} options.burst - Bucket capacity (defaults to rate)
+     * @param {number} options.concurrency - Maximum tasks running at once
+     */
+    constructor(options = {}) {
+        this.rate = options.rate || 5;
+        this.interval = options.interval || 1000;
+        this.burst = options.burst || this.rate;
+        this.concurrency = options.concurrency || Infinity;
+
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.active = 0;
+        this.queue = [];
+        this.pausedUntil = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Compute an exponential backoff delay with jitter
+     * @param {number} attempt - Attempt number (0 based)
+     * @param {Object} options - Base and maximum delay in ms
+     * @returns {number} Delay in ms, between half and the full exponential delay
+     */
+    static backoff(attempt, { base = 500, max = 30000 } = {}) {
+        const delay = Math.min(max, base * 2 ** attempt);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Parse a Retry-After header
+     * @param {string|null} value - Header value (seconds or HTTP date)
+     * @returns {number} Delay in ms (0 if missing or invalid)
+     */
+    static parseRetryAfter(value) {
+        if (!value) return 0;
+        if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+        const date = new Date(value).getTime();
+        return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Run a task when the limiter allows it
+     * @param {Function} task - Async function to run
+     * @returns {Promise} Task result
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    /**
+     * Stop starting tasks for a while (e.g. after a 429 response)
+     * @param {number} ms - Pause in ms
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.rate / this.interval);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Start queued tasks while tokens and slots are available
+     */
+    drain() {
+        while (this.queue.length && this.active < this.concurrency) {
+            const now = Date.now();
+            if (now < this.pausedUntil) {
+                return this.wake(this.pausedUntil - now);
+            }
+
+            this.refill();
+            if (this.tokens < 1) {
+                return this.wake((1 - this.tokens) * this.interval / this.rate);
+            }
+
+            this.tokens--;
+            this.active++;
+            const { task, resolve, reject } = this.queue.shift();
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * Drain again after a delay
+     * @param {number} ms - Delay in ms
+     */
+    wake(ms) {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+        }, Math.ceil(ms));
+    }
+
+    /**
+     * Get current limiter status
+     * @returns {Object} Limiter status
+     */
+    getStatus() {
+        this.refill();
+        return {
+            queued: this.queue.length,
+            active: this.active,
+            tokens: Math.floor(this.tokens),
+            pausedUntil: this.pausedUntil > Date.now() ? this.pausedUntil : null
+        };
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,14 @@
+const listingService = require('./listings');
+
+/**
+ * Token sorting criteria, highest value first (names in the `sortCriteria` messages)
+ * Shared by the token lists and the per-chat settings, which accept these keys.
+ * The 24h price change is computed from the stored price history when the token catalog loads
+ */
+module.exports = {
+    mc: { value: token => token.dex?.marketCap },
+    liq: { value: token => token.dex?.liquidity },
+    vol: { value: token => token.dex?.volume24h },
+    change: { value: token => token.change24h },
+    age: { value: token => listingService.listedAt(token) }
+};
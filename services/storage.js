@@ -1,5 +1,6 @@
 const supabase = require('./supabase');
 const memoryStorage = require('./memoryStorage');
+const TimeSeriesStore = require('./timeSeries');
 
 /**
  * Storage service that manages both Supabase and local memory storage
@@ -53,8 +54,8 @@ class StorageService {
                     typeof data.price === 'number' &&
                     data.marketCap &&
                     typeof data.marketCap === 'number' &&
-                    data.liquidity &&
-                    typeof data.liquidity === 'number'
+                    typeof data.liquidity === 'number' &&
+                    data.liquidity >= 0 // New or drained pools have no liquidity
                 );
             case 'token':
                 return (
@@ -199,6 +200,8 @@ class StorageService {
         }
         
         this.useSupabase = useSupabase;
+        // Prices, history, candles, stats and testConnection go through the active backend
+        this.storage = useSupabase ? supabase : memoryStorage;
         console.log(`🔄 Switched to ${useSupabase ? 'Supabase' : 'Memory'} mode`);
     }
 
@@ -212,8 +215,49 @@ class StorageService {
         return this.storage.getTokenPrice(poolAddress);
     }
 
-    async getPriceHistory(poolAddress, limit) {
-        return this.storage.getPriceHistory(poolAddress, limit);
+    /**
+     * Get price history of a pool, newest first
+     * @param {string} poolAddress - Pool address
+     * @param {Object|number} options - { from, to, resolution, limit } or a limit
+     * @returns {Array} History entries ({ price, volume_24h, updated_at, ... })
+     */
+    async getPriceHistory(poolAddress, options) {
+        return this.storage.getPriceHistory(poolAddress, options);
+    }
+
+    /**
+     * Get the first price of a period: the last one stored at or before its start, at most
+     * one history bucket (5 minutes for raw prices) earlier
+     * @param {string} poolAddress - Pool address
+     * @param {number} from - Start timestamp in ms
+     * @returns {Object|null} History entry ({ price, updated_at, ... }) or null if the history
+     * starts after the period began
+     */
+    async getFirstPrice(poolAddress, from) {
+        return this.storage.getFirstPrice(poolAddress, from);
+    }
+
+    /**
+     * Get OHLCV candles of a pool
+     * @param {string} poolAddress - Pool address
+     * @param {string} resolution - 1m, 5m, 15m, 1h, 4h or 1d
+     * @param {Date|number|string} from - Range start (default 24 hours before `to`)
+     * @param {Date|number|string} to - Range end (default now)
+     * @returns {Array} Candles ({ time, open, high, low, close, volume }) oldest first
+     * @throws {Error} If resolution or range are invalid
+     */
+    async getCandles(poolAddress, resolution = '1h', from, to) {
+        if (!TimeSeriesStore.CANDLE_RESOLUTIONS[resolution]) {
+            throw new Error(`Invalid resolution: ${resolution}`);
+        }
+
+        const toTime = to ? new Date(to).getTime() : Date.now();
+        const fromTime = from ? new Date(from).getTime() : toTime - 24 * 60 * 60 * 1000;
+        if (isNaN(fromTime) || isNaN(toTime) || fromTime > toTime) {
+            throw new Error('Invalid time range');
+        }
+
+        return this.storage.getCandles(poolAddress, resolution, fromTime, toTime);
     }
 
     async getStats() {
@@ -319,6 +363,535 @@ class StorageService {
             return false;
         }
     }
+
+    // Methods for managing price alerts with dual backup
+    async getAlerts(chatId) {
+        try {
+            let alerts = [];
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                alerts = await supabase.getAlerts(chatId);
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!alerts.length) {
+                alerts = await memoryStorage.getAlerts(chatId);
+            }
+
+            return alerts;
+        } catch (error) {
+            console.error('Error obtaining alerts:', error);
+            return memoryStorage.getAlerts(chatId);
+        }
+    }
+
+    async getPoolAlerts(poolAddress) {
+        try {
+            let alerts = [];
+
+            if (this.useSupabase) {
+                alerts = await supabase.getPoolAlerts(poolAddress);
+            }
+
+            if (!alerts.length) {
+                alerts = await memoryStorage.getPoolAlerts(poolAddress);
+            }
+
+            return alerts;
+        } catch (error) {
+            console.error('Error obtaining pool alerts:', error);
+            return memoryStorage.getPoolAlerts(poolAddress);
+        }
+    }
+
+    async addAlert(alert) {
+        try {
+            // Always save to memory
+            await memoryStorage.addAlert(alert);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.addAlert(alert);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error adding alert:', error);
+            return false;
+        }
+    }
+
+    async removeAlert(alertId) {
+        try {
+            // Always remove from memory
+            let removed = await memoryStorage.removeAlert(alertId);
+
+            // Try to remove from Supabase if available; it holds the alerts that count
+            if (this.useSupabase) {
+                removed = await supabase.removeAlert(alertId);
+            }
+
+            // False when the alert was already gone, so concurrent callers can claim it only once
+            return removed;
+        } catch (error) {
+            console.error('Error removing alert:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing user watchlists with dual backup
+    async getWatchlist(userId) {
+        try {
+            let watchlist = [];
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                watchlist = await supabase.getWatchlist(userId);
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!watchlist.length) {
+                watchlist = await memoryStorage.getWatchlist(userId);
+            }
+
+            return watchlist;
+        } catch (error) {
+            console.error('Error obtaining watchlist:', error);
+            return memoryStorage.getWatchlist(userId);
+        }
+    }
+
+    async addToWatchlist(userId, poolAddress) {
+        try {
+            // Always save to memory
+            await memoryStorage.addToWatchlist(userId, poolAddress);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.addToWatchlist(userId, poolAddress);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error adding to watchlist:', error);
+            return false;
+        }
+    }
+
+    async removeFromWatchlist(userId, poolAddress) {
+        try {
+            // Always remove from memory
+            await memoryStorage.removeFromWatchlist(userId, poolAddress);
+
+            // Try to remove from Supabase if available
+            if (this.useSupabase) {
+                await supabase.removeFromWatchlist(userId, poolAddress);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error removing from watchlist:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing admin-added tokens with dual backup
+    async getCustomTokens() {
+        try {
+            let tokens = [];
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                tokens = await supabase.getCustomTokens();
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!tokens.length) {
+                tokens = await memoryStorage.getCustomTokens();
+            }
+
+            return tokens;
+        } catch (error) {
+            console.error('Error obtaining custom tokens:', error);
+            return memoryStorage.getCustomTokens();
+        }
+    }
+
+    async addCustomToken(token) {
+        try {
+            // Always save to memory
+            await memoryStorage.addCustomToken(token);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.addCustomToken(token);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error adding custom token:', error);
+            return false;
+        }
+    }
+
+    async removeCustomToken(poolAddress) {
+        try {
+            // Always remove from memory
+            await memoryStorage.removeCustomToken(poolAddress);
+
+            // Try to remove from Supabase if available
+            if (this.useSupabase) {
+                await supabase.removeCustomToken(poolAddress);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error removing custom token:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing token overrides (hidden flag and metadata) with dual backup
+    async getTokenOverrides() {
+        try {
+            let overrides = [];
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                overrides = await supabase.getTokenOverrides();
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!overrides.length) {
+                overrides = await memoryStorage.getTokenOverrides();
+            }
+
+            return overrides;
+        } catch (error) {
+            console.error('Error obtaining token overrides:', error);
+            return memoryStorage.getTokenOverrides();
+        }
+    }
+
+    async saveTokenOverride(override) {
+        try {
+            // Always save to memory
+            await memoryStorage.saveTokenOverride(override);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.saveTokenOverride(override);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error saving token override:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing banned users with dual backup
+    async getBannedUsers() {
+        try {
+            let bans = [];
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                bans = await supabase.getBannedUsers();
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!bans.length) {
+                bans = await memoryStorage.getBannedUsers();
+            }
+
+            return bans;
+        } catch (error) {
+            console.error('Error obtaining banned users:', error);
+            return memoryStorage.getBannedUsers();
+        }
+    }
+
+    async banUser(ban) {
+        try {
+            // Always save to memory
+            await memoryStorage.banUser(ban);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.banUser(ban);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error banning user:', error);
+            return false;
+        }
+    }
+
+    async unbanUser(userId) {
+        try {
+            // Always remove from memory
+            await memoryStorage.unbanUser(userId);
+
+            // Try to remove from Supabase if available
+            if (this.useSupabase) {
+                await supabase.unbanUser(userId);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error unbanning user:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing per-chat settings with dual backup
+    async getChatSettings(chatId) {
+        try {
+            let settings = null;
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                settings = await supabase.getChatSettings(chatId);
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!settings) {
+                settings = await memoryStorage.getChatSettings(chatId);
+            }
+
+            return settings;
+        } catch (error) {
+            console.error('Error obtaining chat settings:', error);
+            return memoryStorage.getChatSettings(chatId);
+        }
+    }
+
+    async saveChatSettings(settings) {
+        try {
+            // Always save to memory
+            await memoryStorage.saveChatSettings(settings);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.saveChatSettings(settings);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error saving chat settings:', error);
+            return false;
+        }
+    }
+
+    async removeChatSettings(chatId) {
+        try {
+            // Always remove from memory
+            await memoryStorage.removeChatSettings(chatId);
+
+            // Try to remove from Supabase if available
+            if (this.useSupabase) {
+                await supabase.removeChatSettings(chatId);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error removing chat settings:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing user languages with dual backup
+    async getUserLanguage(userId) {
+        try {
+            let language = null;
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                language = await supabase.getUserLanguage(userId);
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!language) {
+                language = await memoryStorage.getUserLanguage(userId);
+            }
+
+            return language;
+        } catch (error) {
+            console.error('Error obtaining user language:', error);
+            return memoryStorage.getUserLanguage(userId);
+        }
+    }
+
+    async setUserLanguage(userId, language) {
+        try {
+            // Always save to memory
+            await memoryStorage.setUserLanguage(userId, language);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.setUserLanguage(userId, language);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error saving user language:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing digest subscriptions with dual backup
+    async getDigestSubscriptions() {
+        try {
+            let subscriptions = [];
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                subscriptions = await supabase.getDigestSubscriptions();
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!subscriptions.length) {
+                subscriptions = await memoryStorage.getDigestSubscriptions();
+            }
+
+            return subscriptions;
+        } catch (error) {
+            console.error('Error obtaining digest subscriptions:', error);
+            return memoryStorage.getDigestSubscriptions();
+        }
+    }
+
+    async saveDigestSubscription(subscription) {
+        try {
+            // Always save to memory
+            await memoryStorage.saveDigestSubscription(subscription);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.saveDigestSubscription(subscription);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error saving digest subscription:', error);
+            return false;
+        }
+    }
+
+    async removeDigestSubscription(chatId) {
+        try {
+            // Always remove from memory
+            await memoryStorage.removeDigestSubscription(chatId);
+
+            // Try to remove from Supabase if available
+            if (this.useSupabase) {
+                await supabase.removeDigestSubscription(chatId);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error removing digest subscription:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing known tokens (new listing detection) with dual backup
+    async getKnownTokens() {
+        try {
+            let tokens = [];
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                tokens = await supabase.getKnownTokens();
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!tokens.length) {
+                tokens = await memoryStorage.getKnownTokens();
+            }
+
+            return tokens;
+        } catch (error) {
+            console.error('Error obtaining known tokens:', error);
+            return memoryStorage.getKnownTokens();
+        }
+    }
+
+    async addKnownTokens(tokens) {
+        try {
+            // Always save to memory
+            await memoryStorage.addKnownTokens(tokens);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.addKnownTokens(tokens);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error saving known tokens:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing listing subscribers with dual backup
+    async getListingSubscribers() {
+        try {
+            let subscribers = [];
+
+            // Try to get from Supabase first if active
+            if (this.useSupabase) {
+                subscribers = await supabase.getListingSubscribers();
+            }
+
+            // If no data from Supabase or not active, use memory
+            if (!subscribers.length) {
+                subscribers = await memoryStorage.getListingSubscribers();
+            }
+
+            return subscribers;
+        } catch (error) {
+            console.error('Error obtaining listing subscribers:', error);
+            return memoryStorage.getListingSubscribers();
+        }
+    }
+
+    async addListingSubscriber(subscriber) {
+        try {
+            // Always save to memory
+            await memoryStorage.addListingSubscriber(subscriber);
+
+            // Try to save to Supabase if available
+            if (this.useSupabase) {
+                await supabase.addListingSubscriber(subscriber);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error saving listing subscriber:', error);
+            return false;
+        }
+    }
+
+    async removeListingSubscriber(chatId) {
+        try {
+            // Always remove from memory
+            await memoryStorage.removeListingSubscriber(chatId);
+
+            // Try to remove from Supabase if available
+            if (this.useSupabase) {
+                await supabase.removeListingSubscriber(chatId);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error removing listing subscriber:', error);
+            return false;
+        }
+    }
 }
 
 module.exports = new StorageService(); 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const TimeSeriesStore = require('./timeSeries');
 
 // Create Supabase client
 const supabase = createClient(
@@ -18,6 +19,21 @@ function validateCredentials() {
     return true;
 }
 
+// Convert a price_alerts row into an alert object
+function rowToAlert(row) {
+    return {
+        id: row.id,
+        chatId: row.chat_id,
+        userId: row.user_id,
+        ticker: row.ticker,
+        poolAddress: row.pool_address,
+        type: row.type,
+        target: parseFloat(row.target),
+        windowMinutes: row.window_minutes,
+        createdAt: row.created_at
+    };
+}
+
 class SupabaseService {
     constructor() {
         this.initialized = false;
@@ -164,22 +180,114 @@ ALTER TABLE secondary_admins ENABLE ROW LEVEL SECURITY;
     }
 
     // Get price history for a token
-    async getPriceHistory(poolAddress, limit = 24) {
+    // options: { from, to, resolution: raw|5m|1h|1d|auto, limit } or a numeric limit
+    async getPriceHistory(poolAddress, options = {}) {
+        try {
+            const { from, to, resolution = 'auto', limit } = typeof options === 'number' ? { limit: options } : options;
+            const maxRows = limit || (from ? 10000 : 24);
+            const pageSize = 1000;
+            const rows = [];
+
+            // Select only required fields and use composite index (paginated)
+            while (rows.length < maxRows) {
+                let query = supabase
+                    .from('token_prices')
+                    .select('price, volume_24h, updated_at')
+                    .eq('pool_address', poolAddress)
+                    .order('updated_at', { ascending: false });
+
+                if (from) query = query.gte('updated_at', new Date(from).toISOString());
+                if (to) query = query.lte('updated_at', new Date(to).toISOString());
+
+                const { data, error } = await query
+                    .range(rows.length, Math.min(rows.length + pageSize, maxRows) - 1);
+
+                if (error) throw error;
+                rows.push(...data);
+                if (data.length < pageSize) break;
+            }
+
+            console.log('📦 History retrieved from Supabase:', poolAddress);
+
+            // Rows are stored at full resolution, downsample if needed
+            const tier = resolution === 'auto' ? TimeSeriesStore.resolutionForRange(from) : resolution;
+            if (!TimeSeriesStore.RESOLUTIONS[tier]) {
+                return rows;
+            }
+
+            const points = rows
+                .map(row => ({
+                    time: new Date(row.updated_at).getTime(),
+                    price: parseFloat(row.price),
+                    volume: parseFloat(row.volume_24h) || 0
+                }))
+                .reverse();
+
+            return TimeSeriesStore.aggregate(points, tier)
+                .map(TimeSeriesStore.formatPoint)
+                .reverse();
+        } catch (error) {
+            console.error('Error getting history:', error);
+            return [];
+        }
+    }
+
+    // Get the first price of a period: the last one stored at or before its start (up to 5 minutes earlier)
+    async getFirstPrice(poolAddress, from) {
         try {
-            // Select only required fields and use composite index
             const { data, error } = await supabase
                 .from('token_prices')
-                .select('price, updated_at')
+                .select('price, volume_24h, updated_at')
                 .eq('pool_address', poolAddress)
+                .lte('updated_at', new Date(from).toISOString())
+                .gt('updated_at', new Date(from - TimeSeriesStore.RESOLUTIONS['5m']).toISOString())
                 .order('updated_at', { ascending: false })
-                .limit(limit);
+                .limit(1)
+                .maybeSingle();
 
             if (error) throw error;
-            console.log('📦 History retrieved from Supabase:', poolAddress);
             return data;
         } catch (error) {
-            console.error('Error getting history:', error);
-            return [];
+            console.error('Error getting first price:', error);
+            return null;
+        }
+    }
+
+    // Get OHLCV candles aggregated in SQL (get_price_candles function)
+    async getCandles(poolAddress, resolution, from, to) {
+        const size = TimeSeriesStore.CANDLE_RESOLUTIONS[resolution];
+
+        try {
+            const { data, error } = await supabase.rpc('get_price_candles', {
+                p_pool_address: poolAddress,
+                p_bucket_seconds: size / 1000,
+                p_from: new Date(from).toISOString(),
+                p_to: new Date(to).toISOString()
+            });
+
+            if (error) throw error;
+            console.log('📦 Candles retrieved from Supabase:', poolAddress);
+            return data.map(row => ({
+                time: new Date(row.bucket).toISOString(),
+                open: parseFloat(row.open),
+                high: parseFloat(row.high),
+                low: parseFloat(row.low),
+                close: parseFloat(row.close),
+                volume: parseFloat(row.volume) || 0
+            }));
+        } catch (error) {
+            console.error('Error getting candles, aggregating rows instead:', error.message || error);
+
+            // Fallback when the SQL function is not installed
+            const rows = await this.getPriceHistory(poolAddress, { from, to, resolution: 'raw' });
+            const points = rows
+                .map(row => ({
+                    t: new Date(row.updated_at).getTime(),
+                    p: parseFloat(row.price),
+                    v: parseFloat(row.volume_24h) || 0
+                }))
+                .reverse();
+            return TimeSeriesStore.toCandles(points, size);
         }
     }
 
@@ -349,6 +457,557 @@ ALTER TABLE secondary_admins ENABLE ROW LEVEL SECURITY;
             return false;
         }
     }
+
+    // Methods for managing price alerts
+    async getAlerts(chatId) {
+        try {
+            const { data, error } = await supabase
+                .from('price_alerts')
+                .select('*')
+                .eq('chat_id', chatId.toString())
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+            console.log('📦 Alerts retrieved from Supabase:', chatId);
+            return data.map(rowToAlert);
+        } catch (error) {
+            console.error('Error getting alerts:', error);
+            return [];
+        }
+    }
+
+    async getPoolAlerts(poolAddress) {
+        try {
+            const { data, error } = await supabase
+                .from('price_alerts')
+                .select('*')
+                .eq('pool_address', poolAddress);
+
+            if (error) throw error;
+            return data.map(rowToAlert);
+        } catch (error) {
+            console.error('Error getting pool alerts:', error);
+            return [];
+        }
+    }
+
+    async addAlert(alert) {
+        try {
+            const { error } = await supabase
+                .from('price_alerts')
+                .insert({
+                    id: alert.id,
+                    chat_id: alert.chatId,
+                    user_id: alert.userId,
+                    ticker: alert.ticker,
+                    pool_address: alert.poolAddress,
+                    type: alert.type,
+                    target: alert.target,
+                    window_minutes: alert.windowMinutes,
+                    created_at: alert.createdAt
+                });
+
+            if (error) throw error;
+            console.log('📦 Alert added to Supabase:', alert.id);
+            return true;
+        } catch (error) {
+            console.error('Error adding alert:', error);
+            return false;
+        }
+    }
+
+    async removeAlert(alertId) {
+        try {
+            const { data, error } = await supabase
+                .from('price_alerts')
+                .delete()
+                .eq('id', alertId)
+                .select('id');
+
+            if (error) throw error;
+            console.log('📦 Alert removed from Supabase:', alertId);
+            return data.length > 0;
+        } catch (error) {
+            console.error('Error removing alert:', error);
+            return false;
+        }
+    }
+
+    // Methods for managing user watchlists
+    async getWatchlist(userId) {
+        try {
+            const { data, error } = await supabase
+                .from('watchlists')
+                .select('pool_address')
+                .eq('user_id', userId.toString())
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+            console.log('📦 Watchlist retrieved from Supabase:', userId);
+            return data.map(row => row.pool_address);
+        } catch (error) {
+            console.error('Error getting watchlist:', error);
+            return [];
+        }
+    }
+
+    async addToWatchlist(userId, poolAddress) {
+        try {
+            const { error } = await supabase
+                .from('watchlists')
+                .upsert({
+                    user_id: userId.toString(),
+                    pool_address: poolAddress
+                });
+
+            if (error) throw error;
+            console.log('📦 Watchlist updated in Supabase:', userId);
+            return true;
+        } catch (error) {
+            console.error('Error adding to watchlist:', error);
+            return false;
+        }
+    }
+
+    async removeFromWatchlist(userId, poolAddress) {
+        try {
+            const { error } = await supabase
+                .from('watchlists')
+                .delete()
+                .eq('user_id', userId.toString())
+                .eq('pool_address', poolAddress);
+
+            if (error) throw error;
+            console.log('📦 Watchlist updated in Supabase:', userId);
+            return true;
+        } catch (error) {
+            console.error('Error removing from watchlist:', error);
+            return false;
+        }
+    }
+
+    // Tokens added by admins
+    async getCustomTokens() {
+        try {
+            const { data, error } = await supabase
+                .from('custom_tokens')
+                .select('*')
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+            console.log('📦 Custom tokens retrieved from Supabase');
+            return data.map(row => ({
+                poolAddress: row.pool_address,
+                address: row.token_address,
+                ticker: row.ticker,
+                name: row.name,
+                creator: row.creator,
+                telegram: row.telegram,
+                addedBy: row.added_by,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Error getting custom tokens:', error);
+            return [];
+        }
+    }
+
+    async addCustomToken(token) {
+        try {
+            const { error } = await supabase
+                .from('custom_tokens')
+                .upsert({
+                    pool_address: token.poolAddress.toLowerCase(),
+                    token_address: token.address,
+                    ticker: token.ticker,
+                    name: token.name,
+                    creator: token.creator,
+                    telegram: token.telegram,
+                    added_by: token.addedBy,
+                    created_at: token.createdAt
+                });
+
+            if (error) throw error;
+            console.log('📦 Custom token saved to Supabase:', token.ticker);
+            return true;
+        } catch (error) {
+            console.error('Error adding custom token:', error);
+            return false;
+        }
+    }
+
+    async removeCustomToken(poolAddress) {
+        try {
+            const { error } = await supabase
+                .from('custom_tokens')
+                .delete()
+                .eq('pool_address', poolAddress.toLowerCase());
+
+            if (error) throw error;
+            console.log('📦 Custom token removed from Supabase:', poolAddress);
+            return true;
+        } catch (error) {
+            console.error('Error removing custom token:', error);
+            return false;
+        }
+    }
+
+    // Admin token overrides (hidden flag and metadata)
+    async getTokenOverrides() {
+        try {
+            const { data, error } = await supabase
+                .from('token_overrides')
+                .select('*');
+
+            if (error) throw error;
+            console.log('📦 Token overrides retrieved from Supabase');
+            return data.map(row => ({
+                poolAddress: row.pool_address,
+                hidden: row.hidden,
+                meta: row.meta || {},
+                updatedBy: row.updated_by,
+                updatedAt: row.updated_at
+            }));
+        } catch (error) {
+            console.error('Error getting token overrides:', error);
+            return [];
+        }
+    }
+
+    async saveTokenOverride(override) {
+        try {
+            const { error } = await supabase
+                .from('token_overrides')
+                .upsert({
+                    pool_address: override.poolAddress.toLowerCase(),
+                    hidden: override.hidden,
+                    meta: override.meta,
+                    updated_by: override.updatedBy,
+                    updated_at: override.updatedAt
+                });
+
+            if (error) throw error;
+            console.log('📦 Token override saved to Supabase:', override.poolAddress);
+            return true;
+        } catch (error) {
+            console.error('Error saving token override:', error);
+            return false;
+        }
+    }
+
+    // Users banned by admins
+    async getBannedUsers() {
+        try {
+            const { data, error } = await supabase
+                .from('banned_users')
+                .select('*');
+
+            if (error) throw error;
+            console.log('📦 Banned users retrieved from Supabase');
+            return data.map(row => ({
+                userId: row.user_id,
+                bannedBy: row.banned_by,
+                reason: row.reason,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Error getting banned users:', error);
+            return [];
+        }
+    }
+
+    async banUser(ban) {
+        try {
+            const { error } = await supabase
+                .from('banned_users')
+                .upsert({
+                    user_id: ban.userId.toString(),
+                    banned_by: ban.bannedBy,
+                    reason: ban.reason,
+                    created_at: ban.createdAt
+                });
+
+            if (error) throw error;
+            console.log('📦 Banned user saved to Supabase:', ban.userId);
+            return true;
+        } catch (error) {
+            console.error('Error banning user:', error);
+            return false;
+        }
+    }
+
+    async unbanUser(userId) {
+        try {
+            const { error } = await supabase
+                .from('banned_users')
+                .delete()
+                .eq('user_id', userId.toString());
+
+            if (error) throw error;
+            console.log('📦 Banned user removed from Supabase:', userId);
+            return true;
+        } catch (error) {
+            console.error('Error unbanning user:', error);
+            return false;
+        }
+    }
+
+    // Per-chat settings
+    async getChatSettings(chatId) {
+        try {
+            const { data, error } = await supabase
+                .from('chat_settings')
+                .select('*')
+                .eq('chat_id', chatId.toString())
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) return null;
+            return {
+                chatId: data.chat_id,
+                uiMode: data.ui_mode,
+                sortCriteria: data.sort_criteria,
+                pageSize: data.page_size,
+                language: data.language,
+                updatedBy: data.updated_by,
+                updatedAt: data.updated_at
+            };
+        } catch (error) {
+            console.error('Error getting chat settings:', error);
+            return null;
+        }
+    }
+
+    async saveChatSettings(settings) {
+        try {
+            const { error } = await supabase
+                .from('chat_settings')
+                .upsert({
+                    chat_id: settings.chatId.toString(),
+                    ui_mode: settings.uiMode,
+                    sort_criteria: settings.sortCriteria,
+                    page_size: settings.pageSize,
+                    language: settings.language,
+                    updated_by: settings.updatedBy,
+                    updated_at: settings.updatedAt
+                });
+
+            if (error) throw error;
+            console.log('📦 Chat settings saved to Supabase:', settings.chatId);
+            return true;
+        } catch (error) {
+            console.error('Error saving chat settings:', error);
+            return false;
+        }
+    }
+
+    async removeChatSettings(chatId) {
+        try {
+            const { error } = await supabase
+                .from('chat_settings')
+                .delete()
+                .eq('chat_id', chatId.toString());
+
+            if (error) throw error;
+            console.log('📦 Chat settings removed from Supabase:', chatId);
+            return true;
+        } catch (error) {
+            console.error('Error removing chat settings:', error);
+            return false;
+        }
+    }
+
+    // Language chosen by each user
+    async getUserLanguage(userId) {
+        try {
+            const { data, error } = await supabase
+                .from('user_languages')
+                .select('language')
+                .eq('user_id', userId.toString())
+                .maybeSingle();
+
+            if (error) throw error;
+            return data?.language || null;
+        } catch (error) {
+            console.error('Error getting user language:', error);
+            return null;
+        }
+    }
+
+    async setUserLanguage(userId, language) {
+        try {
+            const query = language
+                ? supabase.from('user_languages').upsert({
+                    user_id: userId.toString(),
+                    language,
+                    updated_at: new Date().toISOString()
+                })
+                : supabase.from('user_languages').delete().eq('user_id', userId.toString());
+            const { error } = await query;
+
+            if (error) throw error;
+            console.log('📦 User language saved to Supabase:', userId);
+            return true;
+        } catch (error) {
+            console.error('Error saving user language:', error);
+            return false;
+        }
+    }
+
+    // Chats subscribed to periodic digests
+    async getDigestSubscriptions() {
+        try {
+            const { data, error } = await supabase
+                .from('digest_subscriptions')
+                .select('*');
+
+            if (error) throw error;
+            console.log('📦 Digest subscriptions retrieved from Supabase');
+            return data.map(row => ({
+                chatId: row.chat_id,
+                frequency: row.frequency,
+                knownTokens: row.known_tokens || [],
+                subscribedBy: row.subscribed_by,
+                lastSentAt: row.last_sent_at,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Error getting digest subscriptions:', error);
+            return [];
+        }
+    }
+
+    async saveDigestSubscription(subscription) {
+        try {
+            const { error } = await supabase
+                .from('digest_subscriptions')
+                .upsert({
+                    chat_id: subscription.chatId.toString(),
+                    frequency: subscription.frequency,
+                    known_tokens: subscription.knownTokens,
+                    subscribed_by: subscription.subscribedBy,
+                    last_sent_at: subscription.lastSentAt,
+                    created_at: subscription.createdAt
+                });
+
+            if (error) throw error;
+            console.log('📦 Digest subscription saved to Supabase:', subscription.chatId);
+            return true;
+        } catch (error) {
+            console.error('Error saving digest subscription:', error);
+            return false;
+        }
+    }
+
+    async removeDigestSubscription(chatId) {
+        try {
+            const { error } = await supabase
+                .from('digest_subscriptions')
+                .delete()
+                .eq('chat_id', chatId.toString());
+
+            if (error) throw error;
+            console.log('📦 Digest subscription removed from Supabase:', chatId);
+            return true;
+        } catch (error) {
+            console.error('Error removing digest subscription:', error);
+            return false;
+        }
+    }
+
+    // Tokens already listed (new listing detection)
+    async getKnownTokens() {
+        try {
+            const { data, error } = await supabase
+                .from('known_tokens')
+                .select('*');
+
+            if (error) throw error;
+            console.log('📦 Known tokens retrieved from Supabase');
+            return data.map(row => ({
+                poolAddress: row.pool_address,
+                ticker: row.ticker,
+                firstSeenAt: row.first_seen_at
+            }));
+        } catch (error) {
+            console.error('Error getting known tokens:', error);
+            return [];
+        }
+    }
+
+    async addKnownTokens(tokens) {
+        try {
+            const { error } = await supabase
+                .from('known_tokens')
+                .upsert(tokens.map(token => ({
+                    pool_address: token.poolAddress.toLowerCase(),
+                    ticker: token.ticker,
+                    first_seen_at: token.firstSeenAt
+                })), { ignoreDuplicates: true });
+
+            if (error) throw error;
+            console.log('📦 Known tokens saved to Supabase:', tokens.length);
+            return true;
+        } catch (error) {
+            console.error('Error saving known tokens:', error);
+            return false;
+        }
+    }
+
+    // Chats subscribed to new listing announcements
+    async getListingSubscribers() {
+        try {
+            const { data, error } = await supabase
+                .from('listing_subscribers')
+                .select('*');
+
+            if (error) throw error;
+            console.log('📦 Listing subscribers retrieved from Supabase');
+            return data.map(row => ({
+                chatId: row.chat_id,
+                subscribedBy: row.subscribed_by,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Error getting listing subscribers:', error);
+            return [];
+        }
+    }
+
+    async addListingSubscriber(subscriber) {
+        try {
+            const { error } = await supabase
+                .from('listing_subscribers')
+                .upsert({
+                    chat_id: subscriber.chatId.toString(),
+                    subscribed_by: subscriber.subscribedBy,
+                    created_at: subscriber.createdAt
+                });
+
+            if (error) throw error;
+            console.log('📦 Listing subscriber saved to Supabase:', subscriber.chatId);
+            return true;
+        } catch (error) {
+            console.error('Error adding listing subscriber:', error);
+            return false;
+        }
+    }
+
+    async removeListingSubscriber(chatId) {
+        try {
+            const { error } = await supabase
+                .from('listing_subscribers')
+                .delete()
+                .eq('chat_id', chatId.toString());
+
+            if (error) throw error;
+            console.log('📦 Listing subscriber removed from Supabase:', chatId);
+            return true;
+        } catch (error) {
+            console.error('Error removing listing subscriber:', error);
+            return false;
+        }
+    }
 }
 
 module.exports = new SupabaseService(); 
\ No newline at end of file
@@ -0,0 +1,359 @@
+// Bucket sizes in ms by resolution
+const RESOLUTIONS = {
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+// Candle sizes in ms supported by candle queries
+const CANDLE_RESOLUTIONS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+// Default retention in ms by tier (0 keeps data forever)
+const DEFAULT_RETENTION = {
+    raw: 6 * 60 * 60 * 1000,
+    '5m': 7 * 24 * 60 * 60 * 1000,
+    '1h': 90 * 24 * 60 * 60 * 1000,
+    '1d': 0
+};
+
+/**
+ * Time-series store for price history
+ * Keeps raw points for recent data and rolls every point into 5m/1h/1d OHLC buckets
+ */
+class TimeSeriesStore {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.retention - Retention in ms by tier (raw, 5m, 1h, 1d)
+     */
+    constructor(options = {}) {
+        this.retention = { ...DEFAULT_RETENTION, ...options.retention };
+        this.series = new Map();
+    }
+
+    /**
+     * Get the bucket start for a time
+     * @param {number} time - Timestamp in ms
+     * @param {string} resolution - Bucket resolution
+     * @returns {number} Bucket start timestamp
+     */
+    static bucketStart(time, resolution) {
+        return Math.floor(time / RESOLUTIONS[resolution]) * RESOLUTIONS[resolution];
+    }
+
+    /**
+     * Aggregate points into OHLC buckets
+     * @param {Array} points - Points ({ time, price, volume }) sorted by time ascending
+     * @param {string} resolution - Bucket resolution (5m, 1h, 1d)
+     * @returns {Array} Buckets ({ t, o, h, l, c, v }) sorted by time ascending
+     */
+    static aggregate(points, resolution) {
+        const buckets = [];
+        for (const point of points) {
+            TimeSeriesStore.addToBuckets(buckets, point, resolution);
+        }
+        return buckets;
+    }
+
+    /**
+     * Add a point to a bucket list
+     * @param {Array} buckets - Buckets sorted by time ascending
+     * @param {Object} point - Point ({ time, price, volume })
+     * @param {string} resolution - Bucket resolution
+     */
+    static addToBuckets(buckets, point, resolution) {
+        const start = TimeSeriesStore.bucketStart(point.time, resolution);
+        const last = buckets[buckets.length - 1];
+
+        if (last && last.t === start) {
+            last.h = Math.max(last.h, point.price);
+            last.l = Math.min(last.l, point.price);
+            last.c = point.price;
+            last.v = point.volume;
+        } else if (!last || last.t < start) {
+            buckets.push({ t: start, o: point.price, h: point.price, l: point.price, c: point.price, v: point.volume });
+        }
+        // Points older than the last bucket are ignored
+    }
+
+    /**
+     * Get or create the series of a key
+     * @param {string} key - Series key (pool address)
+     * @returns {Object} Series with raw points and buckets by resolution
+     */
+    getSeries(key) {
+        if (!this.series.has(key)) {
+            this.series.set(key, { raw: [], '5m': [], '1h': [], '1d': [] });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * Add a point to a series
+     * @param {string} key - Series key (pool address)
+     * @param {Object} point - Point ({ time, price, volume })
+     */
+    add(key, { time = Date.now(), price, volume = 0 }) {
+        const series = this.getSeries(key);
+        const last = series.raw[series.raw.length - 1];
+        if (last && last.t > time) return;
+
+        series.raw.push({ t: time, p: price, v: volume });
+        for (const resolution of Object.keys(RESOLUTIONS)) {
+            TimeSeriesStore.addToBuckets(series[resolution], { time, price, volume }, resolution);
+        }
+    }
+
+    /**
+     * Resolve the finest resolution that still holds data from a given time
+     * @param {number} from - Timestamp in ms
+     * @returns {string} Resolution (raw, 5m, 1h, 1d)
+     */
+    resolveResolution(from) {
+        return TimeSeriesStore.resolutionForRange(from, this.retention);
+    }
+
+    /**
+     * Resolve the finest resolution whose retention covers a range start
+     * @param {number} from - Timestamp in ms
+     * @param {Object} retention - Retention in ms by tier
+     * @returns {string} Resolution (raw, 5m, 1h, 1d)
+     */
+    static resolutionForRange(from, retention = DEFAULT_RETENTION) {
+        if (!from) return 'raw';
+        return ['raw', ...Object.keys(RESOLUTIONS)]
+            .find(tier => !retention[tier] || from >= Date.now() - retention[tier]) || '1d';
+    }
+
+    /**
+     * Percentage change between two prices
+     * @param {number} oldValue - Price at the start
+     * @param {number} newValue - Price at the end
+     * @returns {number|null} Change in percent, or null if a price is missing
+     */
+    static percentChange(oldValue, newValue) {
+        if (!oldValue || !newValue) return null;
+        return (newValue - oldValue) / oldValue * 100;
+    }
+
+    /**
+     * Format a stored point or bucket as a history entry
+     * @param {Object} point - Raw point ({ t, p, v }) or bucket ({ t, o, h, l, c, v })
+     * @returns {Object} History entry ({ price, open, high, low, volume_24h, updated_at })
+     */
+    static formatPoint(point) {
+        const isBucket = point.c !== undefined;
+        return {
+            price: isBucket ? point.c : point.p,
+            open: isBucket ? point.o : point.p,
+            high: isBucket ? point.h : point.p,
+            low: isBucket ? point.l : point.p,
+            volume_24h: point.v,
+            updated_at: new Date(point.t).toISOString()
+        };
+    }
+
+    /**
+     * Query a series
+     * @param {string} key - Series key (pool address)
+     * @param {Object} options - Query options
+     * @param {number} options.from - Start timestamp in ms
+     * @param {number} options.to - End timestamp in ms
+     * @param {string} options.resolution - raw, 5m, 1h, 1d or auto
+     * @param {number} options.limit - Maximum number of points (newest kept)
+     * @returns {Array} Points newest first ({ price, open, high, low, volume_24h, updated_at })
+     */
+    query(key, { from, to, resolution = 'auto', limit } = {}) {
+        const series = this.series.get(key);
+        if (!series) return [];
+
+        const tier = resolution === 'auto' || !series[resolution] ? this.resolveResolution(from) : resolution;
+        const points = series[tier]
+            .filter(p => (!from || p.t >= TimeSeriesStore.floor(from, tier)) && (!to || p.t <= to))
+            .map(TimeSeriesStore.formatPoint)
+            .reverse();
+
+        return limit ? points.slice(0, limit) : points;
+    }
+
+    /**
+     * Get the first point of a period: the last one at or before its start, at most one bucket
+     * earlier (5 minutes for raw points). Series starting after the period began have none, so
+     * a change is never reported over a shorter period than asked
+     * @param {string} key - Series key (pool address)
+     * @param {number} from - Start timestamp in ms
+     * @returns {Object|null} History entry ({ price, open, high, low, volume_24h, updated_at }) or null
+     */
+    first(key, from) {
+        const series = this.series.get(key);
+        if (!series) return null;
+
+        const tier = this.resolveResolution(from);
+        const size = RESOLUTIONS[tier] || RESOLUTIONS['5m'];
+        const points = series[tier];
+        for (let i = points.length - 1; i >= 0; i--) {
+            if (points[i].t <= from) {
+                return points[i].t > from - size ? TimeSeriesStore.formatPoint(points[i]) : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Merge raw points or buckets into candles of a given size
+     * @param {Array} entries - Raw points ({ t, p, v }) or buckets ({ t, o, h, l, c, v }) sorted by time ascending
+     * @param {number} size - Candle size in ms
+     * @returns {Array} Candles ({ time, open, high, low, close, volume }) sorted by time ascending
+     */
+    static toCandles(entries, size) {
+        const buckets = [];
+        for (const entry of entries) {
+            const bucket = entry.c !== undefined ? entry :
+                { t: entry.t, o: entry.p, h: entry.p, l: entry.p, c: entry.p, v: entry.v };
+            const start = Math.floor(bucket.t / size) * size;
+            const last = buckets[buckets.length - 1];
+
+            if (last && last.t === start) {
+                last.h = Math.max(last.h, bucket.h);
+                last.l = Math.min(last.l, bucket.l);
+                last.c = bucket.c;
+                last.v = bucket.v;
+            } else {
+                buckets.push({ ...bucket, t: start });
+            }
+        }
+
+        return buckets.map(b => ({
+            time: new Date(b.t).toISOString(),
+            open: b.o,
+            high: b.h,
+            low: b.l,
+            close: b.c,
+            volume: b.v
+        }));
+    }
+
+    /**
+     * Get OHLCV candles of a series
+     * Candles are built from the finest stored tier that covers the range and fits the candle size
+     * @param {string} key - Series key (pool address)
+     * @param {string} resolution - Candle resolution (1m, 5m, 15m, 1h, 4h, 1d)
+     * @param {number} from - Start timestamp in ms
+     * @param {number} to - End timestamp in ms
+     * @returns {Array} Candles ({ time, open, high, low, close, volume }) sorted by time ascending
+     * @throws {Error} If resolution is not supported
+     */
+    candles(key, resolution, from, to) {
+        const size = CANDLE_RESOLUTIONS[resolution];
+        if (!size) {
+            throw new Error(`Invalid resolution: ${resolution}`);
+        }
+
+        const series = this.series.get(key);
+        if (!series) return [];
+
+        const tiers = ['raw', ...Object.keys(RESOLUTIONS)]
+            .filter(tier => tier === 'raw' || size % RESOLUTIONS[tier] === 0);
+        const tier = tiers.find(tier => !this.retention[tier] || from >= Date.now() - this.retention[tier]) ||
+            tiers[tiers.length - 1];
+        const start = Math.floor(from / size) * size;
+
+        return TimeSeriesStore.toCandles(series[tier].filter(p => p.t >= start && p.t <= to), size);
+    }
+
+    /**
+     * Align a start time to the bucket containing it
+     * @param {number} time - Timestamp in ms
+     * @param {string} tier - Tier (raw, 5m, 1h, 1d)
+     * @returns {number} Aligned timestamp
+     */
+    static floor(time, tier) {
+        return tier === 'raw' ? time : TimeSeriesStore.bucketStart(time, tier);
+    }
+
+    /**
+     * Delete a series
+     * @param {string} key - Series key (pool address)
+     */
+    delete(key) {
+        return this.series.delete(key);
+    }
+
+    /**
+     * Drop points past their tier retention
+     * @param {number} now - Current timestamp in ms
+     */
+    compact(now = Date.now()) {
+        for (const [key, series] of this.series) {
+            for (const tier of Object.keys(series)) {
+                const retention = this.retention[tier];
+                if (!retention) continue;
+                const cutoff = now - retention - (RESOLUTIONS[tier] || 0);
+                series[tier] = series[tier].filter(p => p.t >= cutoff);
+            }
+            if (!series['1d'].length && !series.raw.length) {
+                this.series.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Serialize the store (compact tuples)
+     * @returns {Object} Serialized series by key
+     */
+    toJSON() {
+        const data = {};
+        for (const [key, series] of this.series) {
+            data[key] = {
+                raw: series.raw.map(p => [p.t, p.p, p.v]),
+                ...Object.fromEntries(Object.keys(RESOLUTIONS).map(resolution => ([
+                    resolution,
+                    series[resolution].map(b => [b.t, b.o, b.h, b.l, b.c, b.v])
+                ])))
+            };
+        }
+        return data;
+    }
+
+    /**
+     * Load serialized data
+     * Legacy history arrays ({ price, updated_at } newest first) are migrated
+     * @param {Object} data - Serialized series by key
+     */
+    load(data) {
+        this.series = new Map();
+        for (const [key, value] of Object.entries(data || {})) {
+            if (Array.isArray(value)) {
+                value
+                    .map(h => ({
+                        time: new Date(h.updated_at).getTime(),
+                        price: parseFloat(h.price),
+                        volume: parseFloat(h.volume_24h) || 0
+                    }))
+                    .sort((a, b) => a.time - b.time)
+                    .forEach(point => this.add(key, point));
+                continue;
+            }
+
+            this.series.set(key, {
+                raw: (value.raw || []).map(([t, p, v]) => ({ t, p, v })),
+                ...Object.fromEntries(Object.keys(RESOLUTIONS).map(resolution => ([
+                    resolution,
+                    (value[resolution] || []).map(([t, o, h, l, c, v]) => ({ t, o, h, l, c, v }))
+                ])))
+            });
+        }
+        this.compact();
+    }
+}
+
+TimeSeriesStore.RESOLUTIONS = RESOLUTIONS;
+TimeSeriesStore.CANDLE_RESOLUTIONS = CANDLE_RESOLUTIONS;
+
+module.exports = TimeSeriesStore;
@@ -0,0 +1,137 @@
+const metrics = require('./metrics');
+
+metrics.counter('bot_token_catalog_refreshes_total', 'Token catalog refreshes by result');
+metrics.gauge('bot_token_catalog_age_seconds', 'Age of the cached token catalog');
+metrics.gauge('bot_token_catalog_size', 'Tokens in the cached catalog');
+
+/**
+ * Cached token catalog
+ * Serves the cached list while fresh, returns stale data while refreshing in the
+ * background, and shares a single in-flight refresh between concurrent callers
+ */
+class TokenCatalog {
+    constructor(options = {}) {
+        this.ttl = options.ttl || 60 * 1000; // Fresh for 1 minute
+        this.maxStale = options.maxStale || 10 * 60 * 1000; // Stale data served up to 10 minutes
+
+        this.loader = null;
+        this.tokens = null;
+        this.updatedAt = 0;
+        this.pending = null;
+        this.lastError = null;
+        this.generation = 0; // Bumped on invalidate so older refreshes are discarded
+
+        metrics.collect(() => {
+            metrics.set('bot_token_catalog_age_seconds', {},
+                this.updatedAt ? Math.round((Date.now() - this.updatedAt) / 1000) : 0);
+            metrics.set('bot_token_catalog_size', {}, this.tokens?.length || 0);
+        });
+    }
+
+    /**
+     * Register the function that builds the token list
+     * @param {Function} loader - Async function returning the tokens
+     * @throws {Error} If loader is not a function
+     */
+    setLoader(loader) {
+        if (typeof loader !== 'function') {
+            throw new Error('Loader must be a function');
+        }
+        this.loader = loader;
+    }
+
+    /**
+     * Get the token list
+     * @returns {Array} Tokens (empty if they could never be loaded)
+     */
+    async get() {
+        const age = Date.now() - this.updatedAt;
+
+        if (this.tokens && age < this.ttl) {
+            return this.tokens;
+        }
+
+        // Stale-while-revalidate
+        if (this.tokens && age < this.maxStale) {
+            this.refresh().catch(() => {});
+            return this.tokens;
+        }
+
+        try {
+            return await this.refresh();
+        } catch (error) {
+            return this.tokens || [];
+        }
+    }
+
+    /**
+     * Rebuild the token list, sharing the refresh already in progress
+     * @returns {Array} Tokens
+     * @throws {Error} If the loader fails
+     */
+    refresh() {
+        if (!this.loader) {
+            return Promise.reject(new Error('Token catalog loader not set'));
+        }
+
+        if (!this.pending) {
+            const generation = this.generation;
+            const request = this.loader()
+                .then(tokens => {
+                    if (generation === this.generation) {
+                        this.tokens = tokens;
+                        this.updatedAt = Date.now();
+                    }
+                    this.lastError = null;
+                    metrics.inc('bot_token_catalog_refreshes_total', { result: 'success' });
+                    return tokens;
+                })
+                .catch(error => {
+                    console.error('Error refreshing token catalog:', error);
+                    this.lastError = error.message;
+                    metrics.inc('bot_token_catalog_refreshes_total', { result: 'error' });
+                    throw error;
+                })
+                .finally(() => {
+                    if (this.pending === request) {
+                        this.pending = null;
+                    }
+                });
+            this.pending = request;
+        }
+
+        return this.pending;
+    }
+
+    /**
+     * Drop the cached list so the next call waits for fresh data
+     * Used after changes that alter the list (admin token commands)
+     */
+    invalidate() {
+        this.tokens = null;
+        this.updatedAt = 0;
+        this.pending = null;
+        this.generation++;
+    }
+
+    /**
+     * Get current cache status
+     * @returns {Object} Catalog status
+     */
+    getStatus() {
+        return {
+            size: this.tokens?.length || 0,
+            updatedAt: this.updatedAt || null,
+            refreshing: !!this.pending,
+            lastError: this.lastError
+        };
+    }
+}
+
+const ttl = parseInt(process.env.TOKEN_CACHE_TTL);
+const maxStale = parseInt(process.env.TOKEN_CACHE_MAX_STALE);
+
+module.exports = new TokenCatalog({
+    ttl: ttl > 0 ? ttl * 1000 : undefined,
+    maxStale: maxStale > 0 ? maxStale * 1000 : undefined
+});
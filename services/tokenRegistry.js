@@ -0,0 +1,265 @@
+const fs = require('fs').promises;
+const path = require('path');
+const fetch = require('node-fetch');
+const yaml = require('js-yaml');
+const storage = require('./storage');
+
+// Dreampot (daos.world) funds collection, used when no registry source is configured
+const DEFAULT_POCKETBASE = {
+    url: 'https://api.dreampot.xyz',
+    collection: 'Fund',
+    filter: 'upcoming = false && visible = true'
+};
+
+// Dreampot fund fields by registry field
+const DEFAULT_FIELDS = {
+    name: 'name',
+    ticker: 'ticker',
+    address: 'address',
+    poolAddress: 'uniswapv3pool',
+    creator: 'creatorTwitter',
+    telegram: 'telegram',
+    createdAt: 'created'
+};
+
+// Token fields admins can override
+const META_FIELDS = ['name', 'ticker', 'creator', 'telegram'];
+
+/**
+ * Registry of tracked tokens
+ * Merges paginated PocketBase collections, a local JSON/YAML token list and
+ * admin-added custom tokens, deduplicated by pool address (first source wins).
+ * Admin overrides hide tokens or replace their metadata
+ */
+class TokenRegistry {
+    constructor(options = {}) {
+        this.pocketbase = options.pocketbase || DEFAULT_POCKETBASE;
+        this.fields = { ...DEFAULT_FIELDS, ...options.fields };
+        this.perPage = options.perPage || 200;
+        this.maxPages = options.maxPages || 50;
+        this.tokenListFile = options.tokenListFile || null;
+        this.sources = options.sources || ['pocketbase', 'file', 'custom']; // Priority order
+        this.metaFields = META_FIELDS;
+    }
+
+    /**
+     * Normalize a token entry, dropping entries without required data
+     * @param {Object} entry - Token entry
+     * @param {string} source - Source name
+     * @returns {Object|null} Token ({ name, ticker, address, poolAddress, creator, telegram, createdAt, source })
+     */
+    normalize(entry, source) {
+        if (!entry?.poolAddress || !entry.name || !entry.ticker || !entry.address) {
+            console.warn(`Token with incomplete data from ${source}:`, entry);
+            return null;
+        }
+
+        return {
+            name: String(entry.name),
+            ticker: String(entry.ticker),
+            address: String(entry.address),
+            poolAddress: String(entry.poolAddress),
+            creator: entry.creator || 'N/A',
+            telegram: entry.telegram || '',
+            createdAt: entry.createdAt || null, // Creation time in the source, when it has one
+            source
+        };
+    }
+
+    /**
+     * Fetch every page of a PocketBase collection
+     * @returns {Array} Tokens
+     * @throws {Error} On API errors
+     */
+    async fetchPocketBase() {
+        const { url, collection, filter } = this.pocketbase;
+        const items = [];
+
+        for (let page = 1; page <= this.maxPages; page++) {
+            const params = new URLSearchParams({
+                page: String(page),
+                perPage: String(this.perPage),
+                skipTotal: '1'
+            });
+            if (filter) params.set('filter', filter);
+
+            const response = await fetch(`${url}/api/collections/${collection}/records?${params}`);
+            if (!response.ok) {
+                throw new Error(`API Error: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (!data || !Array.isArray(data.items)) {
+                console.error('Error: Invalid API data:', data);
+                break;
+            }
+
+            items.push(...data.items);
+            if (data.items.length < this.perPage) break;
+        }
+
+        return items
+            .filter(item => item.visible !== false)
+            .map(item => this.normalize(
+                Object.fromEntries(Object.entries(this.fields).map(([field, key]) => [field, item[key]])),
+                'pocketbase'
+            ));
+    }
+
+    /**
+     * Read the local token list file (JSON or YAML)
+     * The file holds an array of tokens, or an object with a `tokens` array
+     * @returns {Array} Tokens
+     * @throws {Error} If the file cannot be read or parsed
+     */
+    async readTokenListFile() {
+        if (!this.tokenListFile) return [];
+
+        const content = await fs.readFile(this.tokenListFile, 'utf8');
+        const data = /\.ya?ml$/i.test(this.tokenListFile) ? yaml.load(content) : JSON.parse(content);
+        const tokens = Array.isArray(data) ? data : data?.tokens || [];
+
+        return tokens.map(token => this.normalize(token, 'file'));
+    }
+
+    /**
+     * Get tokens added by admins
+     * @returns {Array} Tokens
+     */
+    async getCustomTokens() {
+        const tokens = await storage.getCustomTokens();
+        return tokens.map(token => this.normalize(token, 'custom'));
+    }
+
+    /**
+     * Add a token tracked only through the bot
+     * @param {Object} token - Token ({ name, ticker, address, poolAddress })
+     * @param {string} userId - Admin who added it
+     * @returns {boolean} True if saved
+     */
+    async addCustomToken(token, userId) {
+        return storage.addCustomToken({
+            poolAddress: token.poolAddress,
+            address: token.address,
+            ticker: token.ticker,
+            name: token.name,
+            creator: token.creator || 'N/A',
+            telegram: token.telegram || '',
+            addedBy: userId.toString(),
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Update the override of a pool
+     * @param {string} poolAddress - Pool address
+     * @param {Function} update - Receives the current override and returns the changes
+     * @param {string} userId - Admin making the change
+     * @returns {boolean} True if saved
+     */
+    async updateOverride(poolAddress, update, userId) {
+        const overrides = await storage.getTokenOverrides();
+        const current = overrides.find(o => o.poolAddress.toLowerCase() === poolAddress.toLowerCase()) ||
+            { poolAddress, hidden: false, meta: {} };
+
+        return storage.saveTokenOverride({
+            ...current,
+            ...update(current),
+            updatedBy: userId.toString(),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Hide or show a token in every listing
+     * @param {string} poolAddress - Pool address
+     * @param {boolean} hidden - Hidden flag
+     * @param {string} userId - Admin making the change
+     * @returns {boolean} True if saved
+     */
+    async setHidden(poolAddress, hidden, userId) {
+        return this.updateOverride(poolAddress, () => ({ hidden }), userId);
+    }
+
+    /**
+     * Override a metadata field of a token
+     * @param {string} poolAddress - Pool address
+     * @param {string} field - Field (name, ticker, creator, telegram)
+     * @param {string|null} value - New value, or null to restore the source value
+     * @param {string} userId - Admin making the change
+     * @returns {boolean} True if saved
+     * @throws {Error} If the field cannot be overridden
+     */
+    async setMeta(poolAddress, field, value, userId) {
+        if (!this.metaFields.includes(field)) {
+            throw new Error(`Invalid field: ${field}`);
+        }
+
+        return this.updateOverride(poolAddress, current => {
+            const meta = { ...current.meta };
+            if (value === null) {
+                delete meta[field];
+            } else {
+                meta[field] = field === 'ticker' ? value.toUpperCase() : value;
+            }
+            return { meta };
+        }, userId);
+    }
+
+    /**
+     * Get every tracked token
+     * A failing source is logged and skipped so the others are still listed
+     * @param {Object} options - Options
+     * @param {boolean} options.includeHidden - Include tokens hidden by admins (flagged with `hidden`)
+     * @returns {Array} Tokens deduplicated by pool address, with admin overrides applied
+     */
+    async getTokens({ includeHidden = false } = {}) {
+        const sources = {
+            pocketbase: () => this.fetchPocketBase(),
+            file: () => this.readTokenListFile(),
+            custom: () => this.getCustomTokens()
+        };
+
+        const results = await Promise.all(this.sources.filter(name => sources[name]).map(async name => {
+            try {
+                return await sources[name]();
+            } catch (error) {
+                console.error(`Error loading tokens from ${name}:`, error.message);
+                return [];
+            }
+        }));
+
+        const tokens = new Map();
+        for (const token of results.flat()) {
+            const key = token?.poolAddress.toLowerCase();
+            if (token && !tokens.has(key)) {
+                tokens.set(key, token);
+            }
+        }
+
+        // Apply admin overrides
+        const overrides = new Map(
+            (await storage.getTokenOverrides()).map(o => [o.poolAddress.toLowerCase(), o])
+        );
+
+        return Array.from(tokens.entries())
+            .map(([key, token]) => {
+                const override = overrides.get(key);
+                if (!override) return { ...token, hidden: false };
+                return { ...token, ...override.meta, hidden: !!override.hidden };
+            })
+            .filter(token => includeHidden || !token.hidden);
+    }
+}
+
+module.exports = new TokenRegistry({
+    pocketbase: process.env.POCKETBASE_URL ? {
+        url: process.env.POCKETBASE_URL.replace(/\/+$/, ''),
+        collection: process.env.POCKETBASE_COLLECTION || DEFAULT_POCKETBASE.collection,
+        filter: process.env.POCKETBASE_FILTER ?? DEFAULT_POCKETBASE.filter
+    } : undefined,
+    tokenListFile: process.env.TOKEN_LIST_FILE ? path.resolve(process.env.TOKEN_LIST_FILE) : null,
+    sources: process.env.TOKEN_SOURCES
+        ? process.env.TOKEN_SOURCES.split(',').map(name => name.trim().toLowerCase())
+        : undefined
+});
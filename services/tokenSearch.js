@@ -0,0 +1,159 @@
+// Typos tolerated by query length: none below 3 characters, 1 up to 5, then 2
+const TYPO_THRESHOLDS = [[6, 2], [3, 1]];
+
+/**
+ * Token search over the token list: ticker, name, contract and pool address,
+ * case-insensitive and tolerant to typos
+ */
+class TokenSearchService {
+    constructor({ maxSuggestions = 5 } = {}) {
+        this.maxSuggestions = maxSuggestions;
+    }
+
+    normalize(value) {
+        return String(value || '').trim().toLowerCase();
+    }
+
+    /**
+     * Typos tolerated for a query
+     * @param {string} query - Normalized query
+     * @returns {number} Maximum edit distance
+     */
+    maxTypos(query) {
+        const threshold = TYPO_THRESHOLDS.find(([length]) => query.length >= length);
+        return threshold ? threshold[1] : 0;
+    }
+
+    /**
+     * Edit distance between two strings, counting a swap of adjacent letters as one edit
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} max - Stop early once the distance is over this value
+     * @returns {number} Edit distance (max + 1 if over max)
+     */
+    distance(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+        return row[b.length];
+    }
+
+    /**
+     * Whether a query identifies a token exactly (ticker, name, contract or pool address)
+     * @param {Object} token - Token
+     * @param {string} query - Normalized query
+     * @param {boolean} names - Whether the name counts
+     * @returns {boolean}
+     */
+    isExact(token, query, names = true) {
+        return [token.ticker, token.address, token.poolAddress, names ? token.name : null]
+            .some(value => value && this.normalize(value) === query);
+    }
+
+    /**
+     * Score how well a token matches a query (0 = no match)
+     * Exact ticker or address first, then prefixes, words and substrings of the ticker and name,
+     * typos in the ticker or a name word, and last names containing the letters of the query
+     * in order ("alcmst" finds "Alchemist")
+     * @param {Object} token - Token
+     * @param {string} query - Normalized query
+     * @returns {number} Score
+     */
+    score(token, query) {
+        const ticker = this.normalize(token.ticker);
+        const name = this.normalize(token.name);
+        const addresses = [this.normalize(token.address), this.normalize(token.poolAddress)];
+
+        if (ticker === query || addresses.includes(query)) return 100;
+        if (name === query) return 90;
+        if (ticker.startsWith(query)) return 80;
+        // Partial addresses need a few hex digits to mean something
+        if (/^0x[0-9a-f]{4,}$/.test(query) && addresses.some(address => address.startsWith(query))) return 75;
+        if (name.startsWith(query)) return 70;
+
+        const words = name.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        if (words.some(word => word.startsWith(query))) return 60;
+        if (ticker.includes(query) || name.includes(query)) return 50;
+
+        const maxTypos = this.maxTypos(query);
+        if (maxTypos > 0) {
+            const tickerTypos = this.distance(query, ticker, maxTypos);
+            if (tickerTypos <= maxTypos) return 40 - tickerTypos;
+
+            const nameTypos = Math.min(...[name, ...words].map(word => this.distance(query, word, maxTypos)));
+            if (nameTypos <= maxTypos) return 30 - nameTypos;
+        }
+
+        let position = 0;
+        for (const char of name) {
+            if (char === query[position]) position++;
+            if (position === query.length) return 10;
+        }
+        return 0;
+    }
+
+    /**
+     * Search tokens, best matches first (ties keep the list order)
+     * @param {Array} tokens - Tokens to search
+     * @param {string} query - Search text
+     * @param {number} limit - Maximum results
+     * @returns {Array} Matching tokens
+     */
+    search(tokens, query, limit = Infinity) {
+        const normalized = this.normalize(query);
+        if (!normalized) return tokens.slice(0, limit);
+
+        return tokens
+            .map(token => ({ token, score: this.score(token, normalized) }))
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(item => item.token);
+    }
+
+    /**
+     * Resolve a query to a single token
+     * @param {Array} tokens - Tokens to search
+     * @param {string} query - Ticker, name, contract or pool address
+     * @param {Object} options - names: whether names match (false for plain chat messages)
+     * @returns {Object} { token, ambiguous, matches } - token if the query identifies exactly one;
+     * otherwise the tokens sharing the ticker or name (ambiguous) or the closest suggestions
+     */
+    resolve(tokens, query, { names = true } = {}) {
+        const normalized = this.normalize(query);
+        const exact = normalized ? tokens.filter(token => this.isExact(token, normalized, names)) : [];
+
+        if (exact.length === 1) {
+            return { token: exact[0], ambiguous: false, matches: exact };
+        }
+        if (exact.length > 1) {
+            return { token: null, ambiguous: true, matches: exact };
+        }
+        return {
+            token: null,
+            ambiguous: false,
+            matches: normalized ? this.search(tokens, normalized, this.maxSuggestions) : []
+        };
+    }
+}
+
+module.exports = new TokenSearchService({
+    maxSuggestions: 5
+});
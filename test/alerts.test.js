@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Alert rules are pure: keep the storage backends (and their timers) out of the test
+const storagePath = require.resolve('../services/storage');
+const storage = {};
+require.cache[storagePath] = { id: storagePath, filename: storagePath, loaded: true, exports: storage };
+const alertService = require('../services/alerts');
+
+test('parses price thresholds', () => {
+    assert.deepStrictEqual(alertService.parseRule(['above', '0.5']), { type: 'above', target: 0.5, windowMinutes: null });
+    assert.deepStrictEqual(alertService.parseRule(['BELOW', '$2']), { type: 'below', target: 2, windowMinutes: null });
+    assert.strictEqual(alertService.parseRule(['above']), null);
+    assert.strictEqual(alertService.parseRule(['above', '-1']), null);
+});
+
+test('parses percent moves with an optional window', () => {
+    assert.deepStrictEqual(alertService.parseRule(['+10%']), { type: 'up', target: 10, windowMinutes: 60 });
+    assert.deepStrictEqual(alertService.parseRule(['-5%', '30m']), { type: 'down', target: 5, windowMinutes: 30 });
+    assert.deepStrictEqual(alertService.parseRule(['2.5%', '1d']), { type: 'move', target: 2.5, windowMinutes: 1440 });
+});
+
+test('rejects invalid rules and windows', () => {
+    assert.strictEqual(alertService.parseRule([]), null);
+    assert.strictEqual(alertService.parseRule(['sideways', '1']), null);
+    assert.strictEqual(alertService.parseRule(['0%']), null);
+    assert.strictEqual(alertService.parseRule(['+10%', '2w']), null);
+    assert.strictEqual(alertService.parseRule(['+10%', '2d']), null); // Longer than 24 hours
+});
+
+test('detects thresholds already met', () => {
+    assert.strictEqual(alertService.isMet({ type: 'above', target: 1 }, 1), true);
+    assert.strictEqual(alertService.isMet({ type: 'above', target: 1 }, 0.9), false);
+    assert.strictEqual(alertService.isMet({ type: 'below', target: 1 }, 0.5), true);
+    assert.strictEqual(alertService.isMet({ type: 'below', target: 1 }, 2), false);
+    assert.strictEqual(alertService.isMet({ type: 'up', target: 10 }, 5), false);
+    assert.strictEqual(alertService.isMet({ type: 'above', target: 1 }, null), false);
+});
+
+test('notifies a triggered alert once across concurrent checks', async () => {
+    const alerts = new Map([['a1', { id: 'a1', type: 'above', target: 1 }]]);
+    storage.getPoolAlerts = async () => [...alerts.values()];
+    storage.removeAlert = async id => alerts.delete(id);
+
+    const results = await Promise.all([
+        alertService.checkAlerts('0xpool', 2),
+        alertService.checkAlerts('0xpool', 2)
+    ]);
+    assert.strictEqual(results.flat().length, 1);
+});
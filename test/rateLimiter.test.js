@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../services/rateLimiter');
+
+test('backs off exponentially with jitter up to the maximum', () => {
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const delay = Math.min(10000, 500 * 2 ** attempt);
+        const value = RateLimiter.backoff(attempt, { base: 500, max: 10000 });
+        assert.ok(value >= delay / 2 && value <= delay, `${value} not in [${delay / 2}, ${delay}]`);
+    }
+});
+
+test('parses Retry-After seconds and dates', () => {
+    assert.strictEqual(RateLimiter.parseRetryAfter('3'), 3000);
+    assert.strictEqual(RateLimiter.parseRetryAfter(null), 0);
+    assert.strictEqual(RateLimiter.parseRetryAfter('soon'), 0);
+    const delay = RateLimiter.parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    assert.ok(delay > 3000 && delay <= 5000);
+});
+
+test('caps concurrency and runs tasks in order', async () => {
+    const limiter = new RateLimiter({ rate: 100, concurrency: 2 });
+    const order = [];
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => limiter.schedule(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        order.push(n);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running--;
+        return n * 2;
+    })));
+
+    assert.deepStrictEqual(results, [2, 4, 6, 8, 10]);
+    assert.deepStrictEqual(order, [1, 2, 3, 4, 5]);
+    assert.strictEqual(maxRunning, 2);
+});
+
+test('waits for tokens once the burst is spent', async () => {
+    const limiter = new RateLimiter({ rate: 2, interval: 100 });
+    const start = Date.now();
+    await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => {})));
+    assert.ok(Date.now() - start >= 40);
+});
+
+test('propagates task errors', async () => {
+    const limiter = new RateLimiter();
+    await assert.rejects(limiter.schedule(async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(limiter.getStatus().active, 0);
+});
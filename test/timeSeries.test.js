@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TimeSeriesStore = require('../services/timeSeries');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+test('rolls raw points into OHLC buckets', () => {
+    const buckets = TimeSeriesStore.aggregate([
+        { time: 0, price: 2, volume: 1 },
+        { time: MINUTE, price: 5, volume: 2 },
+        { time: 2 * MINUTE, price: 1, volume: 3 },
+        { time: 6 * MINUTE, price: 4, volume: 4 }
+    ], '5m');
+
+    assert.deepStrictEqual(buckets, [
+        { t: 0, o: 2, h: 5, l: 1, c: 1, v: 3 },
+        { t: 5 * MINUTE, o: 4, h: 4, l: 4, c: 4, v: 4 }
+    ]);
+});
+
+test('ignores points older than the last one', () => {
+    const store = new TimeSeriesStore();
+    const now = Date.now();
+    store.add('pool', { time: now, price: 1 });
+    store.add('pool', { time: now - MINUTE, price: 2 });
+
+    assert.deepStrictEqual(store.query('pool', { resolution: 'raw' }).map(p => p.price), [1]);
+});
+
+test('serves old ranges from coarser tiers and compacts expired points', () => {
+    const store = new TimeSeriesStore({ retention: { raw: HOUR, '5m': 2 * HOUR } });
+    const now = Date.now();
+    for (let minutes = 180; minutes >= 0; minutes -= 10) {
+        store.add('pool', { time: now - minutes * MINUTE, price: minutes });
+    }
+    store.compact(now);
+
+    const series = store.series.get('pool');
+    assert.ok(series.raw.every(p => p.t >= now - HOUR - MINUTE));
+    assert.ok(series['5m'].every(p => p.t >= now - 2 * HOUR - 5 * MINUTE));
+    assert.strictEqual(series['1h'].length, store.query('pool', { from: now - 3 * HOUR }).length);
+
+    assert.strictEqual(store.resolveResolution(now - 30 * MINUTE), 'raw');
+    assert.strictEqual(store.resolveResolution(now - 90 * MINUTE), '5m');
+    assert.strictEqual(store.resolveResolution(now - 3 * HOUR), '1h');
+});
+
+test('round-trips through JSON and migrates legacy arrays', () => {
+    const store = new TimeSeriesStore();
+    const now = Date.now();
+    store.add('pool', { time: now - MINUTE, price: 1, volume: 10 });
+    store.add('pool', { time: now, price: 2, volume: 20 });
+
+    const copy = new TimeSeriesStore();
+    copy.load(JSON.parse(JSON.stringify(store)));
+    assert.deepStrictEqual(copy.query('pool', { resolution: 'raw' }), store.query('pool', { resolution: 'raw' }));
+
+    const legacy = new TimeSeriesStore();
+    legacy.load({ pool: [
+        { price: '2', volume_24h: '20', updated_at: new Date(now).toISOString() },
+        { price: '1', volume_24h: '10', updated_at: new Date(now - MINUTE).toISOString() }
+    ] });
+    assert.deepStrictEqual(legacy.query('pool', { resolution: 'raw' }).map(p => p.price), [2, 1]);
+});
+
+test('merges points into candles', () => {
+    const candles = TimeSeriesStore.toCandles([
+        { t: 0, p: 1, v: 5 },
+        { t: 20 * MINUTE, p: 3, v: 6 },
+        { t: 40 * MINUTE, p: 2, v: 7 },
+        { t: HOUR, p: 4, v: 8 }
+    ], HOUR);
+
+    assert.deepStrictEqual(candles, [
+        { time: new Date(0).toISOString(), open: 1, high: 3, low: 1, close: 2, volume: 7 },
+        { time: new Date(HOUR).toISOString(), open: 4, high: 4, low: 4, close: 4, volume: 8 }
+    ]);
+});
+
+test('builds candles from the finest tier covering the range', () => {
+    const store = new TimeSeriesStore();
+    const now = Math.floor(Date.now() / HOUR) * HOUR;
+    for (let minutes = 120; minutes > 0; minutes -= 15) {
+        store.add('pool', { time: now - minutes * MINUTE, price: minutes });
+    }
+
+    const candles = store.candles('pool', '1h', now - 2 * HOUR, now);
+    assert.deepStrictEqual(candles.map(c => [c.open, c.high, c.low, c.close]), [[120, 120, 75, 75], [60, 60, 15, 15]]);
+    assert.throws(() => store.candles('pool', '3h', now - HOUR, now), /Invalid resolution/);
+    assert.deepStrictEqual(store.candles('missing', '1h', now - HOUR, now), []);
+});
+
+test('reads the first price of a period only when the history covers its start', () => {
+    const store = new TimeSeriesStore();
+    const now = Date.now();
+    for (let minutes = 60; minutes >= 0; minutes -= 2) {
+        store.add('pool', { time: now - minutes * MINUTE, price: minutes });
+    }
+
+    assert.strictEqual(store.first('pool', now - 31 * MINUTE).price, 32);
+    assert.strictEqual(store.first('pool', now - 30 * MINUTE).price, 30);
+    assert.strictEqual(store.first('pool', now - 61 * MINUTE), null);
+    assert.strictEqual(store.first('pool', now - 2 * HOUR), null);
+    assert.strictEqual(store.first('missing', now), null);
+});
+
+test('computes percentage changes', () => {
+    assert.strictEqual(TimeSeriesStore.percentChange(2, 3), 50);
+    assert.strictEqual(TimeSeriesStore.percentChange(4, 3), -25);
+    assert.strictEqual(TimeSeriesStore.percentChange(0, 3), null);
+    assert.strictEqual(TimeSeriesStore.percentChange(NaN, 3), null);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const tokenSearch = require('../services/tokenSearch');
+
+const TOKENS = [
+    { ticker: 'ALCH', name: 'Alchemist AI', address: '0xa000000000000000000000000000000000000001', poolAddress: '0xb000000000000000000000000000000000000001' },
+    { ticker: 'GEKKO', name: 'Gekko Fund', address: '0xa000000000000000000000000000000000000002', poolAddress: '0xb000000000000000000000000000000000000002' },
+    { ticker: 'OALC', name: 'Other Alchemy', address: '0xa000000000000000000000000000000000000004', poolAddress: '0xb000000000000000000000000000000000000004' },
+    { ticker: 'ALCH', name: 'Alch Copycat', address: '0xa000000000000000000000000000000000000005', poolAddress: '0xb000000000000000000000000000000000000005' }
+];
+
+test('resolves tickers, names and addresses case-insensitively', () => {
+    assert.strictEqual(tokenSearch.resolve(TOKENS, 'gekko').token, TOKENS[1]);
+    assert.strictEqual(tokenSearch.resolve(TOKENS, 'other alchemy').token, TOKENS[2]);
+    assert.strictEqual(tokenSearch.resolve(TOKENS, '0xA000000000000000000000000000000000000004').token, TOKENS[2]);
+    assert.strictEqual(tokenSearch.resolve(TOKENS, '0xb000000000000000000000000000000000000005').token, TOKENS[3]);
+});
+
+test('reports tokens sharing a ticker as ambiguous', () => {
+    const result = tokenSearch.resolve(TOKENS, 'ALCH');
+    assert.strictEqual(result.token, null);
+    assert.strictEqual(result.ambiguous, true);
+    assert.deepStrictEqual(result.matches, [TOKENS[0], TOKENS[3]]);
+});
+
+test('suggests close matches for typos and partial queries', () => {
+    const typo = tokenSearch.resolve(TOKENS, 'gekk0');
+    assert.strictEqual(typo.token, null);
+    assert.strictEqual(typo.ambiguous, false);
+    assert.strictEqual(typo.matches[0], TOKENS[1]);
+
+    assert.deepStrictEqual(tokenSearch.resolve(TOKENS, 'alchemy').matches, [TOKENS[2]]);
+    assert.deepStrictEqual(tokenSearch.resolve(TOKENS, '').matches, []);
+});
+
+test('ignores names when asked to', () => {
+    assert.strictEqual(tokenSearch.resolve(TOKENS, 'gekko fund', { names: false }).token, null);
+    assert.strictEqual(tokenSearch.resolve(TOKENS, 'gekko', { names: false }).token, TOKENS[1]);
+});
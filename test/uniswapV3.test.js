@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const UniswapV3Provider = require('../services/providers/uniswapV3').constructor;
+
+const WETH = '0x4200000000000000000000000000000000000006';
+const USDC = '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913';
+const TOKEN = '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed';
+const POOL = '0x1000000000000000000000000000000000000001';
+const REFERENCE_POOL = '0x2000000000000000000000000000000000000002';
+
+const word = value => BigInt(value).toString(16).padStart(64, '0');
+const address = value => `0x${value.replace(/^0x/, '').padStart(64, '0')}`;
+const string = value => {
+    const hex = Buffer.from(value, 'utf8').toString('hex');
+    return `0x${word(32)}${word(value.length)}${hex.padEnd(Math.ceil(hex.length / 64) * 64 || 64, '0')}`;
+};
+// sqrtPriceX96 for a human price of token0 in token1
+const sqrtPriceX96 = (price, decimals0, decimals1) =>
+    BigInt(Math.round(Math.sqrt(price * 10 ** (decimals1 - decimals0)) * 2 ** 96));
+
+// Contract address -> selector -> return data
+const CONTRACTS = {
+    [POOL]: {
+        '0x0dfe1681': address(TOKEN),
+        '0xd21220a7': address(WETH),
+        '0x3850c7bd': `0x${word(sqrtPriceX96(0.001, 18, 18))}${word(0)}`,
+        '0x1a686502': `0x${word(10n ** 21n)}`
+    },
+    [REFERENCE_POOL]: {
+        '0x0dfe1681': address(WETH),
+        '0xd21220a7': address(USDC),
+        '0x3850c7bd': `0x${word(sqrtPriceX96(2000, 18, 6))}${word(0)}`
+    },
+    [TOKEN]: {
+        '0x313ce567': `0x${word(18)}`,
+        '0x95d89b41': string('TKN'),
+        '0x06fdde03': string('Test Token'),
+        '0x18160ddd': `0x${word(10n ** 27n)}`
+    },
+    [WETH]: {
+        '0x313ce567': `0x${word(18)}`,
+        '0x95d89b41': string('WETH'),
+        '0x06fdde03': string('Wrapped Ether')
+    },
+    [USDC]: {
+        '0x313ce567': `0x${word(6)}`,
+        '0x95d89b41': string('USDC'),
+        '0x06fdde03': string('USD Coin')
+    }
+};
+
+let server;
+let provider;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { id, params: [{ to, data }] } = JSON.parse(body);
+            const result = CONTRACTS[to.toLowerCase()]?.[data.slice(0, 10)] || '0x';
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    provider = new UniswapV3Provider({
+        rpcUrl: `http://127.0.0.1:${server.address().port}`,
+        referencePool: REFERENCE_POOL
+    });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) / expected < 1e-6, `${actual} != ${expected}`);
+
+test('reads price, market cap and liquidity of a WETH pool', async () => {
+    const pool = await provider.getPool(POOL);
+
+    near(pool.price, 2);
+    near(pool.marketCap, 2e9);
+    // L = 1e21, sqrtP = sqrt(0.001): 31622.78 TKN at $2 + 31.62 WETH at $2000
+    near(pool.liquidity, 2 * 2 * 1e21 / Math.sqrt(0.001) / 1e18);
+    assert.strictEqual(pool.volume24h, null);
+    assert.strictEqual(pool.dexId, 'uniswap');
+    assert.deepStrictEqual(pool.token, {
+        address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+        symbol: 'TKN',
+        name: 'Test Token'
+    });
+});
+
+test('returns null for addresses that are not pools', async () => {
+    assert.strictEqual(await provider.getPool('0x3000000000000000000000000000000000000003'), null);
+});